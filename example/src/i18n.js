@@ -1,40 +1,52 @@
 import i18n from 'i18next'
 import { initReactI18next } from 'react-i18next'
+import { sourceLanguage, fallbackChain, loadLanguage } from 'virtual:shipi18n'
 
 i18n
   .use(initReactI18next)
   .init({
-    fallbackLng: 'en',
+    lng: sourceLanguage,
+    // Fallback chain computed by the plugin (e.g. pt-BR -> pt -> en)
+    fallbackLng: fallbackChain,
     debug: false,
 
     interpolation: {
       escapeValue: false // React already escapes
     },
 
-    backend: {
-      loadPath: '/locales/{{lng}}/{{ns}}.json'
-    },
-
-    // Load translations from public/locales
+    // Resources are added per language by loadLanguageResources
     resources: {},
 
     // Load translations asynchronously
     initImmediate: false
   })
 
-// Dynamically load translations
+// Lazily load every namespace for a language through Vite
 const loadLanguageResources = async (lng) => {
   try {
-    const translation = await fetch(`/locales/${lng}/translation.json`)
-    const data = await translation.json()
-    i18n.addResourceBundle(lng, 'translation', data)
+    const namespaces = await loadLanguage(lng)
+    for (const [ns, data] of Object.entries(namespaces)) {
+      i18n.addResourceBundle(lng, ns, data, true, true)
+    }
   } catch (error) {
     console.error(`Failed to load ${lng} translations:`, error)
   }
 }
 
-// Load English (default)
-await loadLanguageResources('en')
+// Load the source language (default)
+await loadLanguageResources(sourceLanguage)
+
+// Reload bundles when the plugin re-translates a source file in dev
+if (import.meta.hot) {
+  import.meta.hot.on('shipi18n:update', ({ namespace, resources }) => {
+    for (const [lng, data] of Object.entries(resources)) {
+      if (i18n.hasResourceBundle(lng, namespace)) {
+        i18n.addResourceBundle(lng, namespace, data, true, true)
+      }
+    }
+    i18n.changeLanguage(i18n.language)
+  })
+}
 
 export default i18n
 export { loadLanguageResources }
@@ -15,11 +15,12 @@ export default defineConfig({
       // Languages to translate to
       targetLanguages: ['es', 'fr', 'de', 'ja'],
 
-      // Source directory (contains en.json)
-      sourceDir: 'public/locales/en',
+      // Source directory (contains translation.json)
+      // Kept out of public/ because locales are bundled through virtual:shipi18n
+      sourceDir: 'src/locales/en',
 
       // Output directory (will create es/, fr/, de/, ja/ subdirectories)
-      outputDir: 'public/locales',
+      outputDir: 'src/locales',
 
       // Source language
       sourceLanguage: 'en',
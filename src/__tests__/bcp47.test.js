@@ -0,0 +1,90 @@
+/**
+ * Tests for BCP 47 language tags and fallback chains
+ */
+
+import { parseLanguageTag, getParentTag, getFallbackChain, getRegionalChain } from '../bcp47.js';
+
+describe('parseLanguageTag', () => {
+  test('splits a tag into its subtags', () => {
+    expect(parseLanguageTag('zh-Hant-HK')).toEqual({
+      language: 'zh',
+      script: 'Hant',
+      region: 'HK',
+      variants: [],
+      extensions: [],
+      privateUse: [],
+    });
+    expect(parseLanguageTag('es-419')).toMatchObject({ language: 'es', script: null, region: '419' });
+    expect(parseLanguageTag('sl-rozaj-biske')).toMatchObject({ language: 'sl', variants: ['rozaj', 'biske'] });
+  });
+
+  test('keeps extensions and private use subtags', () => {
+    expect(parseLanguageTag('de-DE-u-co-phonebk-x-brand')).toMatchObject({
+      region: 'DE',
+      extensions: ['u-co-phonebk'],
+      privateUse: ['brand'],
+    });
+  });
+
+  test('rejects tags that are not well-formed', () => {
+    expect(parseLanguageTag('')).toBeNull();
+    expect(parseLanguageTag('e')).toBeNull();
+    expect(parseLanguageTag('en_US')).toBeNull();
+    expect(parseLanguageTag('en-US-')).toBeNull();
+    expect(parseLanguageTag(42)).toBeNull();
+  });
+});
+
+describe('getParentTag', () => {
+  test('drops the last subtag', () => {
+    expect(getParentTag('zh-Hant-HK')).toBe('zh-Hant');
+    expect(getParentTag('zh-Hant')).toBe('zh');
+    expect(getParentTag('sr-Latn-RS')).toBe('sr-Latn');
+    expect(getParentTag('es-419')).toBe('es');
+  });
+
+  test('drops extensions and private use subtags whole', () => {
+    expect(getParentTag('de-DE-u-co-phonebk')).toBe('de-DE');
+    expect(getParentTag('en-x-brand')).toBe('en');
+  });
+
+  test('returns null for a bare language or an invalid tag', () => {
+    expect(getParentTag('fr')).toBeNull();
+    expect(getParentTag('not a tag')).toBeNull();
+  });
+});
+
+describe('getFallbackChain', () => {
+  test('follows parent tags by default', () => {
+    expect(getFallbackChain('zh-Hant-HK')).toEqual(['zh-Hant', 'zh']);
+    expect(getFallbackChain('fr')).toEqual([]);
+  });
+
+  test('continues from a configured language', () => {
+    expect(getFallbackChain('es-MX', { 'es-MX': 'es-419' })).toEqual(['es-419', 'es']);
+    expect(getFallbackChain('pt-AO', { 'pt-AO': 'pt-PT', 'pt-PT': false })).toEqual(['pt-PT']);
+  });
+
+  test('uses a configured array as the complete chain', () => {
+    expect(getFallbackChain('es-MX', { 'es-MX': ['es-US', 'es-419'] })).toEqual(['es-US', 'es-419']);
+  });
+
+  test('returns no chain when disabled', () => {
+    expect(getFallbackChain('zh-Hant', { 'zh-Hant': false })).toEqual([]);
+  });
+
+  test('throws when a chain loops', () => {
+    expect(() => getFallbackChain('pt-BR', { 'pt-BR': 'pt-PT', 'pt-PT': 'pt-BR' })).toThrow(
+      'The fallback chain of pt-BR loops back to pt-BR'
+    );
+    expect(() => getFallbackChain('es-MX', { 'es-MX': ['es', 'es'] })).toThrow('The fallback chain of es-MX loops back to es');
+  });
+});
+
+describe('getRegionalChain', () => {
+  test('reads a single language as a chain of one link', () => {
+    expect(getRegionalChain({ 'pt-BR': 'pt' }, 'pt-BR')).toEqual(['pt']);
+    expect(getRegionalChain({ 'es-MX': ['es-419', 'es'] }, 'es-MX')).toEqual(['es-419', 'es']);
+    expect(getRegionalChain({}, 'fr')).toEqual([]);
+  });
+});
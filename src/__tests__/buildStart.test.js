@@ -85,6 +85,8 @@ describe('buildStart hook', () => {
       sourceDir: path.relative(tempDir, sourceDir),
       outputDir: path.relative(tempDir, outputDir),
       cacheDir: path.relative(tempDir, cacheDir),
+      // Retries are covered in their own tests below
+      retry: { retries: 0 },
       ...options,
     });
     plugin.configResolved({ root: tempDir });
@@ -103,7 +105,7 @@ describe('buildStart hook', () => {
     );
   });
 
-  test('exits early when no JSON files found', async () => {
+  test('exits early when no locale files found', async () => {
     // Create non-JSON file
     fs.writeFileSync(path.join(sourceDir, 'README.md'), 'readme');
 
@@ -111,7 +113,7 @@ describe('buildStart hook', () => {
     await plugin.buildStart();
 
     expect(console.warn).toHaveBeenCalledWith(
-      expect.stringContaining('No JSON files found')
+      expect.stringContaining('No locale files found')
     );
   });
 
@@ -136,6 +138,26 @@ describe('buildStart hook', () => {
     expect(esContent.greeting).toBe('Hola');
   });
 
+  test('keeps flat keys with dots in their source shape', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ 'app.title': 'Hello', 'Welcome to our site.': 'Welcome.' })
+    );
+    mockFetchResponse.data.translations = {
+      es: { 'app.title': 'Hola', 'Welcome to our site.': 'Bienvenido.' },
+      fr: { 'app.title': 'Bonjour', 'Welcome to our site.': 'Bienvenue.' },
+    };
+
+    await createPlugin().buildStart();
+    console.log.mockClear();
+    // The second run reads every value back from the cache
+    await createPlugin().buildStart();
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent).toEqual({ 'app.title': 'Hola', 'Welcome to our site.': 'Bienvenido.' });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Using cached translations'));
+  });
+
   test('creates cache file when caching enabled', async () => {
     fs.writeFileSync(
       path.join(sourceDir, 'translation.json'),
@@ -178,6 +200,255 @@ describe('buildStart hook', () => {
     );
   });
 
+  test('only sends new or changed keys on subsequent runs', async () => {
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' }));
+
+    mockFetchResponse = {
+      ok: true,
+      data: {
+        translations: {
+          es: { greeting: 'Hola', farewell: 'Adiós' },
+          fr: { greeting: 'Bonjour', farewell: 'Au revoir' },
+        },
+      },
+    };
+
+    const plugin = createPlugin({ cache: true });
+    await plugin.buildStart();
+
+    // Change one key and capture the next request
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hi', farewell: 'Goodbye' }));
+    let requestBody;
+    const fetchSpy = global.fetch;
+    global.fetch = async (url, options) => {
+      requestBody = JSON.parse(options.body);
+      return {
+        ok: true,
+        json: async () => ({
+          translations: { es: { greeting: 'Buenas' }, fr: { greeting: 'Salut' } },
+        }),
+      };
+    };
+
+    try {
+      await plugin.buildStart();
+    } finally {
+      global.fetch = fetchSpy;
+    }
+
+    expect(JSON.parse(requestBody.jsonInput)).toEqual({ greeting: 'Hi' });
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent).toEqual({ greeting: 'Buenas', farewell: 'Adiós' });
+  });
+
+  test('sends each language only the keys it needs', async () => {
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye', thanks: 'Thanks' }));
+    mockFetchResponse.data.translations = {
+      es: { greeting: 'Hola', farewell: 'Adiós', thanks: 'Gracias' },
+      fr: { greeting: 'Bonjour', farewell: 'Au revoir', thanks: 'Merci' },
+    };
+    await createPlugin({ targetLanguages: ['es', 'fr'] }).buildStart();
+
+    // One changed key, and a new language that needs every key
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hi', farewell: 'Goodbye', thanks: 'Thanks' }));
+    const requests = [];
+    const fetchSpy = global.fetch;
+    global.fetch = async (url, options) => {
+      const body = JSON.parse(options.body);
+      requests.push({ languages: JSON.parse(body.targetLanguages), keys: Object.keys(JSON.parse(body.jsonInput)) });
+      return { ok: true, status: 200, json: async () => ({ translations: {} }) };
+    };
+
+    try {
+      await createPlugin({ targetLanguages: ['es', 'fr', 'de'] }).buildStart();
+    } finally {
+      global.fetch = fetchSpy;
+    }
+
+    expect(requests).toEqual([
+      { languages: ['es', 'fr'], keys: ['greeting'] },
+      { languages: ['de'], keys: ['greeting', 'farewell', 'thanks'] },
+    ]);
+  });
+
+  test('does not cache source fallback values', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: 'Hello' })
+    );
+
+    mockFetchResponse = {
+      ok: true,
+      data: { translations: { es: { greeting: 'Hola' } } },
+    };
+
+    const plugin = createPlugin({ cache: true });
+    await plugin.buildStart();
+    console.log.mockClear();
+
+    // fr was filled from source, so it must be requested again
+    await plugin.buildStart();
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('Translating to 1 language(s)')
+    );
+  });
+
+  test('falls back to source for broken ICU messages and retries them', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: 'Hello {name}' })
+    );
+
+    mockFetchResponse = {
+      ok: true,
+      data: {
+        translations: {
+          es: { greeting: 'Hola {nombre}' },
+          fr: { greeting: 'Bonjour {name}' },
+        },
+      },
+    };
+
+    const plugin = createPlugin({ cache: true });
+    await plugin.buildStart();
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+    expect(esContent.greeting).toBe('Hello {name}');
+    expect(frContent.greeting).toBe('Bonjour {name}');
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('Missing argument {name} (validation failed)')
+    );
+
+    // The broken es value is not cached, so es is requested again
+    console.log.mockClear();
+    await plugin.buildStart();
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('Translating to 1 language(s)')
+    );
+  });
+
+  test('skips ICU validation when disabled', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: 'Hello {name}' })
+    );
+
+    mockFetchResponse = {
+      ok: true,
+      data: { translations: { es: { greeting: 'Hola {nombre}' }, fr: { greeting: 'Bonjour {nom}' } } },
+    };
+
+    const plugin = createPlugin({ cache: false, validation: { icu: false } });
+    await plugin.buildStart();
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent.greeting).toBe('Hola {nombre}');
+  });
+
+  test('repairs renamed placeholders and falls back on broken markup', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: 'Hello {{name}}', save: '<strong>Save</strong> changes' })
+    );
+
+    mockFetchResponse = {
+      ok: true,
+      data: {
+        translations: {
+          es: { greeting: 'Hola {{nombre}}', save: '<strong>Guardar cambios' },
+          fr: { greeting: 'Bonjour {{name}}', save: '<strong>Enregistrer</strong> les modifications' },
+        },
+      },
+    };
+
+    const plugin = createPlugin({ cache: false });
+    await plugin.buildStart();
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+    expect(esContent).toEqual({ greeting: 'Hola {{name}}', save: '<strong>Save</strong> changes' });
+    expect(frContent.save).toBe('<strong>Enregistrer</strong> les modifications');
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('es greeting: Placeholder {{nombre}} should be {{name}} (repaired) (validation failed)')
+    );
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('es save: Unclosed <strong> (validation failed)')
+    );
+  });
+
+  test('skips placeholder and markup checks when disabled', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: '<b>Hello</b> {{name}}' })
+    );
+
+    mockFetchResponse = {
+      ok: true,
+      data: { translations: { es: { greeting: '<b>Hola {{nombre}}' }, fr: { greeting: 'Bonjour' } } },
+    };
+
+    const plugin = createPlugin({ cache: false, validation: { placeholders: false, markup: false } });
+    await plugin.buildStart();
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent.greeting).toBe('<b>Hola {{nombre}}');
+  });
+
+  test('requests the plural keys each language needs', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ files_one: '{{count}} file', files_other: '{{count}} files' })
+    );
+
+    const requests = [];
+    const fetchSpy = global.fetch;
+    global.fetch = async (url, options) => {
+      const body = JSON.parse(options.body);
+      requests.push({ languages: JSON.parse(body.targetLanguages), keys: Object.keys(JSON.parse(body.jsonInput)) });
+      return {
+        ok: true,
+        json: async () => ({
+          translations: {
+            pl: {
+              files_one: '{{count}} plik',
+              files_few: '{{count}} pliki',
+              files_many: '{{count}} plików',
+              files_other: '{{count}} pliku',
+            },
+            ja: {
+              files_one: '{{count}} ファイル',
+              files_few: '{{count}} ファイル',
+              files_many: '{{count}} ファイル',
+              files_other: '{{count}} ファイル',
+            },
+          },
+        }),
+      };
+    };
+
+    try {
+      const plugin = createPlugin({ cache: false, targetLanguages: ['pl', 'ja'] });
+      await plugin.buildStart();
+    } finally {
+      global.fetch = fetchSpy;
+    }
+
+    // Japanese only uses _other, so it isn't sent the Polish forms
+    expect(requests).toEqual([
+      { languages: ['pl'], keys: ['files_one', 'files_few', 'files_many', 'files_other'] },
+      { languages: ['ja'], keys: ['files_other'] },
+    ]);
+
+    const plContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'pl', 'translation.json'), 'utf-8'));
+    const jaContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'ja', 'translation.json'), 'utf-8'));
+    expect(Object.keys(plContent)).toEqual(['files_one', 'files_few', 'files_many', 'files_other']);
+    expect(jaContent).toEqual({ files_other: '{{count}} ファイル' });
+  });
+
   test('handles JSON parse error in source file', async () => {
     fs.writeFileSync(
       path.join(sourceDir, 'invalid.json'),
@@ -222,6 +493,18 @@ describe('buildStart hook', () => {
     expect(esContent.greeting).toBe('Hello'); // source content
   });
 
+  test('leaves the output of a language the API left out alone when fallback disabled', async () => {
+    fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+    fs.mkdirSync(path.join(outputDir, 'fr'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'fr', 'translation.json'), JSON.stringify({ greeting: 'Salut' }));
+    mockFetchResponse.data.translations = { es: { greeting: 'Hola' } };
+
+    await createPlugin({ cache: false, fallback: { fallbackToSource: false } }).buildStart();
+
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'))).toEqual({ greeting: 'Salut' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('translation.json: No translation for fr'));
+  });
+
   test('skips writing on API error when fallback disabled', async () => {
     fs.writeFileSync(
       path.join(sourceDir, 'translation.json'),
@@ -275,6 +558,138 @@ describe('buildStart hook', () => {
     expect(fs.existsSync(path.join(outputDir, 'fr', 'common.json'))).toBe(true);
   });
 
+  test('mirrors nested source directories in output', async () => {
+    fs.mkdirSync(path.join(sourceDir, 'admin'), { recursive: true });
+    fs.writeFileSync(
+      path.join(sourceDir, 'admin', 'users.json'),
+      JSON.stringify({ greeting: 'Hello' })
+    );
+
+    const plugin = createPlugin({ cache: true });
+    await plugin.buildStart();
+
+    const esOutput = path.join(outputDir, 'es', 'admin', 'users.json');
+    expect(fs.existsSync(esOutput)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(esOutput, 'utf-8')).greeting).toBe('Hola');
+  });
+
+  test('respects include and exclude patterns', async () => {
+    fs.mkdirSync(path.join(sourceDir, 'legal'), { recursive: true });
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.json'),
+      JSON.stringify({ greeting: 'Hello' })
+    );
+    fs.writeFileSync(
+      path.join(sourceDir, 'legal', 'terms.json'),
+      JSON.stringify({ greeting: 'Hello' })
+    );
+
+    const plugin = createPlugin({ cache: false, exclude: ['legal/**'] });
+    await plugin.buildStart();
+
+    expect(fs.existsSync(path.join(outputDir, 'es', 'translation.json'))).toBe(true);
+    expect(fs.existsSync(path.join(outputDir, 'es', 'legal', 'terms.json'))).toBe(false);
+  });
+
+  test('translates YAML files and writes them back as YAML', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'translation.yml'),
+      '# Rails-style\nen:\n  greeting: Hello\n'
+    );
+
+    const plugin = createPlugin({ cache: false });
+    await plugin.buildStart();
+
+    const esOutput = fs.readFileSync(path.join(outputDir, 'es', 'translation.yml'), 'utf-8');
+    expect(esOutput).toBe('# Rails-style\nes:\n  greeting: Hola\n');
+  });
+
+  test('translates .properties files', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'messages.properties'),
+      '# Greeting\ngreeting=Hello\n'
+    );
+
+    const plugin = createPlugin({ cache: false });
+    await plugin.buildStart();
+
+    const frOutput = fs.readFileSync(path.join(outputDir, 'fr', 'messages.properties'), 'utf-8');
+    expect(frOutput).toBe('# Greeting\ngreeting=Bonjour\n');
+  });
+
+  test('translates gettext templates into <lang>/messages.po', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'messages.pot'),
+      'msgid ""\nmsgstr ""\n"Content-Type: text/plain; charset=CHARSET\\n"\n\nmsgid "Hello"\nmsgstr ""\n'
+    );
+
+    const fetchSpy = global.fetch;
+    global.fetch = async (url, options) => {
+      const json = JSON.parse(JSON.parse(options.body).jsonInput);
+      const [key] = Object.keys(json);
+      return {
+        ok: true,
+        json: async () => ({ translations: { es: { [key]: 'Hola' }, fr: { [key]: 'Bonjour' } } }),
+      };
+    };
+
+    try {
+      const plugin = createPlugin({ cache: false });
+      await plugin.buildStart();
+    } finally {
+      global.fetch = fetchSpy;
+    }
+
+    const esOutput = fs.readFileSync(path.join(outputDir, 'es', 'messages.po'), 'utf-8');
+    expect(esOutput).toContain('msgid "Hello"\nmsgstr "Hola"');
+    expect(esOutput).toContain('Language: es');
+    expect(fs.existsSync(path.join(outputDir, 'es', 'messages.pot'))).toBe(false);
+  });
+
+  test('requests each gettext plural form of the target language', async () => {
+    fs.writeFileSync(
+      path.join(sourceDir, 'messages.pot'),
+      'msgid ""\nmsgstr ""\n\nmsgid "%d file"\nmsgid_plural "%d files"\nmsgstr[0] ""\nmsgstr[1] ""\n'
+    );
+    const forms = { one: '%d plik', few: '%d pliki', many: '%d plików' };
+    const requests = [];
+
+    const fetchSpy = global.fetch;
+    global.fetch = async (url, options) => {
+      const json = JSON.parse(JSON.parse(options.body).jsonInput);
+      requests.push(json);
+      const [key] = Object.keys(json);
+      return { ok: true, json: async () => ({ translations: { pl: { [key]: forms } } }) };
+    };
+
+    try {
+      const plugin = createPlugin({ cache: false, targetLanguages: ['pl'] });
+      await plugin.buildStart();
+    } finally {
+      global.fetch = fetchSpy;
+    }
+
+    expect(Object.values(requests[0])).toEqual([{ one: '%d file', few: '%d files', many: '%d files' }]);
+    const plOutput = fs.readFileSync(path.join(outputDir, 'pl', 'messages.po'), 'utf-8');
+    expect(plOutput).toContain('msgstr[0] "%d plik"\nmsgstr[1] "%d pliki"\nmsgstr[2] "%d plików"');
+  });
+
+  test('supports custom formats', async () => {
+    fs.writeFileSync(path.join(sourceDir, 'strings.txt'), 'greeting:Hello');
+
+    const txtFormat = {
+      name: 'txt',
+      extensions: ['.txt'],
+      parse: (content) => Object.fromEntries([content.split(':')]),
+      serialize: (data) => Object.entries(data).map(([key, value]) => `${key}:${value}`).join('\n'),
+    };
+
+    const plugin = createPlugin({ cache: false, formats: [txtFormat] });
+    await plugin.buildStart();
+
+    expect(fs.readFileSync(path.join(outputDir, 'es', 'strings.txt'), 'utf-8')).toBe('greeting:Hola');
+  });
+
   test('logs regional fallback when used', async () => {
     fs.writeFileSync(
       path.join(sourceDir, 'translation.json'),
@@ -311,19 +726,7 @@ describe('buildStart hook', () => {
 
     // Create cache directory and corrupted cache file
     fs.mkdirSync(cacheDir, { recursive: true });
-    const cacheFile = path.join(cacheDir, 'translation.json.somehash.json');
-    fs.writeFileSync(cacheFile, '{ corrupted json }');
-
-    // Create plugin with same content hash (tricky - we'll just test cache corruption path)
-    const sourceContent = JSON.stringify({ greeting: 'Hello' });
-    const crypto = await import('crypto');
-    const hash = crypto.createHash('md5')
-      .update(sourceContent + ['es', 'fr'].join(','))
-      .digest('hex');
-
-    // Write corrupted cache with correct hash
-    const correctCacheFile = path.join(cacheDir, `translation.json.${hash}.json`);
-    fs.writeFileSync(correctCacheFile, '{ corrupted }');
+    fs.writeFileSync(path.join(cacheDir, 'translation.json.keys.json'), '{ corrupted }');
 
     const plugin = createPlugin({ cache: true });
     await plugin.buildStart();
@@ -332,6 +735,1327 @@ describe('buildStart hook', () => {
       expect.stringContaining('Cache corrupted')
     );
   });
+
+  describe('retries', () => {
+    let responses;
+    let calls;
+    let mockFetch;
+
+    beforeEach(() => {
+      calls = 0;
+      mockFetch = global.fetch;
+      global.fetch = async () => {
+        const next = responses[Math.min(calls++, responses.length - 1)];
+        if (next instanceof Error) {
+          throw next;
+        }
+        return {
+          ok: next.status === 200,
+          status: next.status,
+          headers: new Headers(next.headers || {}),
+          json: async () => next.data || {},
+        };
+      };
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('retries rate limits and gateway errors', async () => {
+      responses = [
+        { status: 429, headers: { 'Retry-After': '0' } },
+        new TypeError('fetch failed'),
+        { status: 503 },
+        { status: 200, data: { translations: { es: { greeting: 'Hola' }, fr: { greeting: 'Bonjour' } } } },
+      ];
+
+      const plugin = createPlugin({ cache: false, retry: { retries: 3, minDelay: 0 } });
+      await plugin.buildStart();
+
+      expect(calls).toBe(4);
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.greeting).toBe('Hola');
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Request failed (status 429), retrying in 0.0s (1 of 3)')
+      );
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Request failed (fetch failed)')
+      );
+    });
+
+    test('falls back to source once retries run out', async () => {
+      responses = [{ status: 502, data: { message: 'Bad gateway' } }];
+
+      const plugin = createPlugin({ cache: false, retry: { retries: 2, minDelay: 0 } });
+      await plugin.buildStart();
+
+      expect(calls).toBe(3);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Translation failed - Bad gateway')
+      );
+    });
+
+    test('does not retry client errors', async () => {
+      responses = [{ status: 401, data: { message: 'Invalid API key' } }];
+
+      const plugin = createPlugin({ cache: false, retry: { retries: 3, minDelay: 0 } });
+      await plugin.buildStart();
+
+      expect(calls).toBe(1);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Translation failed - Invalid API key')
+      );
+    });
+
+    test('times out slow requests', async () => {
+      global.fetch = (url, options) => new Promise((resolve, reject) => {
+        calls++;
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+
+      const plugin = createPlugin({ cache: false, retry: { retries: 1, minDelay: 0 }, timeout: 10 });
+      await plugin.buildStart();
+
+      expect(calls).toBe(2);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Translation failed - Request timed out after 10ms')
+      );
+    });
+  });
+
+  describe('chunking', () => {
+    let requests;
+    let mockFetch;
+
+    const translate = (json, prefix) => Object.fromEntries(
+      Object.entries(json).map(([key, value]) => [key, `${prefix} ${value}`])
+    );
+
+    beforeEach(() => {
+      requests = [];
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        const json = JSON.parse(body.jsonInput);
+        requests.push(Object.keys(json));
+
+        if ('fail' in json) {
+          return { ok: false, status: 400, json: async () => ({ message: 'Bad chunk' }) };
+        }
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({ translations: { es: translate(json, 'es'), fr: translate(json, 'fr') } }),
+        };
+      };
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ a: 'One', b: 'Two', fail: 'Three', d: 'Four', e: 'Five' })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('sends large files in several requests and keeps key order', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ a: 'One', b: 'Two', c: 'Three', d: 'Four', e: 'Five' })
+      );
+
+      const plugin = createPlugin({ cache: false, chunking: { maxKeys: 2, concurrency: 2 } });
+      await plugin.buildStart();
+
+      expect(requests).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(Object.keys(esContent)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(esContent.e).toBe('es Five');
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('(5 of 5 key(s)) in 3 requests...')
+      );
+    });
+
+    test('only falls back to source for the failed chunk', async () => {
+      const plugin = createPlugin({ cache: true, chunking: { maxKeys: 2 } });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ a: 'es One', b: 'es Two', fail: 'Three', d: 'Four', e: 'es Five' });
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json (chunk 2 of 3): Translation failed - Bad chunk')
+      );
+
+      // Only the failed chunk's keys are requested again
+      requests = [];
+      await plugin.buildStart();
+      expect(requests).toEqual([['fail', 'd']]);
+    });
+
+    test('sends each file whole when disabled', async () => {
+      const plugin = createPlugin({ cache: false, chunking: false });
+      await plugin.buildStart();
+
+      expect(requests).toEqual([['a', 'b', 'fail', 'd', 'e']]);
+    });
+
+    test('fails strict builds on a failed chunk', async () => {
+      const plugin = createPlugin({ cache: false, chunking: { maxKeys: 2 }, failOnError: true });
+      const context = {
+        error: (message) => {
+          throw new Error(message);
+        },
+      };
+
+      await expect(plugin.buildStart.call(context)).rejects.toThrow(
+        'translation.json (chunk 2 of 3): Translation failed - Bad chunk'
+      );
+    });
+  });
+
+  describe('concurrency', () => {
+    let mockFetch;
+
+    beforeEach(() => {
+      mockFetch = global.fetch;
+      for (const name of ['a', 'b', 'c', 'd']) {
+        fs.writeFileSync(path.join(sourceDir, `${name}.json`), JSON.stringify({ greeting: 'Hello' }));
+      }
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('translates files concurrently up to the limit', async () => {
+      let active = 0;
+      let peak = 0;
+      global.fetch = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return { ok: true, status: 200, json: async () => ({ translations: { es: { greeting: 'Hola' }, fr: { greeting: 'Bonjour' } } }) };
+      };
+
+      const plugin = createPlugin({ cache: false, concurrency: 2 });
+      await plugin.buildStart();
+
+      expect(peak).toBe(2);
+      for (const name of ['a', 'b', 'c', 'd']) {
+        expect(fs.existsSync(path.join(outputDir, 'es', `${name}.json`))).toBe(true);
+      }
+    });
+
+    test('keeps each file\'s log lines together', async () => {
+      // a.json finishes last
+      global.fetch = async (url, options) => {
+        const delay = JSON.parse(options.body).jsonInput.includes('slow') ? 20 : 1;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return { ok: true, status: 200, json: async () => ({ translations: {} }) };
+      };
+      fs.writeFileSync(path.join(sourceDir, 'a.json'), JSON.stringify({ slow: 'Hello' }));
+
+      const plugin = createPlugin({ cache: false, concurrency: 4 });
+      console.log.mockClear();
+      console.warn.mockClear();
+      await plugin.buildStart();
+
+      const lines = console.log.mock.calls.map(([line]) => line).filter(line => /^ {3}\S/.test(line));
+      const fileLines = lines.filter(line => /[a-d]\.json/.test(line));
+      const files = fileLines.map(line => line.match(/([a-d])\.json/)[1]);
+
+      expect(files).toEqual(['b', 'b', 'c', 'c', 'd', 'd', 'a', 'a']);
+    });
+
+    test('processes files one at a time with concurrency 1', async () => {
+      let active = 0;
+      let peak = 0;
+      global.fetch = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { ok: true, status: 200, json: async () => ({ translations: {} }) };
+      };
+
+      const plugin = createPlugin({ cache: false, concurrency: 1 });
+      await plugin.buildStart();
+
+      expect(peak).toBe(1);
+    });
+  });
+
+  describe('glossary', () => {
+    let requestBody;
+    let mockFetch;
+
+    beforeEach(() => {
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        requestBody = JSON.parse(options.body);
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({
+            translations: {
+              es: { title: 'Tu {{shipi18n_term_0}}', seats: 'Añadir {{shipi18n_term_1}}', plan: 'Plan Espacio' },
+              fr: { title: 'Votre {{shipi18n_term_0}}', seats: 'Ajouter {{shipi18n_term_1}}', plan: 'Plan Workspace' },
+            },
+          }),
+        };
+      };
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ title: 'Your Workspace', seats: 'Add Seat', plan: 'Workspace plan' })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('protects terms in the request and restores approved terms', async () => {
+      const plugin = createPlugin({
+        cache: false,
+        glossary: { doNotTranslate: ['Workspace'], terms: { Seat: { es: 'Licencia' } } },
+      });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBody.jsonInput)).toEqual({
+        title: 'Your {{shipi18n_term_0}}',
+        seats: 'Add {{shipi18n_term_1}}',
+        plan: '{{shipi18n_term_0}} plan',
+      });
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+      expect(esContent.title).toBe('Tu Workspace');
+      expect(esContent.seats).toBe('Añadir Licencia');
+      expect(frContent.seats).toBe('Ajouter Seat');
+    });
+
+    test('reports and replaces values that break the glossary', async () => {
+      const plugin = createPlugin({ cache: false, glossary: { doNotTranslate: ['Workspace'] } });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.plan).toBe('Workspace plan');
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('es plan: Missing glossary term "Workspace" (validation failed)')
+      );
+    });
+
+    test('loads the glossary from a file', async () => {
+      fs.writeFileSync(
+        path.join(tempDir, 'glossary.json'),
+        JSON.stringify({ doNotTranslate: ['Workspace'], terms: { Seat: { es: 'Licencia' } } })
+      );
+
+      const plugin = createPlugin({ cache: false, glossary: 'glossary.json' });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.seats).toBe('Añadir Licencia');
+    });
+
+    test('re-translates keys whose approved term changed', async () => {
+      const requests = [];
+      global.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        requests.push(body);
+        const entries = JSON.parse(body.jsonInput);
+        const translations = Object.fromEntries(JSON.parse(body.targetLanguages).map(lang => [
+          lang,
+          Object.fromEntries(Object.entries(entries).map(([key, value]) => [key, `${lang}:${value}`])),
+        ]));
+        return { ok: true, status: 200, json: async () => ({ translations }) };
+      };
+      const licencia = { cache: true, glossary: { terms: { Seat: { es: 'Licencia' } } } };
+      const plaza = { cache: true, glossary: { terms: { Seat: { es: 'Plaza' } } } };
+
+      await createPlugin(licencia).buildStart();
+      await createPlugin(plaza).buildStart();
+
+      expect(requests).toHaveLength(2);
+      expect(JSON.parse(requests[1].targetLanguages)).toEqual(['es']);
+      expect(Object.keys(JSON.parse(requests[1].jsonInput))).toEqual(['seats']);
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.seats).toBe('es:Add Plaza');
+
+      // Committed outputs made with another approved term aren't reused on a fresh runner either
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      await createPlugin(licencia).buildStart();
+
+      expect(requests).toHaveLength(3);
+      expect(Object.keys(JSON.parse(requests[2].jsonInput))).toEqual(['seats']);
+      const rebuilt = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(rebuilt.seats).toBe('es:Add Licencia');
+    });
+  });
+
+  describe('overrides', () => {
+    let overridesDir;
+    let lastRequest;
+    let mockFetch;
+
+    beforeEach(() => {
+      overridesDir = path.join(tempDir, 'overrides');
+      fs.mkdirSync(path.join(overridesDir, 'es'), { recursive: true });
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        lastRequest = JSON.parse(JSON.parse(options.body).jsonInput);
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({
+            translations: {
+              es: { greeting: 'Hola', farewell: 'Adiós' },
+              fr: { greeting: 'Bonjour', farewell: 'Au revoir' },
+            },
+          }),
+        };
+      };
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello {name}', farewell: 'Goodbye' })
+      );
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    const createOverridePlugin = (options = {}) => createPlugin({
+      overridesDir: path.relative(tempDir, overridesDir),
+      validation: { icu: false },
+      ...options,
+    });
+
+    test('overrides win over machine output', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ farewell: 'Hasta luego' }));
+
+      const plugin = createOverridePlugin();
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: 'Hola', farewell: 'Hasta luego' });
+      expect(frContent.farewell).toBe('Au revoir');
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Applied 1 manual override(s)')
+      );
+    });
+
+    test('leaves overridden keys out of API requests', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ farewell: 'Hasta luego' }));
+      fs.mkdirSync(path.join(overridesDir, 'fr'), { recursive: true });
+      fs.writeFileSync(path.join(overridesDir, 'fr', 'translation.json'), JSON.stringify({ farewell: 'Salut' }));
+
+      const plugin = createOverridePlugin({ cache: false });
+      await plugin.buildStart();
+
+      expect(lastRequest).toEqual({ greeting: 'Hello {name}' });
+    });
+
+    test('does not validate overrides', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ greeting: 'Hola {nombre}' }));
+
+      const plugin = createOverridePlugin({ cache: false, validation: { icu: true } });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.greeting).toBe('Hola {nombre}');
+    });
+
+    test('warns when the source changed after the override was written', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ farewell: 'Hasta luego' }));
+
+      const plugin = createOverridePlugin();
+      await plugin.buildStart();
+      expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('Source changed'));
+
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello {name}', farewell: 'See you later' })
+      );
+      await plugin.buildStart();
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('es farewell: Source changed since the override was written')
+      );
+
+      // Editing the override accepts the new source
+      console.warn.mockClear();
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ farewell: 'Nos vemos' }));
+      await plugin.buildStart();
+      expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('Source changed'));
+    });
+
+    test('tracks overrides in the lockfile without the cache', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ farewell: 'Hasta luego' }));
+
+      await createOverridePlugin({ cache: false }).buildStart();
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(lock.files['translation.json'].es.farewell.from).toBe('override');
+
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello {name}', farewell: 'See you later' })
+      );
+      // A fresh plugin has no state from the first build, as on another machine
+      console.warn.mockClear();
+      await createOverridePlugin({ cache: false }).buildStart();
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('es farewell: Source changed since the override was written')
+      );
+      expect(fs.existsSync(path.join(cacheDir, 'translation.json.overrides.json'))).toBe(false);
+    });
+
+    test('warns about overrides without a source key', async () => {
+      fs.writeFileSync(path.join(overridesDir, 'es', 'translation.json'), JSON.stringify({ removed: 'Viejo' }));
+
+      const plugin = createOverridePlugin({ cache: false });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.removed).toBeUndefined();
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('es removed: Override has no source key')
+      );
+    });
+  });
+
+  describe('lockfile', () => {
+    const readLock = () => JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+
+    test('records the source hash and origin of every key', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+
+      const plugin = createPlugin({ cache: true });
+      await plugin.buildStart();
+
+      const lock = readLock();
+      expect(lock.sourceLanguage).toBe('en');
+      expect(lock.files['translation.json'].es).toEqual({
+        greeting: { hash: expect.any(String), from: 'api' },
+        farewell: { hash: expect.any(String), from: 'source' },
+      });
+
+      // Cached values keep their api origin, so the lockfile doesn't change
+      const before = fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8');
+      await plugin.buildStart();
+      expect(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8')).toBe(before);
+    });
+
+    test('reuses committed outputs when the cache is gone', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ cache: true });
+      await plugin.buildStart();
+
+      // Fresh runner: no cache, and the API is unreachable
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      mockFetchResponse = { error: new Error('Network error') };
+      console.log.mockClear();
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.greeting).toBe('Hola');
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Reused 2 committed translation(s) listed in the lockfile')
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Using cached translations')
+      );
+    });
+
+    test('does not reuse outputs whose source changed', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ cache: true });
+      await plugin.buildStart();
+
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hi' }));
+      console.log.mockClear();
+      await plugin.buildStart();
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Translating to 2 language(s) (1 of 1 key(s))')
+      );
+    });
+
+    test('drops files that are no longer translated', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      fs.writeFileSync(path.join(sourceDir, 'old.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ cache: false });
+      await plugin.buildStart();
+      expect(Object.keys(readLock().files)).toEqual(['old.json', 'translation.json']);
+
+      fs.rmSync(path.join(sourceDir, 'old.json'));
+      await plugin.buildStart();
+      expect(Object.keys(readLock().files)).toEqual(['translation.json']);
+    });
+
+    test('is not written when disabled', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ cache: false, lockFile: false });
+      await plugin.buildStart();
+
+      expect(fs.existsSync(path.join(tempDir, 'shipi18n.lock.json'))).toBe(false);
+    });
+  });
+
+  describe('providers', () => {
+    test('runs the full pipeline with the mock provider', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello {{name}}', nav: { home: 'Home' } })
+      );
+      mockFetchResponse = { error: new Error('fetch should not be called') };
+
+      const plugin = createPlugin({ apiKey: undefined, provider: 'mock', cache: true });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: '[es] Hello {{name}}', nav: { home: '[es] Home' } });
+      expect(fs.existsSync(path.join(cacheDir, 'mock', 'translation.json.keys.json'))).toBe(true);
+      expect(fs.existsSync(path.join(cacheDir, 'translation.json.keys.json'))).toBe(false);
+      expect(fs.existsSync(path.join(tempDir, 'shipi18n.lock.json'))).toBe(false);
+    });
+
+    test('uses a custom provider', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      const translate = jest.fn(async ({ entries, targetLanguages }) => Object.fromEntries(
+        targetLanguages.map(lang => [lang, { greeting: `${lang}: ${entries.greeting}` }])
+      ));
+
+      const plugin = createPlugin({ apiKey: undefined, provider: { name: 'custom', translate }, cache: false });
+      await plugin.buildStart();
+
+      expect(translate).toHaveBeenCalledWith(expect.objectContaining({
+        entries: { greeting: 'Hello', farewell: 'Goodbye' },
+        sourceLanguage: 'en',
+        targetLanguages: ['es', 'fr'],
+      }));
+      const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+      expect(frContent).toEqual({ greeting: 'fr: Hello', farewell: 'Goodbye' });
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(lock.files['translation.json'].fr.greeting.from).toBe('api');
+    });
+  });
+
+  describe('pseudo-locales', () => {
+    let requestBody;
+    let mockFetch;
+
+    beforeEach(() => {
+      requestBody = null;
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        requestBody = JSON.parse(options.body);
+        return { ok: true, status: 200, json: async () => ({ translations: { es: { greeting: 'Hola {{name}}' } } }) };
+      };
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('generates pseudo-locales locally', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello {{name}}', brand: 'Shipi18n rocks' })
+      );
+
+      const plugin = createPlugin({
+        targetLanguages: ['es', 'en-XA', 'ar-XB'],
+        pseudo: { expansion: 0 },
+        glossary: { doNotTranslate: ['Shipi18n'] },
+        cache: true,
+      });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBody.targetLanguages)).toEqual(['es']);
+      const pseudoContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'en-XA', 'translation.json'), 'utf-8'));
+      expect(pseudoContent).toEqual({ greeting: '[Ĥéļļö {{name}}]', brand: '[Shipi18n ŕöçķš]' });
+      const rtlContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'ar-XB', 'translation.json'), 'utf-8'));
+      expect(rtlContent.greeting).toBe('[\u202EĤéļļö \u202C{{name}}]');
+
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(lock.files['translation.json']['en-XA'].greeting.from).toBe('pseudo');
+    });
+
+    test('applies option changes without waiting for the cache', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hi' }));
+
+      await createPlugin({ targetLanguages: ['en-XA'], pseudo: { expansion: 0 }, cache: true }).buildStart();
+      await createPlugin({ targetLanguages: ['en-XA'], pseudo: { expansion: 1 }, cache: true }).buildStart();
+
+      expect(requestBody).toBeNull();
+      const pseudoContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'en-XA', 'translation.json'), 'utf-8'));
+      expect(pseudoContent.greeting).toBe('[Ĥî~~]');
+    });
+  });
+
+  describe('context', () => {
+    let requestBodies;
+    let mockFetch;
+
+    beforeEach(() => {
+      requestBodies = [];
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        requestBodies.push(JSON.parse(options.body));
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({ translations: { es: { close: 'Cerrar', post: 'Publicar' } } }),
+        };
+      };
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('sends sibling and sidecar notes and leaves them out of outputs', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ close: 'Close', close_comment: 'Button that closes a dialog', post: 'Post' })
+      );
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.context.json'),
+        JSON.stringify({ post: 'Verb: publish a message', missing: 'Not a key' })
+      );
+
+      const plugin = createPlugin({ targetLanguages: ['es'], cache: false, context: { suffixes: ['_comment'] } });
+      await plugin.buildStart();
+
+      expect(requestBodies).toHaveLength(1);
+      expect(JSON.parse(requestBodies[0].jsonInput)).toEqual({ close: 'Close', post: 'Post' });
+      expect(JSON.parse(requestBodies[0].keyContext)).toEqual({
+        close: 'Button that closes a dialog',
+        post: 'Verb: publish a message',
+      });
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.context.json'))).toBe(false);
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ close: 'Cerrar', post: 'Publicar' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('missing: Context note has no source key'));
+    });
+
+    test('translates suffixed keys as text by default', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ post: 'Post', post_comment: 'Post a comment' })
+      );
+
+      const plugin = createPlugin({ targetLanguages: ['es'], cache: false });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBodies[0].jsonInput)).toEqual({ post: 'Post', post_comment: 'Post a comment' });
+      expect(requestBodies[0].keyContext).toBeUndefined();
+    });
+
+    test('re-translates keys whose note changed', async () => {
+      const sourceFile = path.join(sourceDir, 'translation.json');
+      const options = { targetLanguages: ['es'], cache: true, context: { suffixes: ['_context'] } };
+      fs.writeFileSync(sourceFile, JSON.stringify({ close: 'Close', post: 'Post' }));
+      await createPlugin(options).buildStart();
+
+      fs.writeFileSync(sourceFile, JSON.stringify({ close: 'Close', post: 'Post', post_context: 'Verb' }));
+      await createPlugin(options).buildStart();
+
+      expect(requestBodies).toHaveLength(2);
+      expect(JSON.parse(requestBodies[1].jsonInput)).toEqual({ post: 'Post' });
+      expect(JSON.parse(requestBodies[1].keyContext)).toEqual({ post: 'Verb' });
+
+      await createPlugin(options).buildStart();
+      expect(requestBodies).toHaveLength(2);
+    });
+
+    test('treats note keys as text when disabled', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ close: 'Close', close_comment: 'Button' })
+      );
+      fs.writeFileSync(path.join(sourceDir, 'translation.context.json'), JSON.stringify({ close: 'Button' }));
+
+      const plugin = createPlugin({ targetLanguages: ['es'], cache: false, context: false });
+      await plugin.buildStart();
+
+      expect(requestBodies).toHaveLength(2);
+      expect(requestBodies[0].keyContext).toBeUndefined();
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.context.json'))).toBe(true);
+    });
+  });
+
+  describe('per-language settings', () => {
+    let requestBodies;
+    let mockFetch;
+
+    beforeEach(() => {
+      requestBodies = [];
+      mockFetch = global.fetch;
+      global.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        requestBodies.push(body);
+        const entries = JSON.parse(body.jsonInput);
+        const translations = Object.fromEntries(JSON.parse(body.targetLanguages).map(lang => [
+          lang,
+          Object.fromEntries(Object.entries(entries).map(([key, value]) => [key, `${lang}:${value}`])),
+        ]));
+        return { ok: true, status: 200, json: async () => ({ translations }) };
+      };
+    });
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+    });
+
+    test('sends the formality of each language', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({
+        targetLanguages: [{ code: 'de', formality: 'formal' }, { code: 'fr', formality: 'informal' }, 'es'],
+        cache: false,
+      });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBodies[0].formality)).toEqual({ de: 'formal', fr: 'informal' });
+    });
+
+    test('re-translates a language whose formality changed', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      const informal = { targetLanguages: [{ code: 'de', formality: 'informal' }, 'es'], cache: true };
+      const formal = { targetLanguages: [{ code: 'de', formality: 'formal' }, 'es'], cache: true };
+
+      await createPlugin(informal).buildStart();
+      await createPlugin(formal).buildStart();
+
+      expect(requestBodies).toHaveLength(2);
+      expect(JSON.parse(requestBodies[1].targetLanguages)).toEqual(['de']);
+      expect(JSON.parse(requestBodies[1].formality)).toEqual({ de: 'formal' });
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(lock.files['translation.json'].de.greeting.formality).toBe('formal');
+
+      // Without a cache, committed outputs translated with the old formality aren't reused either
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      await createPlugin(informal).buildStart();
+
+      expect(requestBodies).toHaveLength(3);
+      expect(JSON.parse(requestBodies[2].targetLanguages)).toEqual(['de']);
+
+      await createPlugin(informal).buildStart();
+      expect(requestBodies).toHaveLength(3);
+    });
+
+    test('skips files a language excludes', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      fs.mkdirSync(path.join(sourceDir, 'legal'));
+      fs.writeFileSync(path.join(sourceDir, 'legal', 'terms.json'), JSON.stringify({ terms: 'Terms' }));
+
+      const plugin = createPlugin({
+        targetLanguages: ['es', { code: 'de', exclude: ['legal/**'] }],
+        cache: false,
+      });
+      await plugin.buildStart();
+
+      const termsRequest = requestBodies.find(body => 'terms' in JSON.parse(body.jsonInput));
+      expect(JSON.parse(termsRequest.targetLanguages)).toEqual(['es']);
+      expect(fs.existsSync(path.join(outputDir, 'es', 'legal', 'terms.json'))).toBe(true);
+      expect(fs.existsSync(path.join(outputDir, 'de', 'legal', 'terms.json'))).toBe(false);
+      expect(fs.existsSync(path.join(outputDir, 'de', 'translation.json'))).toBe(true);
+    });
+
+    test('writes mapped languages to their folder', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ targetLanguages: [{ code: 'zh-Hant', folder: 'zh-TW' }], cache: false });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBodies[0].targetLanguages)).toEqual(['zh', 'zh-Hant']);
+      const content = JSON.parse(fs.readFileSync(path.join(outputDir, 'zh-TW', 'translation.json'), 'utf-8'));
+      expect(content).toEqual({ greeting: 'zh-Hant:Hello' });
+      expect(fs.existsSync(path.join(outputDir, 'zh-Hant'))).toBe(false);
+
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(Object.keys(lock.files['translation.json'])).toEqual(['zh-Hant']);
+    });
+
+    test('falls back to the configured language', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello', farewell: 'Bye' }));
+      global.fetch = async (url, options) => {
+        requestBodies.push(JSON.parse(options.body));
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({ translations: { 'es-419': { greeting: 'Hola', farewell: 'Chau' }, 'es-MX': { greeting: 'Qué onda' } } }),
+        };
+      };
+
+      const plugin = createPlugin({ targetLanguages: [{ code: 'es-MX', fallback: 'es-419' }], cache: false });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBodies[0].targetLanguages)).toEqual(['es-419', 'es', 'es-MX']);
+      const content = JSON.parse(fs.readFileSync(path.join(outputDir, 'es-MX', 'translation.json'), 'utf-8'));
+      expect(content).toEqual({ greeting: 'Qué onda', farewell: 'Chau' });
+      expect(fs.existsSync(path.join(outputDir, 'es-419'))).toBe(false);
+    });
+
+    test('walks a configured fallback chain key by key', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello', farewell: 'Bye', thanks: 'Thanks' }));
+      global.fetch = async (url, options) => {
+        requestBodies.push(JSON.parse(options.body));
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({
+            translations: {
+              'es-419': { farewell: 'Chau' },
+              es: { farewell: 'Adiós', thanks: 'Gracias' },
+              'es-MX': { greeting: 'Qué onda' },
+            },
+          }),
+        };
+      };
+
+      const plugin = createPlugin({ targetLanguages: [{ code: 'es-MX', fallback: ['es-419', 'es'] }], cache: false });
+      await plugin.buildStart();
+
+      expect(JSON.parse(requestBodies[0].targetLanguages)).toEqual(['es-419', 'es', 'es-MX']);
+      const content = JSON.parse(fs.readFileSync(path.join(outputDir, 'es-MX', 'translation.json'), 'utf-8'));
+      expect(content).toEqual({ greeting: 'Qué onda', farewell: 'Chau', thanks: 'Gracias' });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('es-MX used es-419 for 1 key(s) (regional fallback)'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('es-MX used es for 1 key(s) (regional fallback)'));
+
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      const entries = lock.files['translation.json']['es-MX'];
+      expect(entries.greeting.from).toBe('api');
+      expect(entries.farewell).toMatchObject({ from: 'regional', via: 'es-419' });
+      expect(entries.thanks).toMatchObject({ from: 'regional', via: 'es' });
+    });
+
+    test('prunes outputs of files a language now excludes', async () => {
+      fs.mkdirSync(path.join(sourceDir, 'legal'));
+      fs.writeFileSync(path.join(sourceDir, 'legal', 'terms.json'), JSON.stringify({ terms: 'Terms' }));
+
+      await createPlugin({ targetLanguages: ['es', 'de'], cache: false }).buildStart();
+      expect(fs.existsSync(path.join(outputDir, 'de', 'legal', 'terms.json'))).toBe(true);
+
+      await createPlugin({ targetLanguages: ['es', { code: 'de', exclude: ['legal/**'] }], cache: false, prune: true }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'de'))).toBe(false);
+      expect(fs.existsSync(path.join(outputDir, 'es', 'legal', 'terms.json'))).toBe(true);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('de/legal/terms.json (excluded for the language)'));
+    });
+  });
+
+  describe('offline', () => {
+    test('keeps existing outputs and fills gaps without calling the API', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      fs.mkdirSync(path.join(outputDir, 'es'), { recursive: true });
+      fs.writeFileSync(path.join(outputDir, 'es', 'translation.json'), JSON.stringify({ greeting: 'Hola' }));
+      mockFetchResponse = { error: new Error('fetch should not be called') };
+
+      const plugin = createPlugin({ apiKey: undefined, cache: false });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: 'Hola', farewell: 'Goodbye' });
+      const frContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'fr', 'translation.json'), 'utf-8'));
+      expect(frContent).toEqual({ greeting: 'Hello', farewell: 'Goodbye' });
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Offline, would translate 2 of 2 key(s) to 2 language(s)')
+      );
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('es: 1 missing, 1 kept from the existing output'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('fr: 2 missing, 0 kept from the existing output'));
+    });
+
+    test('only reports keys the lockfile does not vouch for', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      await createPlugin({ cache: true }).buildStart();
+
+      // A fork without the API key or the cache, after a source change
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      const lockBefore = fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8');
+      console.log.mockClear();
+
+      await createPlugin({ apiKey: undefined, cache: true }).buildStart();
+
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Offline, would translate 1 of 2 key(s) to 2 language(s)')
+      );
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: 'Hola', farewell: 'Goodbye' });
+      expect(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8')).toBe(lockBefore);
+    });
+
+    test('validates existing outputs', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ welcome: 'Hi {{name}}' }));
+      fs.mkdirSync(path.join(outputDir, 'es'), { recursive: true });
+      fs.writeFileSync(path.join(outputDir, 'es', 'translation.json'), JSON.stringify({ welcome: 'Hola' }));
+
+      const plugin = createPlugin({ apiKey: undefined, cache: false, targetLanguages: ['es'] });
+      await plugin.buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.welcome).toBe('Hi {{name}}');
+    });
+
+    test('writes nothing for a language without values when fallback disabled', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      await createPlugin({ apiKey: undefined, cache: false, fallback: { fallbackToSource: false } }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.json'))).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('translation.json: No translation for es'));
+    });
+  });
+
+  describe('report', () => {
+    const readReport = () => JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.report.json'), 'utf-8'));
+
+    test('reports where each language got its values', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+
+      const plugin = createPlugin({ cache: true, targetLanguages: ['es', 'pt-BR'], report: true });
+      mockFetchResponse = {
+        ok: true,
+        data: { translations: { es: { greeting: 'Hola' }, pt: { greeting: 'Olá' } } },
+      };
+      await plugin.buildStart();
+
+      const report = readReport();
+      expect(report.files['translation.json'].errors).toEqual([]);
+      expect(report.files['translation.json'].languages.es.counts).toEqual(
+        { api: 1, cache: 0, existing: 0, override: 0, pseudo: 0, regional: 0, source: 1, missing: 0 }
+      );
+      expect(report.files['translation.json'].languages.es.sourceFallbacks).toEqual(['farewell']);
+      expect(report.files['translation.json'].languages['pt-BR'].counts.regional).toBe(1);
+      expect(report.summary.languages.es.coverage).toBe(0.5);
+
+      // A second build serves the same values from the cache
+      await plugin.buildStart();
+      expect(readReport().files['translation.json'].languages.es.counts.cache).toBe(1);
+    });
+
+    test('records API errors and writes JUnit and Markdown reports', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse = { ok: false, status: 500, data: {} };
+
+      const plugin = createPlugin({
+        cache: false,
+        report: { json: 'reports/shipi18n.json', junit: 'reports/junit.xml', markdown: 'reports/summary.md' },
+      });
+      await plugin.buildStart();
+
+      const report = JSON.parse(fs.readFileSync(path.join(tempDir, 'reports', 'shipi18n.json'), 'utf-8'));
+      expect(report.files['translation.json'].errors).toEqual([
+        'translation.json: Translation failed - API request failed: 500',
+      ]);
+      expect(report.summary.failedFiles).toBe(1);
+      expect(fs.readFileSync(path.join(tempDir, 'reports', 'junit.xml'), 'utf-8')).toContain('name="errors"');
+      expect(fs.readFileSync(path.join(tempDir, 'reports', 'summary.md'), 'utf-8')).toContain('Translation failed');
+    });
+
+    test('is written before a strict build fails', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), '{ invalid json');
+      const context = { error: (message) => { throw new Error(message); } };
+
+      const plugin = createPlugin({ failOnError: true, report: true });
+      await expect(plugin.buildStart.call(context)).rejects.toThrow('1 file(s) failed to translate');
+
+      expect(readReport().files['translation.json'].errors).toEqual([
+        expect.stringContaining('translation.json: Could not parse'),
+      ]);
+    });
+
+    test('is not written by default', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      await createPlugin().buildStart();
+
+      expect(fs.existsSync(path.join(tempDir, 'shipi18n.report.json'))).toBe(false);
+    });
+  });
+
+  describe('prune', () => {
+    test('deletes outputs of removed source files and languages', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      fs.mkdirSync(path.join(sourceDir, 'admin'));
+      fs.writeFileSync(path.join(sourceDir, 'admin', 'users.json'), JSON.stringify({ greeting: 'Hello' }));
+      await createPlugin({ cache: false }).buildStart();
+      fs.writeFileSync(path.join(outputDir, 'fr', 'notes.txt'), 'not generated');
+
+      fs.rmSync(path.join(sourceDir, 'admin'), { recursive: true });
+      console.log.mockClear();
+      await createPlugin({ cache: false, targetLanguages: ['es'], prune: true }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'es', 'admin'))).toBe(false);
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.json'))).toBe(true);
+      expect(fs.existsSync(path.join(outputDir, 'fr', 'translation.json'))).toBe(false);
+      expect(fs.existsSync(path.join(outputDir, 'fr', 'notes.txt'))).toBe(true);
+      expect(fs.existsSync(path.join(sourceDir, 'translation.json'))).toBe(true);
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Pruned 3 file(s) and 0 key(s)'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('es/admin/users.json (source file removed)'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('fr/translation.json (language no longer targeted)'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('es/admin/ (empty folder)'));
+    });
+
+    test('deletes the output folder of a removed language with a custom folder', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse.data.translations = { es: { greeting: 'Hola' }, 'zh-Hant': { greeting: '你好' } };
+      await createPlugin({ cache: false, targetLanguages: ['es', { code: 'zh-Hant', folder: 'zh-TW' }] }).buildStart();
+
+      const lock = JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'));
+      expect(lock.folders).toEqual({ 'zh-Hant': 'zh-TW' });
+      expect(fs.existsSync(path.join(outputDir, 'zh-TW', 'translation.json'))).toBe(true);
+
+      await createPlugin({ cache: false, targetLanguages: ['es'], prune: true }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'zh-TW'))).toBe(false);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('zh-TW/translation.json (language no longer targeted)'));
+      expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.lock.json'), 'utf-8'))).not.toHaveProperty('folders');
+    });
+
+    test('deletes the old folder of a language whose folder changed', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse.data.translations = { 'zh-Hant': { greeting: '你好' } };
+      await createPlugin({ cache: false, targetLanguages: [{ code: 'zh-Hant', folder: 'zh-TW' }] }).buildStart();
+
+      await createPlugin({ cache: false, targetLanguages: ['zh-Hant'], prune: true }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'zh-TW'))).toBe(false);
+      expect(fs.existsSync(path.join(outputDir, 'zh-Hant', 'translation.json'))).toBe(true);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('zh-TW/translation.json (language moved to another folder)'));
+    });
+
+    test('removes stale keys from outputs that failed to translate', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      mockFetchResponse = {
+        ok: true,
+        data: { translations: { es: { greeting: 'Hola', farewell: 'Adiós' } } },
+      };
+      await createPlugin({ cache: false, targetLanguages: ['es'] }).buildStart();
+
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse = { error: new Error('Network error') };
+      console.log.mockClear();
+      await createPlugin({
+        cache: false,
+        targetLanguages: ['es'],
+        fallback: { fallbackToSource: false },
+        prune: true,
+      }).buildStart();
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: 'Hola' });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('es/translation.json: Removed stale key(s) farewell')
+      );
+    });
+
+    test('leaves outputs alone when disabled', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      await createPlugin({ cache: false }).buildStart();
+
+      await createPlugin({ cache: false, targetLanguages: ['es'] }).buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'fr', 'translation.json'))).toBe(true);
+    });
+  });
+
+  describe('dryRun', () => {
+    const readPlan = () => JSON.parse(fs.readFileSync(path.join(tempDir, 'shipi18n.plan.json'), 'utf-8'));
+
+    test('writes a plan without calling the API or writing outputs', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse = { error: new Error('fetch should not be called') };
+
+      const plugin = createPlugin({ dryRun: true });
+      await plugin.buildStart();
+
+      expect(fs.existsSync(path.join(outputDir, 'es'))).toBe(false);
+      expect(readPlan()).toEqual({
+        sourceLanguage: 'en',
+        totals: { keys: 2, characters: 10 },
+        languages: { es: { keys: 1, characters: 5 }, fr: { keys: 1, characters: 5 } },
+        files: {
+          'translation.json': {
+            es: { keys: 1, characters: 5, new: ['greeting'], changed: [], removed: [] },
+            fr: { keys: 1, characters: 5, new: ['greeting'], changed: [], removed: [] },
+          },
+        },
+      });
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('translation.json: Would translate 2 key(s) (10 character(s)) across 2 language(s)')
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('Dry run would send 2 key(s) (10 character(s)) across 2 language(s)')
+      );
+    });
+
+    test('plans only new, changed and removed keys since the last build', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      mockFetchResponse = {
+        ok: true,
+        data: { translations: { es: { greeting: 'Hola', farewell: 'Adiós' } } },
+      };
+      await createPlugin({ cache: true, targetLanguages: ['es'] }).buildStart();
+
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hi', title: 'Title' })
+      );
+      await createPlugin({ cache: true, targetLanguages: ['es'], dryRun: { planFile: 'reports/plan.json' } }).buildStart();
+
+      const plan = JSON.parse(fs.readFileSync(path.join(tempDir, 'reports', 'plan.json'), 'utf-8'));
+      expect(plan.files['translation.json'].es).toEqual({
+        keys: 2,
+        characters: 7,
+        new: ['title'],
+        changed: ['greeting'],
+        removed: ['farewell'],
+      });
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent).toEqual({ greeting: 'Hola', farewell: 'Adiós' });
+    });
+
+    test('reports files that are up to date', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      await createPlugin({ cache: true }).buildStart();
+      console.log.mockClear();
+
+      await createPlugin({ cache: true, dryRun: true }).buildStart();
+
+      expect(readPlan().files).toEqual({ 'translation.json': {} });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('translation.json: Up to date'));
+    });
+  });
+
+  describe('failOnError', () => {
+    // Rollup's this.error throws, which fails the build
+    const context = {
+      error: (message) => {
+        throw new Error(message);
+      },
+    };
+
+    test('fails the build when a source file cannot be parsed', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'broken.json'), '{ invalid }');
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+
+      const plugin = createPlugin({ cache: false, failOnError: true });
+
+      await expect(plugin.buildStart.call(context)).rejects.toThrow('broken.json: Could not parse');
+
+      // Other files are still translated before the build fails
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.json'))).toBe(true);
+    });
+
+    test('fails the build when the API fails', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse = { error: new Error('Network error') };
+
+      const plugin = createPlugin({ cache: false, failOnError: true });
+
+      await expect(plugin.buildStart.call(context)).rejects.toThrow(
+        'translation.json: Translation failed - Network error'
+      );
+      expect(fs.existsSync(path.join(outputDir, 'es', 'translation.json'))).toBe(false);
+    });
+
+    test('lists every failed file', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'a.json'), '{ invalid }');
+      fs.writeFileSync(path.join(sourceDir, 'b.json'), '{ invalid }');
+
+      const plugin = createPlugin({ cache: false, failOnError: true });
+
+      await expect(plugin.buildStart.call(context)).rejects.toThrow(
+        /2 file\(s\) failed to translate\n  - a\.json: .*\n  - b\.json: /
+      );
+    });
+
+    test('fails when source fallbacks exceed the threshold', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      mockFetchResponse = {
+        ok: true,
+        data: {
+          translations: {
+            es: { greeting: 'Hola' },
+            fr: { greeting: 'Bonjour', farewell: 'Au revoir' },
+          },
+        },
+      };
+
+      const plugin = createPlugin({ cache: false, failOnError: true });
+
+      await expect(plugin.buildStart.call(context)).rejects.toThrow(
+        'translation.json: Too many keys fell back to source - es (1 of 2)'
+      );
+    });
+
+    test('allows source fallbacks up to the threshold', async () => {
+      fs.writeFileSync(
+        path.join(sourceDir, 'translation.json'),
+        JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' })
+      );
+      mockFetchResponse = {
+        ok: true,
+        data: { translations: { es: { greeting: 'Hola' }, fr: { greeting: 'Bonjour' } } },
+      };
+
+      const plugin = createPlugin({ cache: false, failOnError: { fallbackThreshold: 0.5 } });
+      await plugin.buildStart.call(context);
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.farewell).toBe('Goodbye');
+    });
+
+    test('does not fail the dev server', async () => {
+      fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+      mockFetchResponse = { error: new Error('Network error') };
+
+      const plugin = createPlugin({ cache: false, failOnError: true });
+      plugin.configResolved({ root: tempDir, command: 'serve' });
+      await plugin.buildStart.call(context);
+
+      const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+      expect(esContent.greeting).toBe('Hello');
+    });
+  });
 });
 
 describe('API request format', () => {
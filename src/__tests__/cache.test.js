@@ -0,0 +1,273 @@
+/**
+ * Tests for the key-level translation cache
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  getCacheFile,
+  hashSourceValue,
+  readKeyCache,
+  writeKeyCache,
+  lookupCachedKeys,
+  updateKeyCache,
+} from '../cache.js';
+
+describe('hashSourceValue', () => {
+  test('generates consistent hash for same value', () => {
+    expect(hashSourceValue('Hello', 'en')).toBe(hashSourceValue('Hello', 'en'));
+  });
+
+  test('generates different hash for different values', () => {
+    expect(hashSourceValue('Hello', 'en')).not.toBe(hashSourceValue('Hi', 'en'));
+  });
+
+  test('generates different hash for different source languages', () => {
+    expect(hashSourceValue('Hola', 'en')).not.toBe(hashSourceValue('Hola', 'es'));
+  });
+});
+
+describe('readKeyCache / writeKeyCache', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns empty entries when cache file does not exist', () => {
+    expect(readKeyCache(getCacheFile(tempDir, 'translation.json'))).toEqual({});
+  });
+
+  test('round-trips entries', () => {
+    const cacheFile = getCacheFile(tempDir, 'translation.json');
+    const entries = { es: { greeting: { hash: 'abc', value: 'Hola' } } };
+
+    writeKeyCache(cacheFile, entries);
+
+    expect(readKeyCache(cacheFile)).toEqual(entries);
+  });
+
+  test('ignores cache files from another format version', () => {
+    const cacheFile = getCacheFile(tempDir, 'translation.json');
+    fs.writeFileSync(cacheFile, JSON.stringify({ es: { greeting: 'Hola' } }));
+
+    expect(readKeyCache(cacheFile)).toEqual({});
+  });
+
+  test('throws on corrupted cache file', () => {
+    const cacheFile = getCacheFile(tempDir, 'translation.json');
+    fs.writeFileSync(cacheFile, '{ corrupted }');
+
+    expect(() => readKeyCache(cacheFile)).toThrow();
+  });
+});
+
+describe('lookupCachedKeys', () => {
+  const flatSource = { greeting: 'Hello', 'nav.home': 'Home' };
+
+  test('marks every key pending when cache is empty', () => {
+    const { cached, pending } = lookupCachedKeys({}, { es: flatSource }, ['es'], 'en');
+
+    expect(cached.es).toEqual({});
+    expect(pending.es).toEqual(['greeting', 'nav.home']);
+  });
+
+  test('returns cached values when source hash matches', () => {
+    const entries = {
+      es: {
+        greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hola' },
+        'nav.home': { hash: hashSourceValue('Home', 'en'), value: 'Inicio' },
+      },
+    };
+
+    const { cached, pending } = lookupCachedKeys(entries, { es: flatSource }, ['es'], 'en');
+
+    expect(cached.es).toEqual({ greeting: 'Hola', 'nav.home': 'Inicio' });
+    expect(pending.es).toEqual([]);
+  });
+
+  test('marks key pending when source string changed', () => {
+    const entries = {
+      es: {
+        greeting: { hash: hashSourceValue('Hi', 'en'), value: 'Buenas' },
+        'nav.home': { hash: hashSourceValue('Home', 'en'), value: 'Inicio' },
+      },
+    };
+
+    const { cached, pending } = lookupCachedKeys(entries, { es: flatSource }, ['es'], 'en');
+
+    expect(cached.es).toEqual({ 'nav.home': 'Inicio' });
+    expect(pending.es).toEqual(['greeting']);
+  });
+
+  test('tracks languages independently', () => {
+    const entries = {
+      es: { greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hola' } },
+    };
+
+    const { pending } = lookupCachedKeys(
+      entries,
+      { es: { greeting: 'Hello' }, fr: { greeting: 'Hello' } },
+      ['es', 'fr'],
+      'en'
+    );
+
+    expect(pending.es).toEqual([]);
+    expect(pending.fr).toEqual(['greeting']);
+  });
+
+  test('marks key pending when its context note changed', () => {
+    const entries = {
+      es: {
+        greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hola', context: 'On the home page' },
+        'nav.home': { hash: hashSourceValue('Home', 'en'), value: 'Inicio' },
+      },
+    };
+
+    const { cached, pending } = lookupCachedKeys(entries, { es: flatSource }, ['es'], 'en', {
+      greeting: 'On the home page',
+      'nav.home': 'Navigation link',
+    });
+
+    expect(cached.es).toEqual({ greeting: 'Hola' });
+    expect(pending.es).toEqual(['nav.home']);
+  });
+
+  test('marks keys pending when their glossary terms changed', () => {
+    const entries = {
+      es: {
+        greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hola', terms: 'Hello=Hola' },
+        'nav.home': { hash: hashSourceValue('Home', 'en'), value: 'Inicio' },
+      },
+    };
+
+    const { cached, pending } = lookupCachedKeys(entries, { es: flatSource }, ['es'], 'en', {}, {}, {
+      es: { greeting: 'Hello=Buenas' },
+    });
+
+    expect(cached.es).toEqual({ 'nav.home': 'Inicio' });
+    expect(pending.es).toEqual(['greeting']);
+  });
+
+  test('marks keys pending when the formality changed', () => {
+    const entries = {
+      de: {
+        greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hallo', formality: 'informal' },
+        'nav.home': { hash: hashSourceValue('Home', 'en'), value: 'Startseite' },
+      },
+    };
+
+    const { cached, pending } = lookupCachedKeys(entries, { de: flatSource }, ['de'], 'en', {}, { de: 'formal' });
+
+    expect(cached.de).toEqual({});
+    expect(pending.de).toEqual(['greeting', 'nav.home']);
+  });
+});
+
+describe('updateKeyCache', () => {
+  test('adds translated values with source hash', () => {
+    const updated = updateKeyCache({}, { es: { greeting: 'Hello' } }, { es: { greeting: 'Hola' } }, 'en');
+
+    expect(updated.es.greeting).toEqual({ hash: hashSourceValue('Hello', 'en'), value: 'Hola' });
+  });
+
+  test('keeps valid existing entries', () => {
+    const entries = {
+      es: { farewell: { hash: hashSourceValue('Goodbye', 'en'), value: 'Adiós' } },
+    };
+
+    const updated = updateKeyCache(
+      entries,
+      { es: { greeting: 'Hello', farewell: 'Goodbye' } },
+      { es: { greeting: 'Hola' } },
+      'en'
+    );
+
+    expect(Object.keys(updated.es)).toEqual(['greeting', 'farewell']);
+    expect(updated.es.farewell.value).toBe('Adiós');
+  });
+
+  test('drops keys removed from source', () => {
+    const entries = {
+      es: { removed: { hash: hashSourceValue('Old', 'en'), value: 'Viejo' } },
+    };
+
+    const updated = updateKeyCache(entries, { es: { greeting: 'Hello' } }, {}, 'en');
+
+    expect(updated.es).toEqual({});
+  });
+
+  test('drops languages that are no longer targeted', () => {
+    const entries = {
+      de: { greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hallo' } },
+    };
+
+    const updated = updateKeyCache(entries, { es: { greeting: 'Hello' } }, {}, 'en');
+
+    expect(updated).toEqual({ es: {} });
+  });
+
+  test('keeps per-language keys separate', () => {
+    const updated = updateKeyCache(
+      {},
+      { pl: { items_few: '{{count}} items' }, ja: { items_other: '{{count}} items' } },
+      { pl: { items_few: '{{count}} elementy' }, ja: { items_other: '{{count}} 個' } },
+      'en'
+    );
+
+    expect(Object.keys(updated.pl)).toEqual(['items_few']);
+    expect(Object.keys(updated.ja)).toEqual(['items_other']);
+  });
+
+  test('drops stale entries whose source changed', () => {
+    const entries = {
+      es: { greeting: { hash: hashSourceValue('Hi', 'en'), value: 'Buenas' } },
+    };
+
+    const updated = updateKeyCache(entries, { es: { greeting: 'Hello' } }, {}, 'en');
+
+    expect(updated.es).toEqual({});
+  });
+
+  test('records the context note of translated values', () => {
+    const entries = {
+      es: { farewell: { hash: hashSourceValue('Bye', 'en'), value: 'Adiós' } },
+    };
+
+    const updated = updateKeyCache(
+      entries,
+      { es: { greeting: 'Hello', farewell: 'Bye' } },
+      { es: { greeting: 'Hola' } },
+      'en',
+      { greeting: 'Shown on login', farewell: 'Shown on logout' }
+    );
+
+    expect(updated.es).toEqual({
+      greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Hola', context: 'Shown on login' },
+    });
+  });
+
+  test('records the formality of translated values', () => {
+    const entries = {
+      de: { farewell: { hash: hashSourceValue('Bye', 'en'), value: 'Tschüss', formality: 'informal' } },
+    };
+
+    const updated = updateKeyCache(
+      entries,
+      { de: { greeting: 'Hello', farewell: 'Bye' } },
+      { de: { greeting: 'Guten Tag' } },
+      'en',
+      {},
+      { de: 'formal' }
+    );
+
+    expect(updated.de).toEqual({
+      greeting: { hash: hashSourceValue('Hello', 'en'), value: 'Guten Tag', formality: 'formal' },
+    });
+  });
+});
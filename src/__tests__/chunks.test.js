@@ -0,0 +1,88 @@
+/**
+ * Tests for request chunking
+ */
+
+import { chunkKeys, groupByPendingKeys, mapConcurrent } from '../chunks.js';
+
+describe('chunkKeys', () => {
+  const flatSource = { a: 'One', b: 'Two', c: 'Three', d: 'Four', e: 'Five' };
+
+  test('returns one chunk without limits', () => {
+    expect(chunkKeys(flatSource)).toEqual([flatSource]);
+  });
+
+  test('splits by key count in order', () => {
+    expect(chunkKeys(flatSource, { maxKeys: 2 })).toEqual([
+      { a: 'One', b: 'Two' },
+      { c: 'Three', d: 'Four' },
+      { e: 'Five' },
+    ]);
+  });
+
+  test('splits by payload size', () => {
+    // Each entry is about 11-13 bytes
+    const chunks = chunkKeys(flatSource, { maxBytes: 30 });
+
+    expect(chunks.map(chunk => Object.keys(chunk))).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  test('counts multi-byte characters', () => {
+    const chunks = chunkKeys({ a: 'ü'.repeat(10), b: 'u'.repeat(10) }, { maxBytes: 30 });
+
+    expect(chunks).toHaveLength(2);
+  });
+
+  test('gives an oversized key its own chunk', () => {
+    const chunks = chunkKeys({ a: 'x', big: 'y'.repeat(100), b: 'z' }, { maxBytes: 20 });
+
+    expect(chunks.map(chunk => Object.keys(chunk))).toEqual([['a'], ['big'], ['b']]);
+  });
+
+  test('returns no chunks for empty input', () => {
+    expect(chunkKeys({}, { maxKeys: 2 })).toEqual([]);
+  });
+});
+
+describe('mapConcurrent', () => {
+  test('returns results in item order', async () => {
+    const results = await mapConcurrent([30, 10, 20], 3, async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('limits calls in flight', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapConcurrent([1, 2, 3, 4, 5], 2, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    });
+
+    expect(peak).toBe(2);
+  });
+
+  test('handles empty input', async () => {
+    expect(await mapConcurrent([], 2, async () => 1)).toEqual([]);
+  });
+});
+
+describe('groupByPendingKeys', () => {
+  test('groups languages that need the same keys', () => {
+    const groups = groupByPendingKeys(['es', 'fr', 'de'], { es: ['a'], fr: ['a'], de: ['a', 'b'] });
+
+    expect(groups).toEqual([
+      { languages: ['es', 'fr'], keys: ['a'] },
+      { languages: ['de'], keys: ['a', 'b'] },
+    ]);
+  });
+
+  test('ignores key order', () => {
+    expect(groupByPendingKeys(['es', 'fr'], { es: ['a', 'b'], fr: ['b', 'a'] })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for translator context notes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  getContextFileName,
+  isContextFile,
+  extractNotes,
+  readContextFile,
+  resolveNotes,
+} from '../context.js';
+import { getFormat } from '../formats/index.js';
+
+const SUFFIXES = ['_comment', '_context'];
+
+describe('getContextFileName / isContextFile', () => {
+  test('puts the sidecar next to the source file', () => {
+    expect(getContextFileName('translation.json', getFormat('translation.json'))).toBe('translation.context.json');
+    expect(getContextFileName('admin/messages.yaml', getFormat('messages.yaml'))).toBe('admin/messages.context.json');
+  });
+
+  test('recognizes sidecar files', () => {
+    expect(isContextFile('translation.context.json')).toBe(true);
+    expect(isContextFile('admin/Messages.CONTEXT.json')).toBe(true);
+    expect(isContextFile('context.json')).toBe(false);
+    expect(isContextFile('translation.json')).toBe(false);
+  });
+});
+
+describe('extractNotes', () => {
+  test('moves sibling note keys out of the source', () => {
+    const { source, notes } = extractNotes({
+      close: 'Close',
+      close_comment: 'Button that closes a dialog',
+      nav: { post: 'Post', post_context: 'Verb' },
+    }, SUFFIXES);
+
+    expect(source).toEqual({ close: 'Close', nav: { post: 'Post' } });
+    expect(notes).toEqual({ close: 'Button that closes a dialog', 'nav.post': 'Verb' });
+  });
+
+  test('keeps suffixed keys without a sibling as text', () => {
+    const source = { no_comment: 'No comment', greeting: 'Hello' };
+
+    expect(extractNotes(source, SUFFIXES)).toEqual({ source, notes: {} });
+  });
+
+  test('attaches notes to plural groups', () => {
+    const { source, notes } = extractNotes({
+      items_one: '{{count}} item',
+      items_other: '{{count}} items',
+      items_comment: 'Items in the cart',
+    }, SUFFIXES);
+
+    expect(source).toEqual({ items_one: '{{count}} item', items_other: '{{count}} items' });
+    expect(notes).toEqual({ items: 'Items in the cart' });
+  });
+
+  test('ignores notes when no suffixes are configured', () => {
+    const source = { close: 'Close', close_comment: 'Button' };
+
+    expect(extractNotes(source, [])).toEqual({ source, notes: {} });
+  });
+});
+
+describe('readContextFile', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-context-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns no notes when the file does not exist', () => {
+    expect(readContextFile(path.join(tempDir, 'missing.context.json'))).toEqual({});
+  });
+
+  test('flattens nested notes and skips empty ones', () => {
+    const filePath = path.join(tempDir, 'translation.context.json');
+    fs.writeFileSync(filePath, JSON.stringify({ nav: { post: ' Verb ' }, 'footer.close': 'Button', empty: '' }));
+
+    expect(readContextFile(filePath)).toEqual({ 'nav.post': 'Verb', 'footer\\.close': 'Button' });
+  });
+
+  test('throws on invalid files', () => {
+    const filePath = path.join(tempDir, 'translation.context.json');
+    fs.writeFileSync(filePath, '["close"]');
+
+    expect(() => readContextFile(filePath)).toThrow('expected an object of keys and notes');
+  });
+});
+
+describe('resolveNotes', () => {
+  test('gives plural keys the note of their group', () => {
+    const { notes, unknown } = resolveNotes(
+      { items: 'Items in the cart', close: 'Button', removed: 'Gone' },
+      ['items_one', 'items_few', 'items_other', 'close', 'greeting']
+    );
+
+    expect(notes).toEqual({
+      items_one: 'Items in the cart',
+      items_few: 'Items in the cart',
+      items_other: 'Items in the cart',
+      close: 'Button',
+    });
+    expect(unknown).toEqual(['removed']);
+  });
+
+  test('prefers a note on the exact plural key', () => {
+    const { notes } = resolveNotes({ items: 'Cart', items_one: 'A single item' }, ['items_one', 'items_other']);
+
+    expect(notes).toEqual({ items_one: 'A single item', items_other: 'Cart' });
+  });
+
+  test('matches flat dotted and nested key paths', () => {
+    const { notes, unknown } = resolveNotes(
+      { 'footer\\.close': 'Button', 'app.title': 'Page title' },
+      ['footer.close', 'app\\.title']
+    );
+
+    expect(notes).toEqual({ 'footer.close': 'Button', 'app\\.title': 'Page title' });
+    expect(unknown).toEqual([]);
+  });
+});
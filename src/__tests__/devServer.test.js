@@ -0,0 +1,277 @@
+/**
+ * Tests for dev server hot reload of translations
+ */
+
+import { jest } from '@jest/globals';
+import shipi18nPlugin from '../index.js';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const originalFetch = global.fetch;
+let fetchCalls = [];
+
+beforeAll(() => {
+  global.fetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    fetchCalls.push(body);
+
+    const json = JSON.parse(body.jsonInput);
+    const translations = {};
+    for (const lang of JSON.parse(body.targetLanguages)) {
+      translations[lang] = Object.fromEntries(
+        Object.entries(json).map(([key, value]) => [key, `${lang}:${value}`])
+      );
+    }
+
+    return { ok: true, json: async () => ({ translations }) };
+  };
+});
+
+afterAll(() => {
+  global.fetch = originalFetch;
+});
+
+const originalConsole = { ...console };
+beforeAll(() => {
+  console.log = jest.fn();
+  console.warn = jest.fn();
+  console.error = jest.fn();
+});
+
+afterAll(() => {
+  console.log = originalConsole.log;
+  console.warn = originalConsole.warn;
+  console.error = originalConsole.error;
+});
+
+describe('dev server hot reload', () => {
+  let tempDir;
+  let sourceDir;
+  let outputDir;
+  let server;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-dev-'));
+    sourceDir = path.join(tempDir, 'locales', 'en');
+    outputDir = path.join(tempDir, 'locales');
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fetchCalls = [];
+
+    server = {
+      watcher: { add: jest.fn(), on: jest.fn() },
+      ws: { send: jest.fn() },
+      moduleGraph: { getModuleById: jest.fn(), invalidateModule: jest.fn() },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createPlugin = (options = {}) => {
+    const plugin = shipi18nPlugin({
+      apiKey: 'sk_test_123',
+      targetLanguages: ['es'],
+      sourceDir: path.relative(tempDir, sourceDir),
+      outputDir: path.relative(tempDir, outputDir),
+      cacheDir: '.cache',
+      ...options,
+    });
+    plugin.configResolved({ root: tempDir });
+    return plugin;
+  };
+
+  test('watches source directory', () => {
+    const plugin = createPlugin();
+    plugin.configureServer(server);
+
+    expect(server.watcher.add).toHaveBeenCalledWith(sourceDir);
+    expect(server.watcher.on).toHaveBeenCalledWith('add', expect.any(Function));
+  });
+
+  test('re-applies overrides when an override file changes', async () => {
+    fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello' }));
+    const overrideFile = path.join(tempDir, 'overrides', 'es', 'translation.json');
+    fs.mkdirSync(path.dirname(overrideFile), { recursive: true });
+
+    const plugin = createPlugin({ overridesDir: 'overrides' });
+    plugin.configureServer(server);
+    expect(server.watcher.add).toHaveBeenCalledWith(path.join(tempDir, 'overrides'));
+
+    await plugin.buildStart();
+
+    fs.writeFileSync(overrideFile, JSON.stringify({ greeting: 'Buenas' }));
+    await plugin.handleHotUpdate({ file: overrideFile, server });
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent.greeting).toBe('Buenas');
+    expect(server.ws.send).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ file: 'translation.json', languages: ['es'] }),
+    }));
+  });
+
+  test('re-translates a file when its context file changes', async () => {
+    fs.writeFileSync(path.join(sourceDir, 'translation.json'), JSON.stringify({ greeting: 'Hello', post: 'Post' }));
+    const contextFile = path.join(sourceDir, 'translation.context.json');
+
+    const plugin = createPlugin();
+    await plugin.buildStart();
+
+    fs.writeFileSync(contextFile, JSON.stringify({ post: 'Verb' }));
+    await plugin.handleHotUpdate({ file: contextFile, server });
+
+    expect(fetchCalls).toHaveLength(2);
+    expect(JSON.parse(fetchCalls[1].jsonInput)).toEqual({ post: 'Post' });
+    expect(JSON.parse(fetchCalls[1].keyContext)).toEqual({ post: 'Verb' });
+    expect(fs.existsSync(path.join(outputDir, 'es', 'translation.context.json'))).toBe(false);
+  });
+
+  test('re-translates changed source file and sends update event', async () => {
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hello', farewell: 'Goodbye' }));
+
+    const plugin = createPlugin();
+    await plugin.buildStart();
+
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hi', farewell: 'Goodbye' }));
+    const result = await plugin.handleHotUpdate({ file: sourceFile, server });
+
+    expect(result).toEqual([]);
+    expect(JSON.parse(fetchCalls[1].jsonInput)).toEqual({ greeting: 'Hi' });
+
+    const esContent = JSON.parse(fs.readFileSync(path.join(outputDir, 'es', 'translation.json'), 'utf-8'));
+    expect(esContent).toEqual({ greeting: 'es:Hi', farewell: 'es:Goodbye' });
+
+    expect(server.ws.send).toHaveBeenCalledWith({
+      type: 'custom',
+      event: 'shipi18n:update',
+      data: {
+        file: 'translation.json',
+        namespace: 'translation',
+        languages: ['es'],
+        resources: {
+          en: { greeting: 'Hi', farewell: 'Goodbye' },
+          es: { greeting: 'es:Hi', farewell: 'es:Goodbye' },
+        },
+      },
+    });
+    expect(server.moduleGraph.getModuleById).toHaveBeenCalledWith('\0virtual:shipi18n/locale/es/translation');
+  });
+
+  test('handles changes in nested source directories', async () => {
+    fs.mkdirSync(path.join(sourceDir, 'admin'), { recursive: true });
+    const sourceFile = path.join(sourceDir, 'admin', 'users.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ title: 'Users' }));
+
+    const plugin = createPlugin();
+    await plugin.handleHotUpdate({ file: sourceFile, server });
+
+    expect(fs.existsSync(path.join(outputDir, 'es', 'admin', 'users.json'))).toBe(true);
+    expect(server.ws.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ file: 'admin/users.json', namespace: 'admin/users', languages: ['es'] }),
+      })
+    );
+  });
+
+  test('ignores excluded source files', async () => {
+    const sourceFile = path.join(sourceDir, 'legal.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ terms: 'Terms' }));
+
+    const plugin = createPlugin({ exclude: ['legal.json'] });
+    const result = await plugin.handleHotUpdate({ file: sourceFile, server });
+
+    expect(result).toBeUndefined();
+  });
+
+  test('ignores files outside source directory', async () => {
+    const plugin = createPlugin();
+    const result = await plugin.handleHotUpdate({
+      file: path.join(outputDir, 'es', 'translation.json'),
+      server,
+    });
+
+    expect(result).toBeUndefined();
+    expect(server.ws.send).not.toHaveBeenCalled();
+  });
+
+  test('ignores non-JSON files in source directory', async () => {
+    const plugin = createPlugin();
+    const result = await plugin.handleHotUpdate({
+      file: path.join(sourceDir, 'README.md'),
+      server,
+    });
+
+    expect(result).toBeUndefined();
+  });
+
+  test('translates files added while the server is running', async () => {
+    const plugin = createPlugin();
+    plugin.configureServer(server);
+    const onAdd = server.watcher.on.mock.calls.find(([event]) => event === 'add')[1];
+
+    const sourceFile = path.join(sourceDir, 'common.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ button: 'Click' }));
+    await onAdd(sourceFile);
+
+    expect(fs.existsSync(path.join(outputDir, 'es', 'common.json'))).toBe(true);
+    expect(server.ws.send).toHaveBeenCalledWith(
+      expect.objectContaining({ event: 'shipi18n:update' })
+    );
+  });
+
+  test('invalidates virtual module after an update', async () => {
+    const virtualModule = { id: '\0virtual:shipi18n' };
+    server.moduleGraph.getModuleById.mockReturnValue(virtualModule);
+
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hello' }));
+
+    const plugin = createPlugin();
+    await plugin.handleHotUpdate({ file: sourceFile, server });
+
+    expect(server.moduleGraph.getModuleById).toHaveBeenCalledWith('\0virtual:shipi18n');
+    expect(server.moduleGraph.invalidateModule).toHaveBeenCalledWith(virtualModule);
+  });
+
+  test('runs later updates after a failed one', async () => {
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hello' }));
+    const plugin = createPlugin({ dryRun: true });
+
+    fs.rmSync(sourceFile);
+    await expect(plugin.handleHotUpdate({ file: sourceFile, server })).resolves.toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('translation.json: Hot update failed'));
+
+    console.log.mockClear();
+    fs.writeFileSync(sourceFile, JSON.stringify({ greeting: 'Hi' }));
+    await plugin.handleHotUpdate({ file: sourceFile, server });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('translation.json changed, updating translations'));
+  });
+
+  test('logs failures of files added while the server is running', async () => {
+    const plugin = createPlugin({ dryRun: true });
+    plugin.configureServer(server);
+    const onAdd = server.watcher.on.mock.calls.find(([event]) => event === 'add')[1];
+
+    // The file is gone again by the time the update runs
+    const sourceFile = path.join(sourceDir, 'common.json');
+    fs.writeFileSync(sourceFile, JSON.stringify({ button: 'Click' }));
+    const update = onAdd(sourceFile);
+    fs.rmSync(sourceFile);
+
+    await expect(update).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('common.json: Hot update failed'));
+  });
+
+  test('does not send update event when source file is invalid', async () => {
+    const sourceFile = path.join(sourceDir, 'translation.json');
+    fs.writeFileSync(sourceFile, '{ invalid json }');
+
+    const plugin = createPlugin();
+    await plugin.handleHotUpdate({ file: sourceFile, server });
+
+    expect(server.ws.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for source file discovery
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { globToRegExp, matchesGlob, findFiles } from '../files.js';
+
+describe('globToRegExp', () => {
+  test('* matches within a single directory', () => {
+    const re = globToRegExp('*.json');
+
+    expect(re.test('translation.json')).toBe(true);
+    expect(re.test('admin/users.json')).toBe(false);
+  });
+
+  test('**/ matches zero or more directories', () => {
+    const re = globToRegExp('**/*.json');
+
+    expect(re.test('translation.json')).toBe(true);
+    expect(re.test('admin/users.json')).toBe(true);
+    expect(re.test('a/b/c/deep.json')).toBe(true);
+  });
+
+  test('? matches a single character', () => {
+    const re = globToRegExp('v?.json');
+
+    expect(re.test('v1.json')).toBe(true);
+    expect(re.test('v10.json')).toBe(false);
+  });
+
+  test('{a,b} matches alternatives', () => {
+    const re = globToRegExp('{admin,legal}/*.json');
+
+    expect(re.test('admin/users.json')).toBe(true);
+    expect(re.test('legal/terms.json')).toBe(true);
+    expect(re.test('common/buttons.json')).toBe(false);
+  });
+
+  test('escapes regex characters', () => {
+    const re = globToRegExp('file.(v2).json');
+
+    expect(re.test('file.(v2).json')).toBe(true);
+    expect(re.test('fileX(v2)Xjson')).toBe(false);
+  });
+});
+
+describe('matchesGlob', () => {
+  test('returns true when any pattern matches', () => {
+    expect(matchesGlob('legal/terms.json', ['admin/**', 'legal/**'])).toBe(true);
+  });
+
+  test('returns false for empty pattern list', () => {
+    expect(matchesGlob('translation.json', [])).toBe(false);
+  });
+});
+
+describe('findFiles', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-files-'));
+    fs.mkdirSync(path.join(tempDir, 'admin', 'settings'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'translation.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'README.md'), '');
+    fs.writeFileSync(path.join(tempDir, 'admin', 'users.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'admin', 'settings', 'billing.json'), '{}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('finds files recursively as forward-slash relative paths', () => {
+    const files = findFiles(tempDir, { include: ['**/*.json'] });
+
+    expect(files).toEqual([
+      'admin/settings/billing.json',
+      'admin/users.json',
+      'translation.json',
+    ]);
+  });
+
+  test('applies exclude patterns', () => {
+    const files = findFiles(tempDir, {
+      include: ['**/*.json'],
+      exclude: ['admin/settings/**'],
+    });
+
+    expect(files).toEqual(['admin/users.json', 'translation.json']);
+  });
+
+  test('limits results to include patterns', () => {
+    const files = findFiles(tempDir, { include: ['*.json'] });
+
+    expect(files).toEqual(['translation.json']);
+  });
+});
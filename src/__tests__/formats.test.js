@@ -0,0 +1,340 @@
+/**
+ * Tests for locale file formats
+ */
+
+import { getFormat, getOutputFileName, stripExtension, builtinFormats } from '../formats/index.js';
+import json from '../formats/json.js';
+import json5 from '../formats/json5.js';
+import yaml from '../formats/yaml.js';
+import properties, { parseLines } from '../formats/properties.js';
+import po, { parseCatalog, getMessageKey, getPluralRule } from '../formats/po.js';
+
+describe('getFormat', () => {
+  test('finds built-in formats by extension', () => {
+    expect(getFormat('translation.json')).toBe(json);
+    expect(getFormat('translation.json5')).toBe(json5);
+    expect(getFormat('en.yml')).toBe(yaml);
+    expect(getFormat('en.YAML')).toBe(yaml);
+    expect(getFormat('messages.properties')).toBe(properties);
+    expect(getFormat('messages.pot')).toBe(po);
+    expect(getFormat('messages.po')).toBe(po);
+  });
+
+  test('returns null for unsupported files', () => {
+    expect(getFormat('README.md')).toBeNull();
+  });
+
+  test('prefers custom formats', () => {
+    const custom = { name: 'custom', extensions: ['.json'], parse: () => ({}), serialize: () => '' };
+
+    expect(getFormat('translation.json', [custom, ...builtinFormats])).toBe(custom);
+  });
+});
+
+describe('stripExtension', () => {
+  test('removes the matching extension', () => {
+    expect(stripExtension('admin/users.yaml', yaml)).toBe('admin/users');
+    expect(stripExtension('translation.json', json)).toBe('translation');
+  });
+});
+
+describe('getOutputFileName', () => {
+  test('keeps the source name by default', () => {
+    expect(getOutputFileName('admin/users.json', json)).toBe('admin/users.json');
+  });
+
+  test('writes gettext templates as .po', () => {
+    expect(getOutputFileName('messages.pot', po)).toBe('messages.po');
+  });
+});
+
+describe('json5 format', () => {
+  test('parses comments and unquoted keys', async () => {
+    const data = await json5.parse("{\n  // Greeting\n  greeting: 'Hello',\n}");
+
+    expect(data).toEqual({ greeting: 'Hello' });
+  });
+
+  test('serializes in key order', async () => {
+    const output = await json5.serialize({ b: 'B', a: 'A' });
+
+    expect(output.indexOf('b:')).toBeLessThan(output.indexOf('a:'));
+  });
+});
+
+describe('yaml format', () => {
+  const railsSource = [
+    '# Main translations',
+    'en:',
+    '  greeting: Hello # shown on home page',
+    '  nav:',
+    '    home: "Home"',
+    '    about: About',
+    '',
+  ].join('\n');
+
+  test('unwraps Rails-style root language key', async () => {
+    const data = await yaml.parse(railsSource, { language: 'en' });
+
+    expect(data).toEqual({ greeting: 'Hello', nav: { home: 'Home', about: 'About' } });
+  });
+
+  test('keeps documents without a root language key', async () => {
+    const data = await yaml.parse('greeting: Hello\n', { language: 'en' });
+
+    expect(data).toEqual({ greeting: 'Hello' });
+  });
+
+  test('re-roots under target language and keeps comments and quoting', async () => {
+    const output = await yaml.serialize(
+      { greeting: 'Hola', nav: { home: 'Inicio', about: 'Acerca de' } },
+      { language: 'es', sourceLanguage: 'en', sourceContent: railsSource }
+    );
+
+    expect(output).toBe([
+      '# Main translations',
+      'es:',
+      '  greeting: Hola # shown on home page',
+      '  nav:',
+      '    home: "Inicio"',
+      '    about: Acerca de',
+      '',
+    ].join('\n'));
+  });
+
+  test('removes keys missing from the translation', async () => {
+    const output = await yaml.serialize(
+      { greeting: 'Hola' },
+      { language: 'es', sourceLanguage: 'en', sourceContent: railsSource }
+    );
+
+    expect(await yaml.parse(output, { language: 'es' })).toEqual({ greeting: 'Hola', nav: {} });
+  });
+});
+
+describe('properties format', () => {
+  const source = [
+    '# Buttons',
+    'button.save = Save',
+    'button.cancel:Cancel',
+    '',
+    '! Long text',
+    'welcome=Welcome to \\',
+    '    our app',
+    'path=C:\\\\temp',
+    'unicode=caf\\u00e9',
+  ].join('\n');
+
+  test('parses entries into nested keys', () => {
+    expect(properties.parse(source)).toEqual({
+      button: { save: 'Save', cancel: 'Cancel' },
+      welcome: 'Welcome to our app',
+      path: 'C:\\temp',
+      unicode: 'café',
+    });
+  });
+
+  test('rejects keys that are both a value and a parent', () => {
+    expect(() => properties.parse('button=OK\nbutton.tooltip=Click')).toThrow('both a value and a parent');
+  });
+
+  test('keeps comments, separators and order when serializing', () => {
+    const output = properties.serialize(
+      {
+        button: { save: 'Guardar', cancel: 'Cancelar' },
+        welcome: 'Bienvenido\na la app',
+        path: 'C:\\temp',
+        unicode: 'café',
+      },
+      { sourceContent: source }
+    );
+
+    expect(output).toBe([
+      '# Buttons',
+      'button.save = Guardar',
+      'button.cancel:Cancelar',
+      '',
+      '! Long text',
+      'welcome=Bienvenido\\na la app',
+      'path=C:\\\\temp',
+      'unicode=café',
+      '',
+    ].join('\n'));
+  });
+
+  test('drops missing keys and appends extra keys', () => {
+    const output = properties.serialize(
+      { button: { save: 'Guardar' }, extra: 'Nuevo' },
+      { sourceContent: 'button.save=Save\nbutton.cancel=Cancel\n' }
+    );
+
+    expect(output).toBe('button.save=Guardar\nextra=Nuevo\n');
+  });
+
+  test('parseLines classifies lines', () => {
+    const types = parseLines('# c\n\nkey value\n').map(line => line.type);
+
+    expect(types).toEqual(['comment', 'blank', 'entry']);
+  });
+
+  test('parseLines supports whitespace separator', () => {
+    const [line] = parseLines('key   value');
+
+    expect(line.key).toBe('key');
+    expect(line.value).toBe('value');
+    expect(line.prefix).toBe('key   ');
+  });
+});
+
+describe('po format', () => {
+  const template = [
+    '# Translations template',
+    '#, fuzzy',
+    'msgid ""',
+    'msgstr ""',
+    '"Project-Id-Version: app 1.0\\n"',
+    '"Content-Type: text/plain; charset=CHARSET\\n"',
+    '"Plural-Forms: nplurals=INTEGER; plural=EXPRESSION;\\n"',
+    '',
+    '# Translator: keep it short',
+    '#: src/app.js:10',
+    'msgid "Hello."',
+    'msgstr ""',
+    '',
+    'msgctxt "verb"',
+    'msgid "Post"',
+    'msgstr ""',
+    '',
+    '#, c-format',
+    'msgid "%d file"',
+    'msgid_plural "%d files"',
+    'msgstr[0] ""',
+    'msgstr[1] ""',
+    '',
+    '#~ msgid "Old"',
+    '#~ msgstr ""',
+    '',
+  ].join('\n');
+
+  const keyOf = (msgid, msgctxt) => getMessageKey({ msgid, msgctxt });
+
+  test('parses messages keyed by msgctxt and msgid', () => {
+    const data = po.parse(template);
+
+    expect(data).toEqual({
+      [keyOf('Hello.')]: 'Hello.',
+      [keyOf('Post', 'verb')]: 'Post',
+      [keyOf('%d file')]: { one: '%d file', other: '%d files' },
+    });
+  });
+
+  test('context changes the message key', () => {
+    expect(keyOf('Post', 'verb')).not.toBe(keyOf('Post'));
+    expect(keyOf('Post', 'verb')).toMatch(/^msg_[0-9a-f]{12}$/);
+  });
+
+  test('parses multi-line strings', () => {
+    const [entry] = parseCatalog('msgid ""\n"Line one\\n"\n"Line two"\nmsgstr ""\n');
+
+    expect(entry.msgid).toBe('Line one\nLine two');
+  });
+
+  const translated = {
+    [keyOf('Hello.')]: 'Cześć.',
+    [keyOf('Post', 'verb')]: 'Opublikuj',
+    [keyOf('%d file')]: { one: '%d plik', other: '%d plików' },
+  };
+
+  test('writes msgstr[n] for each plural form of the target language', () => {
+    const output = po.serialize(translated, { language: 'pl', sourceContent: template });
+
+    expect(output).toContain('msgstr[0] "%d plik"\nmsgstr[1] "%d plików"\nmsgstr[2] "%d plików"');
+    expect(output).not.toContain('msgstr[3]');
+  });
+
+  test('writes each requested plural form to its msgstr[n]', () => {
+    const output = po.serialize(
+      { [keyOf('%d file')]: { one: '%d plik', few: '%d pliki', many: '%d plików' } },
+      { language: 'pl', sourceContent: template }
+    );
+
+    expect(output).toContain('msgstr[0] "%d plik"\nmsgstr[1] "%d pliki"\nmsgstr[2] "%d plików"');
+  });
+
+  test('requests every plural form of the target language', () => {
+    const source = po.parse(template);
+
+    expect(po.expandSource(source, { language: 'pl' })[keyOf('%d file')]).toEqual({
+      one: '%d file',
+      few: '%d files',
+      many: '%d files',
+    });
+    expect(po.expandSource(source, { language: 'ja' })[keyOf('%d file')]).toEqual({ other: '%d files' });
+    expect(po.expandSource(source, { language: 'pl' })[keyOf('Hello.')]).toBe('Hello.');
+  });
+
+  test('writes a single plural form for languages without plurals', () => {
+    const output = po.serialize(
+      { [keyOf('%d file')]: { one: '%d ファイル', other: '%d ファイル' } },
+      { language: 'ja', sourceContent: template }
+    );
+
+    expect(output).toContain('msgid_plural "%d files"\nmsgstr[0] "%d ファイル"\n');
+    expect(output).not.toContain('msgstr[1]');
+  });
+
+  test('keeps comments, flags, msgctxt and obsolete entries', () => {
+    const output = po.serialize(translated, { language: 'pl', sourceContent: template });
+
+    expect(output).toContain('# Translator: keep it short\n#: src/app.js:10\nmsgid "Hello."\nmsgstr "Cześć."');
+    expect(output).toContain('msgctxt "verb"\nmsgid "Post"\nmsgstr "Opublikuj"');
+    expect(output).toContain('#, c-format\nmsgid "%d file"');
+    expect(output).toContain('#~ msgid "Old"');
+  });
+
+  test('fills in the header for the target language', () => {
+    const output = po.serialize(translated, { language: 'pl', sourceContent: template });
+
+    expect(output).not.toContain('#, fuzzy');
+    expect(output).toContain('"Content-Type: text/plain; charset=UTF-8\\n"');
+    expect(output).toContain(`"Plural-Forms: nplurals=3; plural=${getPluralRule('pl').plural};\\n"`);
+    expect(output).toContain('"Language: pl\\n"');
+  });
+
+  test('reads msgstr values from translated catalogs', () => {
+    const plural = { one: '%d plik', few: '%d pliki', many: '%d plików' };
+    const output = po.serialize({ ...translated, [keyOf('%d file')]: plural }, { language: 'pl', sourceContent: template });
+
+    expect(po.parse(output, { language: 'pl', sourceLanguage: 'en' })).toEqual({ ...translated, [keyOf('%d file')]: plural });
+  });
+
+  test('leaves untranslated messages out of translated catalogs', () => {
+    const output = po.serialize({ [keyOf('Hello.')]: 'Bonjour.' }, { language: 'fr', sourceContent: template });
+
+    expect(po.parse(output, { language: 'fr', sourceLanguage: 'en' })).toEqual({ [keyOf('Hello.')]: 'Bonjour.' });
+  });
+
+  test('leaves msgstr empty for untranslated messages', () => {
+    const output = po.serialize({}, { language: 'fr', sourceContent: template });
+
+    expect(output).toContain('msgid "Hello."\nmsgstr ""');
+    expect(output).toContain('msgstr[0] ""\nmsgstr[1] ""');
+  });
+});
+
+describe('getPluralRule', () => {
+  test('uses base language rule for regional variants', () => {
+    expect(getPluralRule('ru-UA')).toBe(getPluralRule('ru'));
+  });
+
+  test('defaults to two forms', () => {
+    expect(getPluralRule('de').nplurals).toBe(2);
+  });
+
+  test('has one category per form', () => {
+    for (const language of ['ar', 'pl', 'lv', 'sl', 'ja']) {
+      const rule = getPluralRule(language);
+      expect(rule.categories).toHaveLength(rule.nplurals);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for glossary term protection and checks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  normalizeGlossary,
+  readGlossary,
+  getApprovedTerm,
+  protectTerms,
+  restoreTerms,
+  createGlossaryValidator,
+  getTermSignatures,
+} from '../glossary.js';
+
+const glossary = normalizeGlossary({
+  doNotTranslate: ['Shipi18n', 'Workspace'],
+  terms: { Seat: { es: 'Licencia', fr: 'Siège' } },
+});
+
+describe('normalizeGlossary', () => {
+  test('fills in defaults', () => {
+    expect(normalizeGlossary({})).toEqual({ doNotTranslate: [], terms: {} });
+  });
+
+  test('rejects invalid glossaries', () => {
+    expect(() => normalizeGlossary(['Workspace'])).toThrow('glossary must be an object');
+    expect(() => normalizeGlossary({ doNotTranslate: 'Workspace' })).toThrow('doNotTranslate must be an array');
+    expect(() => normalizeGlossary({ terms: { Seat: 'Licencia' } })).toThrow('glossary term "Seat"');
+  });
+});
+
+describe('readGlossary', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-glossary-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('reads a JSON file', () => {
+    const file = path.join(tempDir, 'glossary.json');
+    fs.writeFileSync(file, JSON.stringify({ doNotTranslate: ['Workspace'] }));
+
+    expect(readGlossary(file)).toEqual({ doNotTranslate: ['Workspace'], terms: {} });
+  });
+
+  test('reports unreadable files', () => {
+    expect(() => readGlossary(path.join(tempDir, 'missing.json'))).toThrow('Could not read glossary');
+  });
+});
+
+describe('getApprovedTerm', () => {
+  test('uses the language, then its base language, then the source term', () => {
+    expect(getApprovedTerm(glossary, 'Seat', 'es')).toBe('Licencia');
+    expect(getApprovedTerm(glossary, 'Seat', 'es-MX')).toBe('Licencia');
+    expect(getApprovedTerm(glossary, 'Seat', 'de')).toBe('Seat');
+    expect(getApprovedTerm(glossary, 'Workspace', 'es')).toBe('Workspace');
+  });
+});
+
+describe('getTermSignatures', () => {
+  test('lists the approved terms each value uses', () => {
+    const signatures = getTermSignatures(
+      { seats: 'Add Seat to Workspace', title: 'Welcome', count: 3 },
+      glossary,
+      'es'
+    );
+
+    expect(signatures).toEqual({ seats: 'Seat=Licencia; Workspace=Workspace' });
+  });
+
+  test('changes when an approved term changes', () => {
+    const changed = normalizeGlossary({ terms: { Seat: { es: 'Plaza' } } });
+
+    expect(getTermSignatures({ seats: 'Add Seat' }, changed, 'es')).not.toEqual(
+      getTermSignatures({ seats: 'Add Seat' }, glossary, 'es')
+    );
+    expect(getTermSignatures({ seats: 'Add Seat' }, changed, 'fr')).toEqual({ seats: 'Seat=Seat' });
+  });
+});
+
+describe('protectTerms / restoreTerms', () => {
+  test('replaces whole-word terms with placeholders', () => {
+    const { values, tokens } = protectTerms({
+      title: 'Your Workspace',
+      seats: 'Add a Seat to your Workspace',
+      other: 'Workspaces and Seating',
+      list: ['Workspace'],
+    }, glossary);
+
+    expect(values).toEqual({
+      title: 'Your {{shipi18n_term_0}}',
+      seats: 'Add a {{shipi18n_term_1}} to your {{shipi18n_term_0}}',
+      other: 'Workspaces and Seating',
+      list: ['Workspace'],
+    });
+    expect(tokens).toEqual(['Workspace', 'Seat']);
+  });
+
+  test('restores approved terms per language', () => {
+    const tokens = ['Workspace', 'Seat'];
+    const translation = { seats: 'Añade una {{shipi18n_term_1}} a tu {{ shipi18n_term_0 }}' };
+
+    expect(restoreTerms(translation, tokens, glossary, 'es')).toEqual({
+      seats: 'Añade una Licencia a tu Workspace',
+    });
+    expect(restoreTerms(translation, tokens, glossary, 'de').seats).toBe('Añade una Seat a tu Workspace');
+  });
+
+  test('leaves values unchanged without glossary terms', () => {
+    const source = { title: 'Hello' };
+
+    expect(protectTerms(source, normalizeGlossary({}))).toEqual({ values: source, tokens: [] });
+  });
+});
+
+describe('createGlossaryValidator', () => {
+  const validate = createGlossaryValidator(glossary);
+
+  test('accepts translations that keep terms', () => {
+    expect(validate('Open Workspace', 'Abrir Workspace', { language: 'es' })).toBeUndefined();
+    expect(validate('Add a Seat', 'Añadir Licencia', { language: 'es' })).toBeUndefined();
+  });
+
+  test('reports translated do-not-translate terms', () => {
+    expect(validate('Open Workspace', 'Abrir espacio de trabajo', { language: 'es' })).toEqual({
+      error: 'Missing glossary term "Workspace"',
+    });
+  });
+
+  test('reports unapproved term translations', () => {
+    expect(validate('Add a Seat', 'Añadir asiento', { language: 'es' })).toEqual({
+      error: 'Missing glossary term "Licencia" (for "Seat")',
+    });
+  });
+
+  test('ignores sources without terms', () => {
+    expect(validate('Hello', 'Hola', { language: 'es' })).toBeUndefined();
+  });
+});
@@ -8,7 +8,11 @@ import {
   setNestedValue,
   processRegionalLanguages,
   applyFallbacks,
+  flattenKeys,
+  unflattenKeys,
+  countSourceFallbacks,
 } from '../index.js';
+import { deleteNestedValue, splitKeyPath, joinKeyPath } from '../keys.js';
 
 describe('findMissingKeys', () => {
   test('finds missing top-level keys', () => {
@@ -230,8 +234,8 @@ describe('processRegionalLanguages', () => {
     expect(processedTargets).toContain('pt-BR');
     expect(processedTargets).toContain('zh');
     expect(processedTargets).toContain('zh-CN');
-    expect(regionalMap['pt-BR']).toBe('pt');
-    expect(regionalMap['zh-CN']).toBe('zh');
+    expect(regionalMap['pt-BR']).toEqual(['pt']);
+    expect(regionalMap['zh-CN']).toEqual(['zh']);
   });
 
   test('does not add base language if already in targets', () => {
@@ -243,7 +247,7 @@ describe('processRegionalLanguages', () => {
     // Should not have duplicate 'pt'
     const ptCount = processedTargets.filter((l) => l === 'pt').length;
     expect(ptCount).toBe(1);
-    expect(regionalMap['pt-BR']).toBe('pt');
+    expect(regionalMap['pt-BR']).toEqual(['pt']);
   });
 
   test('skips regional processing when disabled', () => {
@@ -268,8 +272,19 @@ describe('processRegionalLanguages', () => {
     expect(processedTargets).toContain('pt-BR');
     expect(processedTargets).toContain('zh');
     expect(processedTargets).toContain('zh-TW');
-    expect(regionalMap['pt-BR']).toBe('pt');
-    expect(regionalMap['zh-TW']).toBe('zh');
+    expect(regionalMap['pt-BR']).toEqual(['pt']);
+    expect(regionalMap['zh-TW']).toEqual(['zh']);
+  });
+
+  test('uses configured fallback languages instead of the base language', () => {
+    const { processedTargets, regionalMap } = processRegionalLanguages(
+      ['es-MX', 'pt-BR', 'de-AT'],
+      true,
+      { 'es-MX': 'es-419', 'pt-BR': false }
+    );
+
+    expect(processedTargets).toEqual(['es-419', 'es', 'es-MX', 'pt-BR', 'de', 'de-AT']);
+    expect(regionalMap).toEqual({ 'es-MX': ['es-419', 'es'], 'de-AT': ['de'] });
   });
 
   test('handles multiple variants of same base', () => {
@@ -281,8 +296,8 @@ describe('processRegionalLanguages', () => {
     // Should only add 'zh' once
     const zhCount = processedTargets.filter((l) => l === 'zh').length;
     expect(zhCount).toBe(1);
-    expect(regionalMap['zh-CN']).toBe('zh');
-    expect(regionalMap['zh-TW']).toBe('zh');
+    expect(regionalMap['zh-CN']).toEqual(['zh']);
+    expect(regionalMap['zh-TW']).toEqual(['zh']);
   });
 });
 
@@ -296,7 +311,7 @@ describe('applyFallbacks', () => {
     const result = {
       pt: { greeting: 'Olá', farewell: 'Adeus' },
     };
-    const regionalMap = { 'pt-BR': 'pt' };
+    const regionalMap = { 'pt-BR': ['pt'] };
 
     const applied = applyFallbacks(
       result,
@@ -313,6 +328,17 @@ describe('applyFallbacks', () => {
     expect(applied.fallbackInfo.regionalFallbacks['pt-BR']).toBe('pt');
   });
 
+  test('accepts a single base language in the regional map', () => {
+    const result = {
+      pt: { greeting: 'Olá', farewell: 'Adeus' },
+    };
+
+    const applied = applyFallbacks(result, sourceContent, ['pt-BR'], 'en', true, true, { 'pt-BR': 'pt' });
+
+    expect(applied['pt-BR']).toEqual({ greeting: 'Olá', farewell: 'Adeus' });
+    expect(applied.fallbackInfo.regionalFallbacks['pt-BR']).toBe('pt');
+  });
+
   test('falls back to source when translation missing', () => {
     const result = {};
 
@@ -357,7 +383,7 @@ describe('applyFallbacks', () => {
       pt: { greeting: 'Olá', farewell: 'Adeus' },
       'pt-BR': { greeting: 'Oi' }, // missing farewell
     };
-    const regionalMap = { 'pt-BR': 'pt' };
+    const regionalMap = { 'pt-BR': ['pt'] };
 
     const applied = applyFallbacks(
       result,
@@ -373,6 +399,20 @@ describe('applyFallbacks', () => {
     expect(applied['pt-BR'].farewell).toBe('Adeus');
   });
 
+  test('walks the chain for missing languages and keys', () => {
+    const result = {
+      'zh-Hant': { greeting: '你好' },
+      zh: { greeting: '你好', farewell: '再见' },
+    };
+    const regionalMap = { 'zh-Hant-HK': ['zh-Hant', 'zh'] };
+
+    const applied = applyFallbacks(result, sourceContent, ['zh-Hant-HK'], 'en', true, true, regionalMap);
+
+    expect(applied['zh-Hant-HK']).toEqual({ greeting: '你好', farewell: '再见' });
+    expect(applied.fallbackInfo.regionalFallbacks['zh-Hant-HK']).toBe('zh-Hant');
+    expect(applied.fallbackInfo.fallbackLinks['zh-Hant-HK']).toEqual({ greeting: 'zh-Hant', farewell: 'zh' });
+  });
+
   test('does not modify when fallbackToSource is false', () => {
     const result = {};
 
@@ -428,3 +468,161 @@ describe('applyFallbacks', () => {
     expect(applied.fallbackInfo).toBeUndefined();
   });
 });
+
+describe('flattenKeys', () => {
+  test('flattens nested objects to dot-notation paths', () => {
+    const flat = flattenKeys({ greeting: 'Hello', nav: { home: 'Home', about: 'About' } });
+
+    expect(flat).toEqual({ greeting: 'Hello', 'nav.home': 'Home', 'nav.about': 'About' });
+  });
+
+  test('treats arrays as leaf values', () => {
+    const flat = flattenKeys({ days: ['Mon', 'Tue'] });
+
+    expect(flat).toEqual({ days: ['Mon', 'Tue'] });
+  });
+});
+
+describe('unflattenKeys', () => {
+  test('rebuilds nested objects', () => {
+    const obj = unflattenKeys({ greeting: 'Hello', 'nav.home': 'Home' });
+
+    expect(obj).toEqual({ greeting: 'Hello', nav: { home: 'Home' } });
+  });
+
+  test('round-trips with flattenKeys', () => {
+    const source = { a: { b: { c: 'deep' } }, d: 'top' };
+
+    expect(unflattenKeys(flattenKeys(source))).toEqual(source);
+  });
+
+  test('keeps flat keys with dots whole', () => {
+    const source = { 'app.title': 'Hello', 'Welcome to our site.': 'Welcome.', nav: { 'a.b\\c': 'x' } };
+    const flat = flattenKeys(source);
+
+    expect(Object.keys(flat)).toEqual(['app\\.title', 'Welcome to our site\\.', 'nav.a\\.b\\\\c']);
+    expect(unflattenKeys(flat)).toEqual(source);
+    expect(getNestedValue(source, 'app\\.title')).toBe('Hello');
+  });
+});
+
+describe('splitKeyPath / joinKeyPath', () => {
+  test('splits on unescaped dots only', () => {
+    expect(splitKeyPath('nav.home')).toEqual(['nav', 'home']);
+    expect(splitKeyPath('app\\.title.x')).toEqual(['app.title', 'x']);
+    expect(splitKeyPath('end\\.')).toEqual(['end.']);
+  });
+
+  test('round-trips keys with dots and backslashes', () => {
+    const keys = ['a.b', 'c\\d', 'e.'];
+
+    expect(splitKeyPath(joinKeyPath(keys))).toEqual(keys);
+  });
+});
+
+describe('deleteNestedValue', () => {
+  test('deletes top-level value', () => {
+    const obj = { a: 1, b: 2 };
+    deleteNestedValue(obj, 'a');
+
+    expect(obj).toEqual({ b: 2 });
+  });
+
+  test('deletes nested value', () => {
+    const obj = { a: { b: 1, c: 2 } };
+    deleteNestedValue(obj, 'a.b');
+
+    expect(obj).toEqual({ a: { c: 2 } });
+  });
+
+  test('ignores missing paths', () => {
+    const obj = { a: 1 };
+    deleteNestedValue(obj, 'x.y');
+
+    expect(obj).toEqual({ a: 1 });
+  });
+});
+
+describe('applyFallbacks with plural suffixes', () => {
+  const source = { files_one: '{{count}} file', files_other: '{{count}} files' };
+
+  test('fills missing Polish plural forms', () => {
+    const result = { pl: { files_one: '{{count}} plik', files_other: '{{count}} pliku' } };
+
+    applyFallbacks(result, source, ['pl'], 'en', true, true, {}, true);
+
+    expect(result.pl).toEqual({
+      files_one: '{{count}} plik',
+      files_other: '{{count}} pliku',
+      files_few: '{{count}} files',
+      files_many: '{{count}} files',
+    });
+    expect(result.fallbackInfo.keysFallback.pl).toEqual(['files_few', 'files_many']);
+  });
+
+  test('drops plural forms Japanese does not use', () => {
+    const result = { ja: { files_one: '{{count}} ファイル', files_other: '{{count}} ファイル' } };
+
+    applyFallbacks(result, source, ['ja'], 'en', true, true, {}, true);
+
+    expect(result.ja).toEqual({ files_other: '{{count}} ファイル' });
+    expect(result.fallbackInfo).toBeUndefined();
+  });
+
+  test('compares one-for-one when disabled', () => {
+    const result = { ja: { files_other: '{{count}} ファイル' } };
+
+    applyFallbacks(result, source, ['ja'], 'en', true, true, {});
+
+    expect(result.ja.files_one).toBe('{{count}} file');
+  });
+});
+
+describe('countSourceFallbacks', () => {
+  const flatSources = {
+    es: { greeting: 'Hello', farewell: 'Goodbye' },
+    fr: { greeting: 'Hello', farewell: 'Goodbye' },
+    'pt-BR': { greeting: 'Hello', farewell: 'Goodbye' },
+  };
+
+  test('returns zero counts without fallbackInfo', () => {
+    const result = { es: { greeting: 'Hola', farewell: 'Adiós' } };
+
+    expect(countSourceFallbacks(result, flatSources, ['es'])).toEqual({ es: { count: 0, total: 2 } });
+  });
+
+  test('counts whole-language source fallbacks', () => {
+    const result = {
+      fr: { greeting: 'Hello', farewell: 'Goodbye' },
+      fallbackInfo: { languagesFallbackToSource: ['fr'], keysFallback: {} },
+    };
+
+    expect(countSourceFallbacks(result, flatSources, ['fr']).fr).toEqual({ count: 2, total: 2 });
+  });
+
+  test('counts missing keys and unrepaired validation failures', () => {
+    const result = {
+      es: { greeting: 'Hello', farewell: 'Goodbye' },
+      fallbackInfo: {
+        languagesFallbackToSource: [],
+        keysFallback: { es: ['greeting'] },
+        validationFailures: { es: { farewell: 'Missing placeholder' } },
+      },
+    };
+
+    expect(countSourceFallbacks(result, flatSources, ['es']).es).toEqual({ count: 2, total: 2 });
+  });
+
+  test('ignores keys filled by regional fallback or repaired', () => {
+    const result = {
+      'pt-BR': { greeting: 'Olá', farewell: 'Tchau {{name}}' },
+      fallbackInfo: {
+        languagesFallbackToSource: [],
+        keysFallback: { 'pt-BR': ['greeting'] },
+        validationFailures: { 'pt-BR': { farewell: 'Placeholder {{nome}} should be {{name}} (repaired)' } },
+      },
+    };
+
+    expect(countSourceFallbacks(result, flatSources, ['pt-BR'])['pt-BR']).toEqual({ count: 0, total: 2 });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for ICU MessageFormat parsing and validation
+ */
+
+import {
+  parseICU,
+  collectArguments,
+  getPluralCategories,
+  getRequiredPluralCategories,
+  validateICUMessage,
+} from '../icu.js';
+
+describe('parseICU', () => {
+  test('parses plain text', () => {
+    expect(parseICU('Hello world')).toEqual([{ type: 'text', value: 'Hello world' }]);
+  });
+
+  test('parses simple and formatted arguments', () => {
+    const nodes = parseICU('Hi {name}, you have {total, number, integer}');
+
+    expect(nodes[1]).toEqual({ type: 'argument', name: 'name' });
+    expect(nodes[3]).toEqual({ type: 'argument', name: 'total', format: 'number', style: 'integer' });
+  });
+
+  test('parses plural with offset, exact matches and pound', () => {
+    const [node] = parseICU('{count, plural, offset:1 =0 {none} one {# item} other {# items}}');
+
+    expect(node.type).toBe('plural');
+    expect(node.offset).toBe(1);
+    expect(Object.keys(node.options)).toEqual(['=0', 'one', 'other']);
+    expect(node.options.one[0]).toEqual({ type: 'pound' });
+  });
+
+  test('parses nested select inside plural', () => {
+    const [node] = parseICU('{count, plural, other {{gender, select, male {he} other {they}} has #}}');
+
+    expect(node.options.other[0].type).toBe('select');
+  });
+
+  test('handles apostrophe quoting', () => {
+    expect(parseICU("It''s '{literal}'")).toEqual([{ type: 'text', value: "It's {literal}" }]);
+  });
+
+  test('throws on unbalanced braces', () => {
+    expect(() => parseICU('{count, plural, one {# item} other {# items}')).toThrow(SyntaxError);
+    expect(() => parseICU('Hello }')).toThrow('Unexpected "}"');
+  });
+
+  test('throws when other is missing', () => {
+    expect(() => parseICU('{count, plural, one {# item}}')).toThrow('Missing "other"');
+  });
+
+  test('rejects i18next double-brace interpolation', () => {
+    expect(() => parseICU('Hello {{name}}')).toThrow('Expected argument name');
+  });
+});
+
+describe('collectArguments', () => {
+  test('collects argument names and types recursively', () => {
+    const args = collectArguments(parseICU('{count, plural, other {{name} has # items}}'));
+
+    expect([...args.keys()]).toEqual(['count', 'name']);
+    expect([...args.get('count')]).toEqual(['plural']);
+    expect([...args.get('name')]).toEqual(['simple']);
+  });
+});
+
+describe('getPluralCategories', () => {
+  test('returns CLDR categories for a locale', () => {
+    expect(getPluralCategories('pl')).toEqual(expect.arrayContaining(['one', 'few', 'many', 'other']));
+    expect(getPluralCategories('ja')).toEqual(['other']);
+  });
+
+  test('returns null for invalid locales', () => {
+    expect(getPluralCategories('not a locale!')).toBeNull();
+  });
+});
+
+describe('getRequiredPluralCategories', () => {
+  test('leaves out categories only used for huge numbers', () => {
+    expect(getPluralCategories('es')).toContain('many');
+    expect(getRequiredPluralCategories('es')).toEqual(['one', 'other']);
+  });
+
+  test('keeps categories used for everyday counts', () => {
+    expect(getRequiredPluralCategories('pl')).toEqual(expect.arrayContaining(['one', 'few', 'many']));
+  });
+});
+
+describe('validateICUMessage', () => {
+  const source = '{count, plural, one {# file} other {# files}}';
+
+  test('ignores strings that are not ICU messages', () => {
+    expect(validateICUMessage('Hello {{name}}', 'Hola', { language: 'es' })).toBeUndefined();
+    expect(validateICUMessage('Hello', 'Hola {', { language: 'es' })).toBeUndefined();
+  });
+
+  test('accepts a valid translation', () => {
+    const result = validateICUMessage(source, '{count, plural, one {# archivo} other {# archivos}}', { language: 'es' });
+
+    expect(result).toBeUndefined();
+  });
+
+  test('reports invalid syntax', () => {
+    const result = validateICUMessage(source, '{count, plural, one {# archivo} other {# archivos}', { language: 'es' });
+
+    expect(result.error).toContain('Invalid ICU syntax');
+  });
+
+  test('reports renamed arguments', () => {
+    const result = validateICUMessage('Hi {name}', 'Hola {nombre}', { language: 'es' });
+
+    expect(result.error).toBe('Missing argument {name}');
+  });
+
+  test('reports extra arguments', () => {
+    const result = validateICUMessage('Hi {name}', 'Hola {name} {extra}', { language: 'es' });
+
+    expect(result.error).toBe('Unknown argument {extra}');
+  });
+
+  test('reports changed argument types', () => {
+    const result = validateICUMessage(
+      source,
+      '{count, select, one {# archivo} other {# archivos}}',
+      { language: 'es' }
+    );
+
+    expect(result.error).toBe('Argument {count} changed to select');
+  });
+
+  test('warns about plural categories missing for the target locale', () => {
+    const result = validateICUMessage(source, '{count, plural, one {# plik} other {# plików}}', { language: 'pl' });
+
+    expect(result.warning).toContain('missing categories needed by pl: few, many');
+  });
+
+  test('warns about plural categories the target locale does not use', () => {
+    const result = validateICUMessage(source, '{count, plural, one {#} other {#}}', { language: 'ja' });
+
+    expect(result.warning).toContain('categories not used by ja: one');
+  });
+});
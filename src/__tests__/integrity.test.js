@@ -0,0 +1,142 @@
+/**
+ * Tests for placeholder and markup integrity checks
+ */
+
+import {
+  extractPlaceholders,
+  validatePlaceholders,
+  parseTags,
+  validateMarkup,
+} from '../integrity.js';
+
+describe('extractPlaceholders', () => {
+  test('finds interpolation, nesting and printf tokens in order', () => {
+    const tokens = extractPlaceholders('%s: {{name}} has $t(common.items)');
+
+    expect(tokens.map(({ token, kind }) => [token, kind])).toEqual([
+      ['%s', 'printf'],
+      ['{{name}}', 'interpolation'],
+      ['$t(common.items)', 'nesting'],
+    ]);
+  });
+
+  test('normalizes whitespace inside interpolation', () => {
+    const tokens = extractPlaceholders('{{ count,number }} and {{count, number}}');
+
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].token).toBe('{{count, number}}');
+    expect([...tokens[0].raw]).toEqual(['{{ count,number }}', '{{count, number}}']);
+  });
+
+  test('ignores escaped percent signs', () => {
+    expect(extractPlaceholders('100%% sure')).toEqual([]);
+  });
+});
+
+describe('validatePlaceholders', () => {
+  test('accepts matching placeholders in any order', () => {
+    expect(validatePlaceholders('{{a}} then {{b}}', '{{b}} luego {{a}}')).toBeUndefined();
+  });
+
+  test('accepts strings without placeholders', () => {
+    expect(validatePlaceholders('Hello', 'Hola')).toBeUndefined();
+  });
+
+  test('skips non-string values', () => {
+    expect(validatePlaceholders(['{{a}}'], ['x'])).toBeUndefined();
+  });
+
+  test('repairs a single renamed interpolation', () => {
+    expect(validatePlaceholders('Hello {{name}}', 'Hola {{nombre}}')).toEqual({
+      error: 'Placeholder {{nombre}} should be {{name}}',
+      repaired: 'Hola {{name}}',
+    });
+  });
+
+  test('repairs a translated nesting reference', () => {
+    const outcome = validatePlaceholders('See $t(help.link)', 'Ver $t(ayuda.enlace)');
+
+    expect(outcome.repaired).toBe('Ver $t(help.link)');
+  });
+
+  test('reports missing placeholders', () => {
+    expect(validatePlaceholders('{{count}} items for {{name}}', 'artículos')).toEqual({
+      error: 'Missing placeholder {{count}}, {{name}}',
+    });
+  });
+
+  test('reports unknown placeholders', () => {
+    expect(validatePlaceholders('Hello', 'Hola {{name}}')).toEqual({
+      error: 'Unknown placeholder {{name}}',
+    });
+  });
+
+  test('does not repair across placeholder kinds', () => {
+    expect(validatePlaceholders('Hello %s', 'Hola {{name}}')).toEqual({
+      error: 'Missing placeholder %s',
+    });
+  });
+});
+
+describe('parseTags', () => {
+  test('parses open, close and void tags', () => {
+    const { tags, problem } = parseTags('<p>Hi<br><img src="x" /> <0>there</0></p>');
+
+    expect(tags.map(({ name, type }) => `${type}:${name}`)).toEqual([
+      'open:p',
+      'void:br',
+      'void:img',
+      'open:0',
+      'close:0',
+      'close:p',
+    ]);
+    expect(problem).toBeNull();
+  });
+
+  test('reports crossed tags', () => {
+    expect(parseTags('<b><i>x</b></i>').problem).toBe('Unexpected </b>');
+  });
+
+  test('reports unclosed tags', () => {
+    expect(parseTags('<strong>x').problem).toBe('Unclosed <strong>');
+  });
+});
+
+describe('validateMarkup', () => {
+  test('accepts matching tags', () => {
+    expect(validateMarkup('Click <a href="/x">here</a>', 'Haz clic <a href="/x">aquí</a>')).toBeUndefined();
+  });
+
+  test('accepts plain strings', () => {
+    expect(validateMarkup('a < b', 'a < b')).toBeUndefined();
+  });
+
+  test('reports unbalanced tags', () => {
+    expect(validateMarkup('<strong>Save</strong> now', '<strong>Guardar ahora')).toEqual({
+      error: 'Unclosed <strong>',
+    });
+  });
+
+  test('reports missing tags', () => {
+    expect(validateMarkup('<b>Save</b> <i>now</i>', '<b>Guardar</b> ahora')).toEqual({
+      error: 'Expected 1 <i> tag(s), found 0',
+    });
+  });
+
+  test('reports unknown tags', () => {
+    expect(validateMarkup('Save now', 'Guardar <b>ahora</b>')).toEqual({
+      error: 'Unknown tag <b>',
+    });
+  });
+
+  test('repairs a single translated tag name', () => {
+    expect(validateMarkup('<strong>Save</strong>', '<fuerte>Guardar</fuerte>')).toEqual({
+      error: 'Tag <fuerte> should be <strong>',
+      repaired: '<strong>Guardar</strong>',
+    });
+  });
+
+  test('skips unbalanced sources', () => {
+    expect(validateMarkup('</div>', 'x')).toBeUndefined();
+  });
+});
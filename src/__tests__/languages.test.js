@@ -0,0 +1,51 @@
+/**
+ * Tests for per-language settings
+ */
+
+import { normalizeLanguages } from '../languages.js';
+
+describe('normalizeLanguages', () => {
+  test('expands language codes with default settings', () => {
+    expect(normalizeLanguages(['es'])).toEqual([
+      { code: 'es', formality: null, exclude: [], folder: 'es', fallback: undefined },
+    ]);
+  });
+
+  test('keeps per-language settings', () => {
+    const [de, zh] = normalizeLanguages([
+      { code: 'de', formality: 'formal', exclude: ['legal/**'] },
+      { code: 'zh-Hant', folder: 'zh-TW', fallback: false },
+    ]);
+
+    expect(de).toEqual({ code: 'de', formality: 'formal', exclude: ['legal/**'], folder: 'de', fallback: undefined });
+    expect(zh).toEqual({ code: 'zh-Hant', formality: null, exclude: [], folder: 'zh-TW', fallback: false });
+  });
+
+  test('rejects entries without a code and unknown options', () => {
+    expect(() => normalizeLanguages(['es', { folder: 'de' }])).toThrow(
+      'targetLanguages[1] must be a language code or an object with a code'
+    );
+    expect(() => normalizeLanguages([{ code: 'de', formal: true }])).toThrow(
+      'targetLanguages[0] has unknown option(s) formal'
+    );
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => normalizeLanguages([{ code: 'fr', formality: 'tu' }])).toThrow('fr formality must be "formal" or "informal"');
+    expect(() => normalizeLanguages([{ code: 'fr', exclude: 'legal.json' }])).toThrow('fr exclude must be an array of glob patterns');
+    expect(() => normalizeLanguages([{ code: 'fr', folder: 'fr/CA' }])).toThrow('fr folder must be a single folder name');
+    expect(() => normalizeLanguages([{ code: 'fr', fallback: 'fr' }])).toThrow('fr fallback must be another language code, an array of them or false');
+    expect(() => normalizeLanguages([{ code: 'es-MX', fallback: ['es-419', 'es_ES'] }])).toThrow(
+      'es-MX fallback es_ES is not a valid BCP 47 language tag'
+    );
+  });
+
+  test('rejects duplicate codes and folders', () => {
+    expect(() => normalizeLanguages(['es', { code: 'es', formality: 'formal' }])).toThrow(
+      'targetLanguages lists es more than once'
+    );
+    expect(() => normalizeLanguages(['zh-TW', { code: 'zh-Hant', folder: 'zh-TW' }])).toThrow(
+      'zh-Hant and zh-TW are both written to zh-TW/'
+    );
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the translation lockfile
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  readLockFile,
+  updateLockFile,
+  getValueOrigins,
+  buildLockEntries,
+  findReusableKeys,
+  findStaleOverrides,
+} from '../lockfile.js';
+import { hashSourceValue } from '../cache.js';
+
+describe('readLockFile / updateLockFile', () => {
+  let tempDir;
+  let lockPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-lock-'));
+    lockPath = path.join(tempDir, 'shipi18n.lock.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns an empty lock when the file is missing or invalid', () => {
+    expect(readLockFile(lockPath)).toEqual({ version: 1, files: {} });
+
+    fs.writeFileSync(lockPath, '{ corrupted }');
+    expect(readLockFile(lockPath)).toEqual({ version: 1, files: {} });
+  });
+
+  test('writes sorted files and languages', () => {
+    const entry = { greeting: { hash: 'abc', from: 'api' } };
+    updateLockFile(lockPath, 'en', { files: { 'b.json': { fr: entry, es: entry }, 'a.json': { es: entry } } });
+
+    const content = fs.readFileSync(lockPath, 'utf-8');
+    const lock = JSON.parse(content);
+    expect(lock.sourceLanguage).toBe('en');
+    expect(Object.keys(lock.files)).toEqual(['a.json', 'b.json']);
+    expect(Object.keys(lock.files['b.json'])).toEqual(['es', 'fr']);
+    expect(content.endsWith('}\n')).toBe(true);
+  });
+
+  test('merges files and drops files no longer kept', () => {
+    const entry = { es: { greeting: { hash: 'abc', from: 'api' } } };
+    updateLockFile(lockPath, 'en', { files: { 'a.json': entry, 'b.json': entry } });
+    updateLockFile(lockPath, 'en', { files: { 'c.json': entry } });
+    updateLockFile(lockPath, 'en', { keepFiles: ['a.json', 'c.json'] });
+
+    expect(Object.keys(readLockFile(lockPath).files)).toEqual(['a.json', 'c.json']);
+  });
+
+  test('records output folders and keeps them until replaced', () => {
+    const files = { 'a.json': { 'zh-Hant': { greeting: { hash: 'abc', from: 'api' } } } };
+    updateLockFile(lockPath, 'en', { files, folders: { 'zh-Hant': 'zh-TW' } });
+    updateLockFile(lockPath, 'en', { keepFiles: ['a.json'] });
+
+    expect(readLockFile(lockPath).folders).toEqual({ 'zh-Hant': 'zh-TW' });
+
+    updateLockFile(lockPath, 'en', { folders: {} });
+    expect(readLockFile(lockPath)).not.toHaveProperty('folders');
+  });
+
+  test('only writes when the content changes', () => {
+    const files = { 'a.json': { es: { greeting: { hash: 'abc', from: 'api' } } } };
+
+    expect(updateLockFile(lockPath, 'en', { files })).toBe(true);
+    expect(updateLockFile(lockPath, 'en', { files })).toBe(false);
+  });
+});
+
+describe('getValueOrigins', () => {
+  const flatSources = {
+    es: { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' },
+    'pt-BR': { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' },
+  };
+
+  test('labels api, cache, override, source and regional values', () => {
+    const translations = {
+      es: { a: 'es-A', b: 'es-B', c: 'manual', d: 'D', e: 'E' },
+      'pt-BR': { a: 'pt-A', b: 'pt-B', c: 'C', d: 'D', e: 'E' },
+      fallbackInfo: {
+        validationFailures: { es: { e: 'Missing placeholder {{x}}' } },
+      },
+    };
+
+    const origins = getValueOrigins({
+      translations,
+      flatSources,
+      targetLanguages: ['es', 'pt-BR'],
+      translated: { es: { a: 'es-A', e: 'broken' } },
+      cached: { es: { b: 'es-B' } },
+      overrides: { es: { c: 'manual' } },
+      sourceLanguage: 'en',
+    });
+
+    expect(origins.es).toEqual({ a: 'api', b: 'cache', c: 'override', d: 'source', e: 'source' });
+    expect(origins['pt-BR']).toEqual({ a: 'regional', b: 'regional', c: 'source', d: 'source', e: 'source' });
+  });
+
+  test('labels values an offline build kept from the output', () => {
+    const origins = getValueOrigins({
+      translations: { es: { a: 'es-A', b: 'B' } },
+      flatSources: { es: { a: 'A', b: 'B' } },
+      targetLanguages: ['es'],
+      existing: { es: { a: 'es-A' } },
+      sourceLanguage: 'en',
+    });
+
+    expect(origins.es).toEqual({ a: 'existing', b: 'source' });
+  });
+
+  test('keeps api for cached values the lockfile recorded as translated', () => {
+    const origins = getValueOrigins({
+      translations: { es: { a: 'es-A', b: 'es-B' } },
+      flatSources: { es: { a: 'A', b: 'B' } },
+      targetLanguages: ['es'],
+      cached: { es: { a: 'es-A', b: 'es-B' } },
+      previous: {
+        es: {
+          a: { hash: hashSourceValue('A', 'en'), from: 'api' },
+          b: { hash: hashSourceValue('Old B', 'en'), from: 'api' },
+        },
+      },
+      sourceLanguage: 'en',
+    });
+
+    expect(origins.es).toEqual({ a: 'api', b: 'cache' });
+  });
+
+  test('skips keys without a value', () => {
+    const origins = getValueOrigins({
+      translations: { es: { a: 'es-A' } },
+      flatSources: { es: { a: 'A', b: 'B' } },
+      targetLanguages: ['es'],
+      translated: { es: { a: 'es-A' } },
+      sourceLanguage: 'en',
+    });
+
+    expect(origins.es).toEqual({ a: 'api' });
+  });
+});
+
+describe('buildLockEntries', () => {
+  test('adds the source hash to each origin', () => {
+    const entries = buildLockEntries({ es: { a: 'api' } }, { es: { a: 'A' } }, 'en');
+
+    expect(entries).toEqual({ es: { a: { hash: hashSourceValue('A', 'en'), from: 'api' } } });
+  });
+
+  test('records the chain link regional values came from', () => {
+    const entries = buildLockEntries(
+      { 'es-MX': { a: 'regional', b: 'api' } },
+      { 'es-MX': { a: 'A', b: 'B' } },
+      'en',
+      { 'es-MX': { a: 'es-419' } }
+    );
+
+    expect(entries['es-MX'].a).toEqual({ hash: hashSourceValue('A', 'en'), from: 'regional', via: 'es-419' });
+    expect(entries['es-MX'].b).not.toHaveProperty('via');
+  });
+
+  test('records the formality of machine translations', () => {
+    const entries = buildLockEntries(
+      { de: { a: 'api', b: 'source' } },
+      { de: { a: 'A', b: 'B' } },
+      'en',
+      {},
+      { de: 'formal' }
+    );
+
+    expect(entries.de.a).toEqual({ hash: hashSourceValue('A', 'en'), from: 'api', formality: 'formal' });
+    expect(entries.de.b).not.toHaveProperty('formality');
+  });
+
+  test('records overrides against the current source string', () => {
+    const entries = buildLockEntries({ de: { a: 'override' } }, { de: { a: 'A' } }, 'en', {}, {}, {}, { de: { a: 'Servus' } });
+
+    expect(entries.de.a).toEqual({ hash: hashSourceValue('A', 'en'), from: 'override', override: hashSourceValue('Servus', 'de') });
+  });
+
+  test('keeps the source hash of unchanged overrides until they are edited', () => {
+    const previous = { de: { a: { hash: hashSourceValue('Old', 'en'), from: 'override', override: hashSourceValue('Servus', 'de') } } };
+
+    const unchanged = buildLockEntries({ de: { a: 'override' } }, { de: { a: 'A' } }, 'en', {}, {}, {}, { de: { a: 'Servus' } }, previous);
+    const edited = buildLockEntries({ de: { a: 'override' } }, { de: { a: 'A' } }, 'en', {}, {}, {}, { de: { a: 'Grüß Gott' } }, previous);
+
+    expect(unchanged.de.a.hash).toBe(hashSourceValue('Old', 'en'));
+    expect(edited.de.a).toEqual({ hash: hashSourceValue('A', 'en'), from: 'override', override: hashSourceValue('Grüß Gott', 'de') });
+  });
+});
+
+describe('findStaleOverrides', () => {
+  const flatSources = { de: { greeting: 'Hello', farewell: 'Goodbye' } };
+  const lockEntries = {
+    de: {
+      greeting: { hash: hashSourceValue('Hi', 'en'), from: 'override', override: hashSourceValue('Servus', 'de') },
+      farewell: { hash: hashSourceValue('Goodbye', 'en'), from: 'override', override: hashSourceValue('Tschüss', 'de') },
+    },
+  };
+
+  test('reports unchanged overrides whose source changed', () => {
+    const stale = findStaleOverrides(lockEntries, { de: { greeting: 'Servus', farewell: 'Tschüss' } }, flatSources, 'en');
+
+    expect(stale).toEqual({ de: ['greeting'] });
+  });
+
+  test('ignores edited and new overrides', () => {
+    expect(findStaleOverrides(lockEntries, { de: { greeting: 'Grüß Gott' } }, flatSources, 'en')).toEqual({});
+    expect(findStaleOverrides({}, { de: { greeting: 'Servus' } }, flatSources, 'en')).toEqual({});
+  });
+
+  test('ignores keys that were not overrides before', () => {
+    const machine = { de: { greeting: { hash: hashSourceValue('Hi', 'en'), from: 'api' } } };
+
+    expect(findStaleOverrides(machine, { de: { greeting: 'Servus' } }, flatSources, 'en')).toEqual({});
+  });
+});
+
+describe('findReusableKeys', () => {
+  test('returns machine translations of the current source string', () => {
+    const lockEntries = {
+      es: {
+        a: { hash: hashSourceValue('A', 'en'), from: 'api' },
+        b: { hash: hashSourceValue('Old', 'en'), from: 'api' },
+        c: { hash: hashSourceValue('C', 'en'), from: 'source' },
+        d: { hash: hashSourceValue('D', 'en'), from: 'cache' },
+      },
+    };
+
+    const reusable = findReusableKeys(
+      lockEntries,
+      { es: { a: 'A', b: 'B', c: 'C', d: 'D' }, fr: { a: 'A' } },
+      ['es', 'fr'],
+      'en'
+    );
+
+    expect(reusable).toEqual({ es: ['a', 'd'] });
+  });
+
+  test('skips translations made with another formality', () => {
+    const lockEntries = {
+      de: {
+        a: { hash: hashSourceValue('A', 'en'), from: 'api', formality: 'informal' },
+        b: { hash: hashSourceValue('B', 'en'), from: 'api', formality: 'formal' },
+      },
+    };
+
+    expect(findReusableKeys(lockEntries, { de: { a: 'A', b: 'B' } }, ['de'], 'en', { de: 'formal' })).toEqual({ de: ['b'] });
+    expect(findReusableKeys(lockEntries, { de: { a: 'A', b: 'B' } }, ['de'], 'en')).toEqual({});
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for buffered logging
+ */
+
+import { jest } from '@jest/globals';
+import { createBufferedLogger } from '../logger.js';
+
+describe('createBufferedLogger', () => {
+  const originalConsole = { ...console };
+
+  beforeEach(() => {
+    console.log = jest.fn();
+    console.warn = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsole.log;
+    console.warn = originalConsole.warn;
+    console.error = originalConsole.error;
+  });
+
+  test('holds output until flushed', () => {
+    const logger = createBufferedLogger();
+    logger.log('one');
+
+    expect(console.log).not.toHaveBeenCalled();
+
+    logger.flush();
+    expect(console.log).toHaveBeenCalledWith('one');
+  });
+
+  test('keeps levels and order', () => {
+    const calls = [];
+    console.log = (...args) => calls.push(['log', ...args]);
+    console.warn = (...args) => calls.push(['warn', ...args]);
+    console.error = (...args) => calls.push(['error', ...args]);
+
+    const logger = createBufferedLogger();
+    logger.error('a');
+    logger.log('b', 1);
+    logger.warn('c');
+    logger.flush();
+
+    expect(calls).toEqual([['error', 'a'], ['log', 'b', 1], ['warn', 'c']]);
+  });
+
+  test('only prints each line once', () => {
+    const logger = createBufferedLogger();
+    logger.log('one');
+    logger.flush();
+    logger.flush();
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for dry-run planning
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { countCharacters, planFileChanges, summarizePlan, writePlanFile } from '../plan.js';
+
+describe('countCharacters', () => {
+  test('counts string lengths', () => {
+    expect(countCharacters(['Hello', 'Hi'])).toBe(7);
+  });
+
+  test('counts non-string values as JSON', () => {
+    expect(countCharacters([['a', 'b']])).toBe(JSON.stringify(['a', 'b']).length);
+  });
+});
+
+describe('planFileChanges', () => {
+  const flatSources = { es: { greeting: 'Hello', farewell: 'Goodbye', title: 'Title' } };
+
+  test('splits pending keys into new and changed', () => {
+    const plan = planFileChanges({
+      flatSources,
+      pending: { es: ['greeting', 'farewell'] },
+      languages: ['es'],
+      cacheEntries: { es: { greeting: { hash: 'old', value: 'Hola' } } },
+    });
+
+    expect(plan.es).toEqual({
+      keys: 2,
+      characters: 12,
+      new: ['farewell'],
+      changed: ['greeting'],
+      removed: [],
+    });
+  });
+
+  test('treats keys in the lockfile or output as changed', () => {
+    const plan = planFileChanges({
+      flatSources,
+      pending: { es: ['greeting', 'farewell', 'title'] },
+      languages: ['es'],
+      lockEntries: { es: { greeting: { hash: 'old', from: 'api' } } },
+      outputs: { es: { farewell: 'Adiós' } },
+    });
+
+    expect(plan.es.new).toEqual(['title']);
+    expect(plan.es.changed).toEqual(['greeting', 'farewell']);
+  });
+
+  test('reports keys no longer in the source as removed', () => {
+    const plan = planFileChanges({
+      flatSources,
+      pending: { es: [] },
+      languages: ['es'],
+      cacheEntries: { es: { old: { hash: 'abc', value: 'Viejo' } } },
+      outputs: { es: { greeting: 'Hola', legacy: 'Antiguo' } },
+    });
+
+    expect(plan.es).toEqual({ keys: 0, characters: 0, new: [], changed: [], removed: ['legacy', 'old'] });
+  });
+
+  test('leaves out languages with nothing to do', () => {
+    const plan = planFileChanges({
+      flatSources: { ...flatSources, fr: flatSources.es },
+      pending: { es: ['greeting'], fr: [] },
+      languages: ['es', 'fr'],
+    });
+
+    expect(Object.keys(plan)).toEqual(['es']);
+  });
+});
+
+describe('summarizePlan', () => {
+  test('adds up keys and characters per language and overall', () => {
+    const summary = summarizePlan({
+      'a.json': { es: { keys: 2, characters: 10 }, fr: { keys: 1, characters: 5 } },
+      'b.json': { es: { keys: 1, characters: 4 } },
+    });
+
+    expect(summary.totals).toEqual({ keys: 4, characters: 19 });
+    expect(summary.languages).toEqual({
+      es: { keys: 3, characters: 14 },
+      fr: { keys: 1, characters: 5 },
+    });
+  });
+});
+
+describe('writePlanFile', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-plan-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('writes the plan with totals', () => {
+    const planPath = path.join(tempDir, 'reports', 'plan.json');
+    const files = { 'a.json': { es: { keys: 1, characters: 5, new: ['greeting'], changed: [], removed: [] } } };
+
+    writePlanFile(planPath, 'en', files);
+
+    expect(JSON.parse(fs.readFileSync(planPath, 'utf-8'))).toEqual({
+      sourceLanguage: 'en',
+      totals: { keys: 1, characters: 5 },
+      languages: { es: { keys: 1, characters: 5 } },
+      files,
+    });
+  });
+});
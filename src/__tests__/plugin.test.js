@@ -45,12 +45,30 @@ beforeEach(() => {
 
 describe('Plugin Configuration', () => {
   describe('Required options', () => {
-    test('throws error when apiKey is missing', () => {
+    test('runs offline when apiKey is missing', () => {
       expect(() => {
         shipi18nPlugin({ targetLanguages: ['es', 'fr'] });
+      }).not.toThrow();
+    });
+
+    test('throws error when apiKey is missing and offline is disabled', () => {
+      expect(() => {
+        shipi18nPlugin({ targetLanguages: ['es', 'fr'], offline: false });
       }).toThrow('apiKey is required');
     });
 
+    test('does not need an apiKey with another provider', () => {
+      const plugin = shipi18nPlugin({ targetLanguages: ['es'], provider: 'mock', offline: false });
+
+      expect(plugin.name).toBe('vite-plugin-shipi18n');
+    });
+
+    test('throws error for an unknown provider', () => {
+      expect(() => {
+        shipi18nPlugin({ apiKey: 'sk_test_123', targetLanguages: ['es'], provider: 'deepl' });
+      }).toThrow('Unknown provider "deepl"');
+    });
+
     test('throws error when targetLanguages is missing', () => {
       expect(() => {
         shipi18nPlugin({ apiKey: 'sk_test_123' });
@@ -63,6 +81,12 @@ describe('Plugin Configuration', () => {
       }).toThrow('targetLanguages is required');
     });
 
+    test('throws error for invalid per-language settings', () => {
+      expect(() => {
+        shipi18nPlugin({ apiKey: 'sk_test_123', targetLanguages: ['es', { code: 'de', formality: 'polite' }] });
+      }).toThrow('de formality must be "formal" or "informal"');
+    });
+
     test('accepts valid configuration', () => {
       const plugin = shipi18nPlugin({
         apiKey: 'sk_test_123',
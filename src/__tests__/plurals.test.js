@@ -0,0 +1,116 @@
+/**
+ * Tests for i18next plural suffix handling
+ */
+
+import { parsePluralKey, expandPluralKeys, getLanguageSource, removeUnusedPluralKeys } from '../plurals.js';
+
+describe('parsePluralKey', () => {
+  test('parses cardinal plural keys', () => {
+    expect(parsePluralKey('items_one')).toEqual({ base: 'items', ordinal: false, category: 'one' });
+    expect(parsePluralKey('cart.item_count_other')).toEqual({ base: 'cart.item_count', ordinal: false, category: 'other' });
+  });
+
+  test('parses ordinal plural keys', () => {
+    expect(parsePluralKey('place_ordinal_few')).toEqual({ base: 'place', ordinal: true, category: 'few' });
+  });
+
+  test('returns null for other keys', () => {
+    expect(parsePluralKey('items')).toBeNull();
+    expect(parsePluralKey('items_plural')).toBeNull();
+  });
+});
+
+describe('expandPluralKeys', () => {
+  const source = {
+    title: 'Files',
+    files_one: '{{count}} file',
+    files_other: '{{count}} files',
+  };
+
+  test('adds few and many for Polish, seeded from _other', () => {
+    expect(expandPluralKeys(source, 'pl')).toEqual({
+      title: 'Files',
+      files_one: '{{count}} file',
+      files_few: '{{count}} files',
+      files_many: '{{count}} files',
+      files_other: '{{count}} files',
+    });
+  });
+
+  test('drops _one for Japanese', () => {
+    expect(expandPluralKeys(source, 'ja')).toEqual({
+      title: 'Files',
+      files_other: '{{count}} files',
+    });
+  });
+
+  test('adds every Arabic category', () => {
+    const keys = Object.keys(expandPluralKeys(source, 'ar'));
+
+    expect(keys).toEqual([
+      'title',
+      'files_zero',
+      'files_one',
+      'files_two',
+      'files_few',
+      'files_many',
+      'files_other',
+    ]);
+  });
+
+  test('expands nested and ordinal groups', () => {
+    const expanded = expandPluralKeys({
+      cart: { items_one: '{{count}} item', items_other: '{{count}} items' },
+      place_ordinal_one: '{{count}}st',
+      place_ordinal_two: '{{count}}nd',
+      place_ordinal_few: '{{count}}rd',
+      place_ordinal_other: '{{count}}th',
+    }, 'ja');
+
+    expect(expanded).toEqual({
+      cart: { items_other: '{{count}} items' },
+      place_ordinal_other: '{{count}}th',
+    });
+  });
+
+  test('ignores suffixed keys without an _other sibling', () => {
+    const input = { status_one: 'Single' };
+
+    expect(expandPluralKeys(input, 'ja')).toBe(input);
+  });
+});
+
+describe('getLanguageSource', () => {
+  const source = { files_one: '{{count}} file', files_other: '{{count}} files' };
+
+  test('expands plural keys only when enabled', () => {
+    expect(getLanguageSource(source, 'ja', true)).toEqual({ files_other: '{{count}} files' });
+    expect(getLanguageSource(source, 'ja', false)).toBe(source);
+  });
+
+  test('applies the format hook before expanding plural keys', () => {
+    const expandSource = (data, language) => ({ ...data, lang: language });
+
+    expect(getLanguageSource(source, 'ja', true, expandSource)).toEqual({ files_other: '{{count}} files', lang: 'ja' });
+  });
+});
+
+describe('removeUnusedPluralKeys', () => {
+  test('removes plural keys missing from the language source', () => {
+    const translation = { files_one: '{{count}} ファイル', files_other: '{{count}} ファイル', title: 'ファイル' };
+    const languageSource = { title: 'Files', files_other: '{{count}} files' };
+
+    const removed = removeUnusedPluralKeys(translation, languageSource);
+
+    expect(removed).toEqual(['files_one']);
+    expect(translation).toEqual({ files_other: '{{count}} ファイル', title: 'ファイル' });
+  });
+
+  test('keeps unrelated keys', () => {
+    const translation = { extra: 'x', files_other: 'y' };
+
+    removeUnusedPluralKeys(translation, { files_other: 'z' });
+
+    expect(translation).toEqual({ extra: 'x', files_other: 'y' });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for translation providers
+ */
+
+import { jest } from '@jest/globals';
+import { resolveProvider, createMockProvider, createShipi18nProvider } from '../providers/index.js';
+
+describe('resolveProvider', () => {
+  test('creates built-in providers by name', () => {
+    expect(resolveProvider('shipi18n', { apiKey: 'sk_test_123', apiUrl: 'https://api.test', retry: {} }).name).toBe('shipi18n');
+    expect(resolveProvider('mock', {}).name).toBe('mock');
+  });
+
+  test('passes custom providers through', () => {
+    const provider = { name: 'deepl', translate: async () => ({}) };
+
+    expect(resolveProvider(provider, {})).toBe(provider);
+  });
+
+  test('rejects unknown names and invalid providers', () => {
+    expect(() => resolveProvider('deepl', {})).toThrow('Unknown provider "deepl", expected "shipi18n" or "mock"');
+    expect(() => resolveProvider({ name: 'broken' }, {})).toThrow('provider must be');
+    expect(() => resolveProvider({ translate: async () => ({}) }, {})).toThrow('provider must be');
+  });
+});
+
+describe('createMockProvider', () => {
+  test('marks every string with its language', async () => {
+    const provider = createMockProvider();
+
+    const result = await provider.translate({
+      entries: { greeting: 'Hello {{name}}', 'nav.items': ['a', 'b'] },
+      sourceLanguage: 'en',
+      targetLanguages: ['es', 'fr'],
+    });
+
+    expect(result).toEqual({
+      es: { greeting: '[es] Hello {{name}}', 'nav.items': ['a', 'b'] },
+      fr: { greeting: '[fr] Hello {{name}}', 'nav.items': ['a', 'b'] },
+    });
+    expect(provider.pseudo).toBe(true);
+  });
+
+  test('accepts a custom transform', async () => {
+    const provider = createMockProvider({ transform: (value, language) => `${value} (${language})` });
+
+    const result = await provider.translate({ entries: { greeting: 'Hello' }, targetLanguages: ['de'] });
+
+    expect(result.de.greeting).toBe('Hello (de)');
+  });
+});
+
+describe('createShipi18nProvider', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('sends entries as nested JSON', async () => {
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ translations: { es: { nav: { home: 'Inicio' } } } }),
+    }));
+    const provider = createShipi18nProvider({
+      apiKey: 'sk_test_123',
+      apiUrl: 'https://api.test',
+      retry: { retries: 0, minDelay: 0, maxDelay: 0, timeout: 1000 },
+    });
+
+    const result = await provider.translate({
+      entries: { 'nav.home': 'Home' },
+      sourceLanguage: 'en',
+      targetLanguages: ['es'],
+    });
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.test/api/translate');
+    expect(JSON.parse(JSON.parse(init.body).jsonInput)).toEqual({ nav: { home: 'Home' } });
+    expect(JSON.parse(init.body).keyContext).toBeUndefined();
+    expect(result).toEqual({ es: { nav: { home: 'Inicio' } } });
+  });
+
+  test('sends the formality of languages that set one', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ translations: {} }) }));
+    const provider = createShipi18nProvider({
+      apiKey: 'sk_test_123',
+      apiUrl: 'https://api.test',
+      retry: { retries: 0, minDelay: 0, maxDelay: 0, timeout: 1000 },
+    });
+
+    await provider.translate({
+      entries: { greeting: 'Hello' },
+      sourceLanguage: 'en',
+      targetLanguages: ['de', 'es'],
+      formality: { de: 'formal' },
+    });
+
+    const [, init] = global.fetch.mock.calls[0];
+    expect(JSON.parse(JSON.parse(init.body).formality)).toEqual({ de: 'formal' });
+  });
+
+  test('sends context notes by flattened key', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => ({ translations: {} }) }));
+    const provider = createShipi18nProvider({
+      apiKey: 'sk_test_123',
+      apiUrl: 'https://api.test',
+      retry: { retries: 0, minDelay: 0, maxDelay: 0, timeout: 1000 },
+    });
+
+    await provider.translate({
+      entries: { 'nav.post': 'Post' },
+      sourceLanguage: 'en',
+      targetLanguages: ['es'],
+      context: { 'nav.post': 'Verb: publish a message' },
+    });
+
+    const [, init] = global.fetch.mock.calls[0];
+    expect(JSON.parse(JSON.parse(init.body).keyContext)).toEqual({ 'nav.post': 'Verb: publish a message' });
+  });
+});
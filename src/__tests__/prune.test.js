@@ -0,0 +1,96 @@
+/**
+ * Tests for pruning stale outputs
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { findStaleOutputs, pruneKeys, removeEmptyDirs } from '../prune.js';
+
+describe('findStaleOutputs', () => {
+  const lockFiles = {
+    'translation.json': { de: {}, es: {} },
+    'old.json': { es: {} },
+  };
+
+  test('finds outputs of removed source files and languages', () => {
+    expect(findStaleOutputs(lockFiles, ['translation.json'], ['es'], 'en')).toEqual([
+      { fileName: 'translation.json', lang: 'de', reason: 'language no longer targeted' },
+      { fileName: 'old.json', lang: 'es', reason: 'source file removed' },
+    ]);
+  });
+
+  test('returns nothing when everything is still translated', () => {
+    expect(findStaleOutputs(lockFiles, ['translation.json', 'old.json'], ['de', 'es'], 'en')).toEqual([]);
+  });
+
+  test('finds outputs of files a language now excludes', () => {
+    expect(findStaleOutputs(lockFiles, ['translation.json', 'old.json'], ['de', 'es'], 'en', { es: ['old.json'] })).toEqual([
+      { fileName: 'old.json', lang: 'es', reason: 'excluded for the language' },
+    ]);
+  });
+
+  test('finds outputs of languages that moved to another folder', () => {
+    expect(findStaleOutputs(lockFiles, ['translation.json', 'old.json'], ['de', 'es'], 'en', {}, { es: 'es-ES' }, {})).toEqual([
+      { fileName: 'translation.json', lang: 'es', reason: 'language moved to another folder' },
+      { fileName: 'old.json', lang: 'es', reason: 'language moved to another folder' },
+    ]);
+    expect(findStaleOutputs(lockFiles, ['translation.json', 'old.json'], ['de', 'es'], 'en', {}, { es: 'es-ES' }, { es: 'es-ES' })).toEqual([]);
+  });
+
+  test('never lists the source language', () => {
+    expect(findStaleOutputs({ 'old.json': { en: {} } }, [], ['es'], 'en')).toEqual([]);
+  });
+});
+
+describe('pruneKeys', () => {
+  test('removes keys the source does not have', () => {
+    const { data, removed } = pruneKeys(
+      { greeting: 'Hola', nav: { home: 'Inicio', old: 'Viejo' }, legacy: 'Antiguo' },
+      { greeting: 'Hello', 'nav.home': 'Home' }
+    );
+
+    expect(data).toEqual({ greeting: 'Hola', nav: { home: 'Inicio' } });
+    expect(removed).toEqual(['nav.old', 'legacy']);
+  });
+
+  test('returns the data unchanged when nothing is stale', () => {
+    const output = { greeting: 'Hola' };
+
+    const { data, removed } = pruneKeys(output, { greeting: 'Hello' });
+
+    expect(data).toBe(output);
+    expect(removed).toEqual([]);
+  });
+});
+
+describe('removeEmptyDirs', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-prune-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('removes empty directories up to the root', () => {
+    const dir = path.join(tempDir, 'de', 'admin');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const removed = removeEmptyDirs(dir, tempDir);
+
+    expect(removed).toEqual([dir, path.join(tempDir, 'de')]);
+    expect(fs.existsSync(tempDir)).toBe(true);
+  });
+
+  test('keeps directories that still have files', () => {
+    const dir = path.join(tempDir, 'de', 'admin');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'de', 'notes.txt'), 'keep');
+
+    expect(removeEmptyDirs(dir, tempDir)).toEqual([dir]);
+    expect(fs.existsSync(path.join(tempDir, 'de'))).toBe(true);
+  });
+});
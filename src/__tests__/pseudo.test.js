@@ -0,0 +1,69 @@
+/**
+ * Tests for pseudo-localization
+ */
+
+import { isPseudoLocale, pseudoLocalize, pseudoLocalizeEntries } from '../pseudo.js';
+import { validatePlaceholders, validateMarkup } from '../integrity.js';
+import { validateICUMessage } from '../icu.js';
+
+describe('isPseudoLocale', () => {
+  test('recognizes the pseudo-locales', () => {
+    expect(isPseudoLocale('en-XA')).toBe(true);
+    expect(isPseudoLocale('ar-XB')).toBe(true);
+    expect(isPseudoLocale('pseudo')).toBe(true);
+    expect(isPseudoLocale('en')).toBe(false);
+    expect(isPseudoLocale('constructor')).toBe(false);
+  });
+});
+
+describe('pseudoLocalize', () => {
+  test('accents, pads and brackets text', () => {
+    expect(pseudoLocalize('Hello world')).toBe('[Ĥéļļö ŵöŕļð~~~]');
+  });
+
+  test('pads by the configured expansion', () => {
+    expect(pseudoLocalize('Hello world', { expansion: 1 })).toBe('[Ĥéļļö ŵöŕļð~~~~~~~~~~]');
+    expect(pseudoLocalize('Hello', { expansion: 0 })).toBe('[Ĥéļļö]');
+  });
+
+  test('can leave out accents and brackets', () => {
+    expect(pseudoLocalize('Hello', { accents: false, brackets: false, expansion: 0 })).toBe('Hello');
+  });
+
+  test('keeps placeholders, tags and entities intact', () => {
+    const source = 'Hi {{name}}, <strong>see</strong> $t(common.more) &amp; %s';
+
+    const result = pseudoLocalize(source);
+
+    expect(result).toBe('[Ĥî {{name}}, <strong>šéé</strong> $t(common.more) &amp; %s~~]');
+    expect(validatePlaceholders(source, result)).toBeUndefined();
+    expect(validateMarkup(source, result)).toBeUndefined();
+  });
+
+  test('keeps ICU MessageFormat syntax valid', () => {
+    const source = "{count, plural, one {# item} other {# items}} in {place}'s list";
+
+    const result = pseudoLocalize(source);
+
+    expect(result).toBe("[{count, plural, one {# îţéɱ} other {# îţéɱš}} îñ {place}''š ļîšţ~~~~~]");
+    expect(validateICUMessage(source, result, { language: 'en' })).toBeUndefined();
+  });
+
+  test('mirrors text runs for right-to-left', () => {
+    expect(pseudoLocalize('Hi {{name}}', { rtl: true, expansion: 0 })).toBe('[\u202EĤî \u202C{{name}}]');
+  });
+
+  test('leaves non-string and empty values alone', () => {
+    expect(pseudoLocalize('')).toBe('');
+    expect(pseudoLocalize(['a'])).toEqual(['a']);
+  });
+});
+
+describe('pseudoLocalizeEntries', () => {
+  test('mirrors ar-XB only', () => {
+    const flat = { greeting: 'Hi' };
+
+    expect(pseudoLocalizeEntries(flat, 'en-XA', { expansion: 0 })).toEqual({ greeting: '[Ĥî]' });
+    expect(pseudoLocalizeEntries(flat, 'ar-XB', { expansion: 0 })).toEqual({ greeting: '[\u202EĤî\u202C]' });
+  });
+});
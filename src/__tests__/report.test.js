@@ -0,0 +1,102 @@
+/**
+ * Tests for the build report
+ */
+
+import {
+  buildLanguageReports,
+  summarizeReport,
+  formatJUnitReport,
+  formatMarkdownReport,
+} from '../report.js';
+
+const flatSources = {
+  es: { greeting: 'Hello', farewell: 'Goodbye', welcome: 'Hi {{name}}' },
+  fr: { greeting: 'Hello', farewell: 'Goodbye', welcome: 'Hi {{name}}' },
+};
+
+const origins = {
+  es: { greeting: 'api', farewell: 'cache', welcome: 'source' },
+  fr: { greeting: 'override', farewell: 'regional' },
+};
+
+const fallbackInfo = {
+  validationFailures: { es: { welcome: 'Missing placeholder {{name}}' } },
+};
+
+describe('buildLanguageReports', () => {
+  test('counts origins and lists fallbacks per language', () => {
+    const languages = buildLanguageReports(origins, flatSources, ['es', 'fr'], fallbackInfo);
+
+    expect(languages.es).toEqual({
+      keys: 3,
+      coverage: 0.6667,
+      counts: { api: 1, cache: 1, existing: 0, override: 0, pseudo: 0, regional: 0, source: 1, missing: 0 },
+      regionalFallbacks: [],
+      sourceFallbacks: ['welcome'],
+      missing: [],
+      validationFailures: { welcome: 'Missing placeholder {{name}}' },
+    });
+    expect(languages.fr.counts).toEqual({ api: 0, cache: 0, existing: 0, override: 1, pseudo: 0, regional: 1, source: 0, missing: 1 });
+    expect(languages.fr.regionalFallbacks).toEqual(['farewell']);
+    expect(languages.fr.missing).toEqual(['welcome']);
+  });
+});
+
+describe('summarizeReport', () => {
+  test('adds up languages across files', () => {
+    const languages = buildLanguageReports(origins, flatSources, ['es', 'fr'], fallbackInfo);
+
+    const summary = summarizeReport({
+      'a.json': { errors: [], languages },
+      'b.json': { errors: ['b.json: Translation failed - API request failed: 500'], languages: {} },
+    });
+
+    expect(summary.files).toBe(2);
+    expect(summary.failedFiles).toBe(1);
+    expect(summary.languages.es).toEqual({
+      keys: 3,
+      coverage: 0.6667,
+      counts: { api: 1, cache: 1, existing: 0, override: 0, pseudo: 0, regional: 0, source: 1, missing: 0 },
+      validationFailures: 1,
+    });
+  });
+});
+
+describe('formatJUnitReport / formatMarkdownReport', () => {
+  const files = {
+    'translation.json': {
+      errors: [],
+      languages: buildLanguageReports(origins, flatSources, ['es', 'fr'], fallbackInfo),
+    },
+    'admin/users.json': { errors: ['admin/users.json: Could not parse - Unexpected token <'], languages: {} },
+  };
+  const report = { sourceLanguage: 'en', summary: summarizeReport(files), files };
+
+  test('formats a test case per file and language', () => {
+    const xml = formatJUnitReport(report);
+
+    expect(xml).toContain('<testsuites name="shipi18n" tests="3" failures="3">');
+    expect(xml).toContain('<testsuite name="translation.json" tests="2" failures="2">');
+    expect(xml).toContain('<failure message="1 key(s) not translated">welcome: Missing placeholder {{name}} (validation failed)</failure>');
+    expect(xml).toContain('<testcase classname="admin/users.json" name="errors">');
+    expect(xml).toContain('Could not parse - Unexpected token &lt;');
+  });
+
+  test('passes languages without problems', () => {
+    const clean = { errors: [], languages: buildLanguageReports({ es: { greeting: 'api' } }, { es: { greeting: 'Hello' } }, ['es']) };
+
+    const xml = formatJUnitReport({ files: { 'a.json': clean } });
+
+    expect(xml).toContain('<testcase classname="a.json" name="es" />');
+    expect(xml).toContain('failures="0"');
+  });
+
+  test('formats a coverage table and problems', () => {
+    const markdown = formatMarkdownReport(report);
+
+    expect(markdown).toContain('| es | 3 | 66.6% | 1 | 1 | 0 | 0 | 0 | 0 | 1 | 0 | 1 |');
+    expect(markdown).toContain('### Problems');
+    expect(markdown).toContain('- `translation.json` fr: welcome: Missing');
+    expect(markdown).toContain('- `admin/users.json`: admin/users.json: Could not parse - Unexpected token <');
+  });
+});
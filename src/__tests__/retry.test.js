@@ -0,0 +1,170 @@
+/**
+ * Tests for API request retries
+ */
+
+import {
+  isRetryableStatus,
+  parseRetryAfter,
+  getRetryDelay,
+  fetchWithRetry,
+} from '../retry.js';
+
+describe('isRetryableStatus', () => {
+  test('retries rate limits, timeouts and gateway errors', () => {
+    for (const status of [408, 429, 500, 502, 503, 504]) {
+      expect(isRetryableStatus(status)).toBe(true);
+    }
+  });
+
+  test('does not retry client errors', () => {
+    for (const status of [400, 401, 403, 404, 422]) {
+      expect(isRetryableStatus(status)).toBe(false);
+    }
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('1.5')).toBe(1500);
+  });
+
+  test('parses HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = { minDelay: 1000, maxDelay: 8000 };
+
+  test('doubles the backoff for each attempt', () => {
+    expect(getRetryDelay(1, options, null, () => 1)).toBe(1000);
+    expect(getRetryDelay(2, options, null, () => 1)).toBe(2000);
+    expect(getRetryDelay(3, options, null, () => 1)).toBe(4000);
+  });
+
+  test('keeps at least half the backoff', () => {
+    expect(getRetryDelay(3, options, null, () => 0)).toBe(2000);
+  });
+
+  test('caps the backoff at maxDelay', () => {
+    expect(getRetryDelay(10, options, null, () => 1)).toBe(8000);
+  });
+
+  test('uses Retry-After when given', () => {
+    expect(getRetryDelay(1, options, 5000)).toBe(5000);
+  });
+
+  test('caps Retry-After at maxDelay', () => {
+    expect(getRetryDelay(1, options, 3600000)).toBe(8000);
+  });
+});
+
+describe('fetchWithRetry', () => {
+  const originalFetch = global.fetch;
+  const options = { retries: 2, minDelay: 0, maxDelay: 0, timeout: 1000 };
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('returns the first successful response', async () => {
+    const statuses = [503, 200];
+    global.fetch = async () => ({ status: statuses.shift() });
+
+    const response = await fetchWithRetry('https://api.test', {}, options);
+
+    expect(response.status).toBe(200);
+  });
+
+  test('returns the last error response when retries run out', async () => {
+    const statuses = [500, 502, 503, 200];
+    global.fetch = async () => ({ status: statuses.shift() });
+
+    const response = await fetchWithRetry('https://api.test', {}, options);
+
+    expect(statuses).toEqual([200]);
+    expect(response.status).toBe(503);
+  });
+
+  test('throws the last network error when retries run out', async () => {
+    global.fetch = async () => {
+      throw new TypeError('fetch failed');
+    };
+
+    await expect(fetchWithRetry('https://api.test', {}, options)).rejects.toThrow('fetch failed');
+  });
+
+  test('reports each retry', async () => {
+    const statuses = [429, 503, 200];
+    global.fetch = async () => ({ status: statuses.shift(), headers: new Headers({ 'Retry-After': '0' }) });
+    const retries = [];
+
+    await fetchWithRetry('https://api.test', {}, { ...options, onRetry: retry => retries.push(retry) });
+
+    expect(retries).toEqual([
+      { attempt: 1, retries: 2, delay: 0, reason: 'status 429' },
+      { attempt: 2, retries: 2, delay: 0, reason: 'status 503' },
+    ]);
+  });
+
+  test('passes an abort signal to fetch', async () => {
+    let signal;
+    global.fetch = async (url, init) => {
+      signal = init.signal;
+      return { status: 200 };
+    };
+
+    await fetchWithRetry('https://api.test', { method: 'POST' }, options);
+
+    expect(signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('reads the body of the last response', async () => {
+    const statuses = [503, 200];
+    global.fetch = async () => {
+      const status = statuses.shift();
+      return { status, json: async () => ({ status }) };
+    };
+
+    const body = await fetchWithRetry('https://api.test', {}, { ...options, read: response => response.json() });
+
+    expect(body).toEqual({ status: 200 });
+  });
+
+  test('times out and retries when the body stalls', async () => {
+    let calls = 0;
+    global.fetch = async (url, init) => {
+      calls++;
+      const stalled = new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      });
+      return { status: 200, json: () => (calls === 1 ? stalled : Promise.resolve({ ok: true })) };
+    };
+
+    const body = await fetchWithRetry('https://api.test', {}, { ...options, timeout: 20, read: response => response.json() });
+
+    expect(calls).toBe(2);
+    expect(body).toEqual({ ok: true });
+  });
+
+  test('does not retry a body that fails to parse', async () => {
+    let calls = 0;
+    global.fetch = async () => {
+      calls++;
+      return { status: 200, json: async () => JSON.parse('<html>') };
+    };
+
+    await expect(fetchWithRetry('https://api.test', {}, { ...options, read: response => response.json() })).rejects.toThrow(SyntaxError);
+    expect(calls).toBe(1);
+  });
+});
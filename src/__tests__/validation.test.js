@@ -0,0 +1,118 @@
+/**
+ * Tests for the post-translation validation pass
+ */
+
+import { applyValidation } from '../validation.js';
+import { validateICUMessage } from '../icu.js';
+import { validatePlaceholders, validateMarkup } from '../integrity.js';
+
+describe('applyValidation', () => {
+  const source = {
+    greeting: 'Hello {name}',
+    files: '{count, plural, one {# file} other {# files}}',
+  };
+
+  test('returns result unchanged without validators', () => {
+    const result = { es: { greeting: 'Hola {nombre}' } };
+
+    expect(applyValidation(result, source, ['es'], [])).toEqual(result);
+  });
+
+  test('replaces failing values with source and records failures', () => {
+    const result = {
+      es: {
+        greeting: 'Hola {nombre}',
+        files: '{count, plural, one {# archivo} other {# archivos}}',
+      },
+    };
+
+    applyValidation(result, source, ['es'], [validateICUMessage]);
+
+    expect(result.es.greeting).toBe('Hello {name}');
+    expect(result.es.files).toBe('{count, plural, one {# archivo} other {# archivos}}');
+    expect(result.fallbackInfo.used).toBe(true);
+    expect(result.fallbackInfo.validationFailures).toEqual({
+      es: { greeting: 'Missing argument {name}' },
+    });
+  });
+
+  test('uses repaired value when a validator provides one', () => {
+    const result = { es: { greeting: 'Hola {NAME}' } };
+    const repairCase = (sourceValue, targetValue) => ({
+      error: 'Wrong case',
+      repaired: targetValue.replace('{NAME}', '{name}'),
+    });
+
+    applyValidation(result, { greeting: 'Hello {name}' }, ['es'], [repairCase]);
+
+    expect(result.es.greeting).toBe('Hola {name}');
+    expect(result.fallbackInfo.validationFailures.es.greeting).toBe('Wrong case (repaired)');
+  });
+
+  test('records warnings without changing values', () => {
+    const result = { pl: { files: '{count, plural, one {# plik} other {# plików}}' } };
+
+    applyValidation(result, source, ['pl'], [validateICUMessage]);
+
+    expect(result.pl.files).toBe('{count, plural, one {# plik} other {# plików}}');
+    expect(result.fallbackInfo.used).toBe(false);
+    expect(result.fallbackInfo.validationWarnings.pl.files).toContain('few, many');
+  });
+
+  test('keeps existing fallbackInfo', () => {
+    const result = {
+      es: { greeting: 'Hola {nombre}' },
+      fallbackInfo: {
+        used: true,
+        languagesFallbackToSource: ['fr'],
+        regionalFallbacks: {},
+        keysFallback: {},
+      },
+    };
+
+    applyValidation(result, source, ['es'], [validateICUMessage]);
+
+    expect(result.fallbackInfo.languagesFallbackToSource).toEqual(['fr']);
+    expect(result.fallbackInfo.validationFailures.es).toBeDefined();
+  });
+
+  test('skips values equal to source', () => {
+    const calls = [];
+    const validator = (...args) => { calls.push(args); };
+
+    applyValidation({ es: { greeting: 'Hello {name}' } }, source, ['es'], [validator]);
+
+    expect(calls).toHaveLength(0);
+  });
+
+  test('passes repaired values on to later validators', () => {
+    const result = { es: { save: '<fuerte>Guardar</fuerte> {{nombre}}' } };
+
+    applyValidation(result, { save: '<strong>Save</strong> {{name}}' }, ['es'], [validatePlaceholders, validateMarkup]);
+
+    expect(result.es.save).toBe('<strong>Guardar</strong> {{name}}');
+    expect(result.fallbackInfo.validationFailures.es.save).toBe(
+      'Placeholder {{nombre}} should be {{name}} (repaired); Tag <fuerte> should be <strong> (repaired)'
+    );
+  });
+
+  test('falls back to source when a later validator fails after a repair', () => {
+    const result = { es: { save: '<strong>Guardar {{nombre}}' } };
+
+    applyValidation(result, { save: '<strong>Save</strong> {{name}}' }, ['es'], [validatePlaceholders, validateMarkup]);
+
+    expect(result.es.save).toBe('<strong>Save</strong> {{name}}');
+    expect(result.fallbackInfo.validationFailures.es.save).toBe(
+      'Placeholder {{nombre}} should be {{name}} (repaired); Unclosed <strong>'
+    );
+  });
+
+  test('skips keys listed in skipKeys', () => {
+    const result = { es: { greeting: 'Hola {nombre}' } };
+
+    applyValidation(result, source, ['es'], [validateICUMessage], false, { es: ['greeting'] });
+
+    expect(result.es.greeting).toBe('Hola {nombre}');
+    expect(result.fallbackInfo).toBeUndefined();
+  });
+});
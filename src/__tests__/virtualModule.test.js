@@ -0,0 +1,208 @@
+/**
+ * Tests for the virtual:shipi18n module
+ */
+
+import { jest } from '@jest/globals';
+import shipi18nPlugin from '../index.js';
+import {
+  VIRTUAL_MODULE_ID,
+  RESOLVED_VIRTUAL_MODULE_ID,
+  getLocaleModuleId,
+  parseLocaleModuleId,
+  getFallbackChains,
+  generateVirtualModule,
+} from '../virtualModule.js';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+describe('getFallbackChains', () => {
+  test('falls back to source language', () => {
+    const chains = getFallbackChains(['es', 'fr'], 'en', {}, true);
+
+    expect(chains).toEqual({ es: ['en'], fr: ['en'], default: ['en'] });
+  });
+
+  test('includes regional base language when it is also a target', () => {
+    const chains = getFallbackChains(['pt', 'pt-BR'], 'en', { 'pt-BR': ['pt'] }, true);
+
+    expect(chains['pt-BR']).toEqual(['pt', 'en']);
+  });
+
+  test('skips regional base language that is not written to output', () => {
+    const chains = getFallbackChains(['pt-BR'], 'en', { 'pt-BR': ['pt'] }, true);
+
+    expect(chains['pt-BR']).toEqual(['en']);
+  });
+
+  test('keeps every link of the chain that is written to output', () => {
+    const chains = getFallbackChains(['es', 'es-419', 'es-MX'], 'en', { 'es-MX': ['es-419', 'es'], 'es-419': ['es'] }, true);
+
+    expect(chains['es-MX']).toEqual(['es-419', 'es', 'en']);
+  });
+
+  test('accepts a single base language in the regional map', () => {
+    const chains = getFallbackChains(['pt', 'pt-BR'], 'en', { 'pt-BR': 'pt' }, true);
+
+    expect(chains['pt-BR']).toEqual(['pt', 'en']);
+  });
+
+  test('omits source language when fallbackToSource is disabled', () => {
+    const chains = getFallbackChains(['es'], 'en', {}, false);
+
+    expect(chains.es).toEqual([]);
+  });
+});
+
+describe('locale module ids', () => {
+  test('round-trips language and nested namespace', () => {
+    const id = getLocaleModuleId('zh-TW', 'admin/users');
+
+    expect(id).toBe('virtual:shipi18n/locale/zh-TW/admin/users');
+    expect(parseLocaleModuleId(id)).toEqual({ lang: 'zh-TW', namespace: 'admin/users' });
+  });
+
+  test('returns null for other ids', () => {
+    expect(parseLocaleModuleId(VIRTUAL_MODULE_ID)).toBeNull();
+    expect(parseLocaleModuleId('virtual:shipi18n/locale/es')).toBeNull();
+    expect(parseLocaleModuleId('/src/main.js')).toBeNull();
+  });
+});
+
+describe('generateVirtualModule', () => {
+  const code = generateVirtualModule({
+    languages: ['en', 'es'],
+    namespaces: {
+      en: ['translation'],
+      es: ['translation', 'common'],
+    },
+    fallbackChains: { es: ['en'], default: ['en'] },
+    sourceLanguage: 'en',
+  });
+
+  test('exports languages and fallback chain', () => {
+    expect(code).toContain('export const languages = ["en","es"]');
+    expect(code).toContain('export const fallbackChain = {"es":["en"],"default":["en"]}');
+    expect(code).toContain('export const sourceLanguage = "en"');
+  });
+
+  test('generates a lazy import of a locale module for each namespace', () => {
+    expect(code).toContain('import("virtual:shipi18n/locale/es/translation"), import("virtual:shipi18n/locale/es/common")');
+    expect(code).toContain('"translation": modules[0].default, "common": modules[1].default');
+  });
+
+  test('never imports locale files by path', () => {
+    expect(code).not.toContain('.json');
+  });
+});
+
+describe('plugin virtual module hooks', () => {
+  const originalWarn = console.warn;
+  let tempDir;
+
+  beforeEach(() => {
+    console.warn = jest.fn();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shipi18n-virtual-'));
+    fs.mkdirSync(path.join(tempDir, 'locales', 'en'), { recursive: true });
+    fs.mkdirSync(path.join(tempDir, 'locales', 'es'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'locales', 'en', 'translation.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'locales', 'es', 'translation.json'), '{}');
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createPlugin = (options = {}) => {
+    const plugin = shipi18nPlugin({
+      apiKey: 'sk_test_123',
+      targetLanguages: ['es', 'fr'],
+      sourceDir: 'locales/en',
+      outputDir: 'locales',
+      ...options,
+    });
+    plugin.configResolved({ root: tempDir });
+    return plugin;
+  };
+
+  test('resolves virtual module id', () => {
+    const plugin = createPlugin();
+
+    expect(plugin.resolveId(VIRTUAL_MODULE_ID)).toBe(RESOLVED_VIRTUAL_MODULE_ID);
+    expect(plugin.resolveId('virtual:shipi18n/locale/es/translation')).toBe('\0virtual:shipi18n/locale/es/translation');
+    expect(plugin.resolveId('./other.js')).toBeUndefined();
+  });
+
+  test('ignores other module ids in load', () => {
+    const plugin = createPlugin();
+
+    expect(plugin.load('/src/main.js')).toBeUndefined();
+  });
+
+  test('loads module with loaders for existing outputs only', () => {
+    const plugin = createPlugin();
+    const code = plugin.load(RESOLVED_VIRTUAL_MODULE_ID);
+
+    expect(code).toContain('export const languages = ["en","es","fr"]');
+    expect(code).toContain('import("virtual:shipi18n/locale/es/translation")');
+    expect(code).toContain('"fr": () => Promise.all([]).then((modules) => ({  }))');
+  });
+
+  test('loads mapped languages by folder name', () => {
+    fs.mkdirSync(path.join(tempDir, 'locales', 'zh-TW'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'locales', 'zh-TW', 'translation.json'), '{}');
+
+    const plugin = createPlugin({ targetLanguages: ['es', { code: 'zh-Hant', folder: 'zh-TW', fallback: 'es' }] });
+    const code = plugin.load(RESOLVED_VIRTUAL_MODULE_ID);
+
+    expect(code).toContain('export const languages = ["en","es","zh-TW"]');
+    expect(code).toContain('import("virtual:shipi18n/locale/zh-TW/translation")');
+    expect(code).toContain('"zh-TW":["es","en"]');
+  });
+
+  test('loads locale modules from source and output files', async () => {
+    fs.writeFileSync(path.join(tempDir, 'locales', 'en', 'translation.json'), '{"greeting":"Hello"}');
+    fs.writeFileSync(path.join(tempDir, 'locales', 'es', 'translation.json'), '{"greeting":"Hola"}');
+    const plugin = createPlugin();
+
+    expect(await plugin.load('\0virtual:shipi18n/locale/en/translation')).toBe('export default {"greeting":"Hello"}');
+    expect(await plugin.load('\0virtual:shipi18n/locale/es/translation')).toBe('export default {"greeting":"Hola"}');
+    expect(await plugin.load('\0virtual:shipi18n/locale/fr/translation')).toBe('export default {}');
+  });
+
+  test('leaves translator notes out of the source locale module', async () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'locales', 'en', 'translation.json'),
+      '{"close":"Close","close_comment":"Button that closes the dialog"}'
+    );
+    const plugin = createPlugin({ context: { suffixes: ['_comment'] } });
+
+    expect(await plugin.load('\0virtual:shipi18n/locale/en/translation')).toBe('export default {"close":"Close"}');
+  });
+
+  test('parses non-JSON locale files', async () => {
+    fs.rmSync(path.join(tempDir, 'locales', 'en', 'translation.json'));
+    fs.writeFileSync(path.join(tempDir, 'locales', 'en', 'translation.yml'), 'en:\n  greeting: Hello\n');
+    fs.writeFileSync(path.join(tempDir, 'locales', 'es', 'translation.yml'), 'es:\n  greeting: Hola\n');
+    const plugin = createPlugin();
+
+    expect(await plugin.load('\0virtual:shipi18n/locale/es/translation')).toBe('export default {"greeting":"Hola"}');
+  });
+
+  test('warns when bundled locales are also in publicDir', () => {
+    const plugin = createPlugin();
+    plugin.configResolved({ root: tempDir, command: 'build', publicDir: path.join(tempDir, 'locales') });
+    plugin.load(RESOLVED_VIRTUAL_MODULE_ID);
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('locales is inside publicDir'));
+  });
+
+  test('does not warn for locales outside publicDir', () => {
+    const plugin = createPlugin();
+    plugin.configResolved({ root: tempDir, command: 'build', publicDir: path.join(tempDir, 'public') });
+    plugin.load(RESOLVED_VIRTUAL_MODULE_ID);
+
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
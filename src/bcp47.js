@@ -0,0 +1,102 @@
+// language-extlang-script-region-variants-extensions-privateuse, per RFC 5646 (grandfathered tags aren't supported)
+const LANGUAGE_TAG = new RegExp(
+  '^(?<language>[a-z]{2,3}(?:-[a-z]{3}){0,3}|[a-z]{4,8})' +
+  '(?:-(?<script>[a-z]{4}))?' +
+  '(?:-(?<region>[a-z]{2}|\\d{3}))?' +
+  '(?<variants>(?:-(?:[a-z\\d]{5,8}|\\d[a-z\\d]{3}))*)' +
+  '(?<extensions>(?:-[a-wyz\\d](?:-[a-z\\d]{2,8})+)*)' +
+  '(?:-x(?<privateUse>(?:-[a-z\\d]{1,8})+))?$',
+  'i'
+)
+
+/**
+ * Parse a BCP 47 language tag into its subtags, or return null when it isn't well-formed
+ * Subtags keep the case they were written in
+ * @exported for testing
+ */
+export function parseLanguageTag(tag) {
+  if (typeof tag !== 'string') {
+    return null
+  }
+
+  const match = tag.match(LANGUAGE_TAG)
+  if (!match) {
+    return null
+  }
+
+  const { language, script, region, variants, extensions, privateUse } = match.groups
+  return {
+    language,
+    script: script || null,
+    region: region || null,
+    variants: variants ? variants.slice(1).split('-') : [],
+    extensions: extensions ? extensions.slice(1).split(/-(?=[a-wyz\d]-)/i) : [],
+    privateUse: privateUse ? privateUse.slice(1).split('-') : []
+  }
+}
+
+/**
+ * Get the next less specific tag, as BCP 47 lookup (RFC 4647) does: `zh-Hant-HK` -> `zh-Hant` -> `zh`
+ * Extensions and private use subtags are dropped whole. Returns null for a bare language
+ * or a tag that isn't well-formed.
+ * @exported for testing
+ */
+export function getParentTag(tag) {
+  const parsed = parseLanguageTag(tag)
+  if (!parsed) {
+    return null
+  }
+
+  const { language, script, region, variants, extensions, privateUse } = parsed
+  const subtags = [language, script, region, ...variants].filter(Boolean)
+  if (extensions.length > 0 || privateUse.length > 0) {
+    return subtags.join('-')
+  }
+  return subtags.length > 1 ? subtags.slice(0, -1).join('-') : null
+}
+
+/**
+ * Build a language's fallback chain, most specific link first
+ *
+ * `fallbacks` maps languages to their configured fallback: a language to continue from, a
+ * complete chain as an array, or false for none. Other languages fall back to their parent tag.
+ * Throws when a chain loops back on itself.
+ * @exported for testing
+ */
+export function getFallbackChain(lang, fallbacks = {}) {
+  const chain = []
+  let current = lang
+
+  for (;;) {
+    const configured = Object.prototype.hasOwnProperty.call(fallbacks, current) ? fallbacks[current] : undefined
+    const links = Array.isArray(configured)
+      ? configured
+      : [configured === undefined ? getParentTag(current) : configured].filter(Boolean)
+
+    for (const link of links) {
+      if (link === lang || chain.includes(link)) {
+        throw new Error(`vite-plugin-shipi18n: The fallback chain of ${lang} loops back to ${link}`)
+      }
+      chain.push(link)
+    }
+
+    // A configured array is the complete rest of the chain
+    if (links.length === 0 || Array.isArray(configured)) {
+      return chain
+    }
+    current = links[0]
+  }
+}
+
+/**
+ * Get a language's chain from a regional map (see processRegionalLanguages)
+ * A single language, as in `{ 'pt-BR': 'pt' }`, is read as a chain of one link
+ * @exported for testing
+ */
+export function getRegionalChain(regionalMap, lang) {
+  const chain = regionalMap[lang]
+  if (!chain) {
+    return []
+  }
+  return Array.isArray(chain) ? chain : [chain]
+}
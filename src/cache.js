@@ -0,0 +1,147 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+const CACHE_VERSION = 1
+
+/**
+ * Get the key-level cache file path for a source file
+ * @exported for testing
+ */
+export function getCacheFile(cachePath, fileName) {
+  return path.join(cachePath, `${fileName}.keys.json`)
+}
+
+/**
+ * Hash a source value so cached translations can be matched to the exact string they came from
+ * @exported for testing
+ */
+export function hashSourceValue(value, sourceLanguage) {
+  return crypto
+    .createHash('md5')
+    .update(`${sourceLanguage}:${JSON.stringify(value)}`)
+    .digest('hex')
+}
+
+/**
+ * Read cached entries ({ [lang]: { [keyPath]: { hash, value } } }) from disk
+ * Throws if the cache file exists but cannot be parsed
+ * @exported for testing
+ */
+export function readKeyCache(cacheFile) {
+  if (!fs.existsSync(cacheFile)) {
+    return {}
+  }
+
+  const data = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'))
+  if (!data || data.version !== CACHE_VERSION || typeof data.languages !== 'object') {
+    return {}
+  }
+
+  return data.languages
+}
+
+/**
+ * Write cached entries to disk
+ * @exported for testing
+ */
+export function writeKeyCache(cacheFile, entries) {
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true })
+  fs.writeFileSync(
+    cacheFile,
+    JSON.stringify({ version: CACHE_VERSION, languages: entries }, null, 2)
+  )
+}
+
+/**
+ * Split flattened source keys into cached values and keys that still need translating
+ * `flatSources` maps each language to its flattened source, since plural keys differ per language
+ * A cache entry only matches when its key path, target language, source hash, context note,
+ * formality (`formality` maps languages to theirs) and glossary terms (`terms[lang][key]`, see
+ * getTermSignatures) all agree
+ * @exported for testing
+ */
+export function lookupCachedKeys(entries, flatSources, languages, sourceLanguage, notes = {}, formality = {}, terms = {}) {
+  const cached = {}
+  const pending = {}
+
+  for (const lang of languages) {
+    const langEntries = entries[lang] || {}
+    const langTerms = terms[lang] || {}
+    cached[lang] = {}
+    pending[lang] = []
+
+    for (const [key, value] of Object.entries(flatSources[lang])) {
+      const entry = langEntries[key]
+
+      if (matchesEntry(entry, hashSourceValue(value, sourceLanguage), notes[key], formality[lang], langTerms[key])) {
+        cached[lang][key] = entry.value
+      } else {
+        pending[lang].push(key)
+      }
+    }
+  }
+
+  return { cached, pending }
+}
+
+/**
+ * Merge freshly translated values into the cache entries
+ * Languages missing from `flatSources` and keys no longer in the source are dropped;
+ * fallback values are never cached. Values record the context note, formality and glossary terms they were
+ * translated with
+ * @exported for testing
+ */
+export function updateKeyCache(entries, flatSources, translated, sourceLanguage, notes = {}, formality = {}, terms = {}) {
+  const updated = {}
+
+  for (const [lang, flatSource] of Object.entries(flatSources)) {
+    const langEntries = entries[lang] || {}
+    const langTranslated = translated[lang] || {}
+    const langTerms = terms[lang] || {}
+    updated[lang] = {}
+
+    for (const [key, value] of Object.entries(flatSource)) {
+      const hash = hashSourceValue(value, sourceLanguage)
+
+      if (key in langTranslated) {
+        updated[lang][key] = createEntry(hash, langTranslated[key], notes[key], formality[lang], langTerms[key])
+      } else if (matchesEntry(langEntries[key], hash, notes[key], formality[lang], langTerms[key])) {
+        updated[lang][key] = langEntries[key]
+      }
+    }
+  }
+
+  return updated
+}
+
+/**
+ * Create a cache entry, recording the context note, formality and glossary terms the value was translated with
+ * @exported for testing
+ */
+export function createEntry(hash, value, note, formality, terms) {
+  const entry = { hash, value }
+  if (note) {
+    entry.context = note
+  }
+  if (formality) {
+    entry.formality = formality
+  }
+  if (terms) {
+    entry.terms = terms
+  }
+  return entry
+}
+
+/**
+ * Check whether a cache entry was translated from the source string with this hash, context note,
+ * formality and glossary terms
+ * @exported for testing
+ */
+export function matchesEntry(entry, hash, note, formality, terms) {
+  return Boolean(entry) &&
+    entry.hash === hash &&
+    (entry.context || null) === (note || null) &&
+    (entry.formality || null) === (formality || null) &&
+    (entry.terms || null) === (terms || null)
+}
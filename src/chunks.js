@@ -0,0 +1,74 @@
+/**
+ * Split flattened keys into batches of at most `maxKeys` keys and roughly `maxBytes` of JSON
+ * Key order is kept, and a single key larger than `maxBytes` gets a batch of its own
+ * @exported for testing
+ */
+export function chunkKeys(flatSource, { maxKeys = Infinity, maxBytes = Infinity } = {}) {
+  const chunks = []
+  let current = {}
+  let count = 0
+  let size = 2
+
+  for (const [key, value] of Object.entries(flatSource)) {
+    // "key":value plus a separator
+    const entrySize = Buffer.byteLength(JSON.stringify(key)) + Buffer.byteLength(JSON.stringify(value)) + 2
+
+    if (count > 0 && (count >= maxKeys || size + entrySize > maxBytes)) {
+      chunks.push(current)
+      current = {}
+      count = 0
+      size = 2
+    }
+
+    current[key] = value
+    count++
+    size += entrySize
+  }
+
+  if (count > 0) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+/**
+ * Group languages by the keys they still need, so a request only carries keys that every one of
+ * its languages needs. Groups are in the order of their first language.
+ * Returns [{ languages, keys }]
+ * @exported for testing
+ */
+export function groupByPendingKeys(languages, pending) {
+  const groups = new Map()
+
+  for (const lang of languages) {
+    const id = JSON.stringify([...pending[lang]].sort())
+    if (!groups.has(id)) {
+      groups.set(id, { languages: [], keys: pending[lang] })
+    }
+    groups.get(id).languages.push(lang)
+  }
+
+  return [...groups.values()]
+}
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * Results are returned in item order
+ * @exported for testing
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker)
+  await Promise.all(workers)
+  return results
+}
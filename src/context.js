@@ -0,0 +1,107 @@
+import fs from 'fs'
+import { flattenKeys, unflattenKeys, splitKeyPath } from './keys.js'
+import { parsePluralKey } from './plurals.js'
+import { stripExtension } from './formats/index.js'
+
+const CONTEXT_FILE_SUFFIX = '.context.json'
+
+/**
+ * Get the context sidecar of a source file, e.g. `translation.json` -> `translation.context.json`
+ * @exported for testing
+ */
+export function getContextFileName(fileName, format) {
+  return `${stripExtension(fileName, format)}${CONTEXT_FILE_SUFFIX}`
+}
+
+/**
+ * Check whether a file is a context sidecar rather than a source file
+ * @exported for testing
+ */
+export function isContextFile(fileName) {
+  return fileName.toLowerCase().endsWith(CONTEXT_FILE_SUFFIX)
+}
+
+/**
+ * Split context notes out of a source object
+ *
+ * A string key ending in one of `suffixes` (`close_comment`, `close_context`) is a note when its
+ * sibling without the suffix is a key, or the base of an i18next plural group (`items_one`).
+ * Returns the source without its notes and the notes by flattened key.
+ * @exported for testing
+ */
+export function extractNotes(source, suffixes) {
+  const flat = flattenKeys(source)
+  const notes = {}
+  const kept = {}
+
+  for (const [key, value] of Object.entries(flat)) {
+    const suffix = suffixes.find(suffix => key.endsWith(suffix) && key.length > suffix.length)
+    const target = suffix && key.slice(0, -suffix.length)
+    if (typeof value === 'string' && target && hasKey(flat, target)) {
+      notes[target] = value
+    } else {
+      kept[key] = value
+    }
+  }
+
+  if (Object.keys(notes).length === 0) {
+    return { source, notes }
+  }
+  return { source: unflattenKeys(kept), notes }
+}
+
+/**
+ * Read a context sidecar: nested or flat keys mapped to notes
+ * Returns {} when the file doesn't exist; throws when it can't be parsed
+ * @exported for testing
+ */
+export function readContextFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {}
+  }
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected an object of keys and notes')
+  }
+
+  const notes = {}
+  for (const [key, value] of Object.entries(flattenKeys(data))) {
+    if (typeof value === 'string' && value.trim()) {
+      notes[key] = value.trim()
+    }
+  }
+  return notes
+}
+
+/**
+ * Give each flattened key its note; plural keys fall back to the note of their group
+ * A flat dotted key in a context file (`cart.items`) also names the nested key, and the other way round
+ * Notes for keys that don't exist are returned as `unknown`
+ * @exported for testing
+ */
+export function resolveNotes(notes, keys) {
+  const resolved = {}
+  const used = new Set()
+  const byPath = new Map(Object.keys(notes).map(key => [splitKeyPath(key).join('.'), key]))
+  const findNote = name => (name in notes ? name : byPath.get(splitKeyPath(name).join('.')))
+
+  for (const key of keys) {
+    const parsed = parsePluralKey(key)
+    const group = parsed && (parsed.ordinal ? `${parsed.base}_ordinal` : parsed.base)
+    const noteKey = [key, group, parsed && parsed.base].filter(Boolean).map(findNote).find(Boolean)
+    if (noteKey) {
+      resolved[key] = notes[noteKey]
+      used.add(noteKey)
+    }
+  }
+
+  return { notes: resolved, unknown: Object.keys(notes).filter(key => !used.has(key)) }
+}
+
+function hasKey(flat, key) {
+  return key in flat || Object.keys(flat).some((other) => {
+    const parsed = parsePluralKey(other)
+    return parsed && (parsed.base === key || `${parsed.base}_ordinal` === key)
+  })
+}
@@ -0,0 +1,95 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports `**`, `*`, `?` and `{a,b}` alternatives, matched against forward-slash paths
+ * @exported for testing
+ */
+export function globToRegExp(pattern) {
+  let source = ''
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?'
+          i += 2
+        } else {
+          source += '.*'
+          i += 1
+        }
+      } else {
+        source += '[^/]*'
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i)
+      const alternatives = pattern.slice(i + 1, end).split(',').map(escapeRegExp)
+      source += `(?:${alternatives.join('|')})`
+      i = end
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Check whether a relative path matches any of the glob patterns
+ * @exported for testing
+ */
+export function matchesGlob(filePath, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(filePath))
+}
+
+/**
+ * Recursively find files under a directory, as forward-slash paths relative to it
+ * @param {string} dir - Directory to search
+ * @param {Object} options
+ * @param {string[]} options.include - Glob patterns a file must match
+ * @param {string[]} options.exclude - Glob patterns that skip a file
+ * @exported for testing
+ */
+export function findFiles(dir, { include, exclude = [] }) {
+  const files = []
+
+  const walk = (current) => {
+    const entries = fs.readdirSync(current, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name)
+
+      if (entry.isDirectory()) {
+        walk(fullPath)
+        continue
+      }
+
+      const relativePath = toPosixPath(path.relative(dir, fullPath))
+      if (matchesGlob(relativePath, include) && !matchesGlob(relativePath, exclude)) {
+        files.push(relativePath)
+      }
+    }
+  }
+
+  walk(dir)
+  return files
+}
+
+/**
+ * Convert a platform path to forward slashes
+ * @exported for testing
+ */
+export function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/')
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
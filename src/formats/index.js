@@ -0,0 +1,49 @@
+import json from './json.js'
+import json5 from './json5.js'
+import yaml from './yaml.js'
+import properties from './properties.js'
+import po from './po.js'
+
+/**
+ * Built-in locale file formats
+ *
+ * A format is an object with:
+ * - `name` - Format name used in log output
+ * - `extensions` - File extensions it handles (e.g. ['.yml', '.yaml'])
+ * - `parse(content, context)` - Returns the object sent to the API (may be async)
+ * - `serialize(data, context)` - Returns the file content for a translated object (may be async)
+ * - `outputFileName(fileName)` - Optional, maps a source file name to its output file name
+ * - `expandSource(data, context)` - Optional, returns the source translated for one target language,
+ *   e.g. one entry per gettext plural form
+ *
+ * `context` contains `fileName`, `language`, `sourceLanguage` and, when serializing, `sourceContent`.
+ */
+export const builtinFormats = [json, json5, yaml, properties, po]
+
+/**
+ * Find the format for a file, preferring custom formats over built-in ones
+ * @exported for testing
+ */
+export function getFormat(fileName, formats = builtinFormats) {
+  const lowerName = fileName.toLowerCase()
+  return formats.find(format =>
+    format.extensions.some(ext => lowerName.endsWith(ext))
+  ) || null
+}
+
+/**
+ * Strip a format's extension from a file name
+ * @exported for testing
+ */
+export function stripExtension(fileName, format) {
+  const ext = format.extensions.find(ext => fileName.toLowerCase().endsWith(ext))
+  return ext ? fileName.slice(0, -ext.length) : fileName
+}
+
+/**
+ * Get the output file name for a source file
+ * @exported for testing
+ */
+export function getOutputFileName(fileName, format) {
+  return format.outputFileName ? format.outputFileName(fileName) : fileName
+}
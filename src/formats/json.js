@@ -0,0 +1,15 @@
+/**
+ * JSON locale files
+ */
+export default {
+  name: 'json',
+  extensions: ['.json'],
+
+  parse(content) {
+    return JSON.parse(content)
+  },
+
+  serialize(data) {
+    return JSON.stringify(data, null, 2)
+  }
+}
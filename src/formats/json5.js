@@ -0,0 +1,20 @@
+import { importOptional } from './optional.js'
+
+/**
+ * JSON5 locale files (requires the optional `json5` package)
+ * Key order is kept; comments are not preserved in the output
+ */
+export default {
+  name: 'json5',
+  extensions: ['.json5'],
+
+  async parse(content) {
+    const { default: JSON5 } = await importOptional('json5', '.json5')
+    return JSON5.parse(content)
+  },
+
+  async serialize(data) {
+    const { default: JSON5 } = await importOptional('json5', '.json5')
+    return JSON5.stringify(data, null, 2) + '\n'
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Import an optional peer dependency, with an install hint when it is missing
+ */
+export async function importOptional(name, extension) {
+  try {
+    return await import(name)
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' || error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`vite-plugin-shipi18n: install "${name}" to translate ${extension} files`)
+    }
+    throw error
+  }
+}
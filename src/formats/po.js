@@ -0,0 +1,337 @@
+import crypto from 'crypto'
+
+/**
+ * Gettext plural rules per language, as written to the Plural-Forms header
+ * `categories` lists the CLDR category of each msgstr[n] index, in index order
+ */
+const PLURAL_RULES = {
+  default: { nplurals: 2, plural: '(n != 1)', categories: ['one', 'other'] },
+  single: { nplurals: 1, plural: '0', categories: ['other'] },
+  french: { nplurals: 2, plural: '(n > 1)', categories: ['one', 'other'] },
+  slavic: {
+    nplurals: 3,
+    plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+    categories: ['one', 'few', 'many']
+  },
+  balkan: {
+    nplurals: 3,
+    plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+    categories: ['one', 'few', 'other']
+  },
+  polish: {
+    nplurals: 3,
+    plural: '(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2)',
+    categories: ['one', 'few', 'many']
+  },
+  czech: { nplurals: 3, plural: '(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2', categories: ['one', 'few', 'other'] },
+  romanian: {
+    nplurals: 3,
+    plural: '(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2)',
+    categories: ['one', 'few', 'other']
+  },
+  lithuanian: {
+    nplurals: 3,
+    plural: '(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2)',
+    categories: ['one', 'few', 'other']
+  },
+  latvian: {
+    nplurals: 3,
+    plural: '(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2)',
+    categories: ['one', 'other', 'zero']
+  },
+  slovenian: {
+    nplurals: 4,
+    plural: '(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3)',
+    categories: ['one', 'two', 'few', 'other']
+  },
+  hebrew: { nplurals: 3, plural: '(n==1 ? 0 : n==2 ? 1 : 2)', categories: ['one', 'two', 'other'] },
+  arabic: {
+    nplurals: 6,
+    plural: '(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5)',
+    categories: ['zero', 'one', 'two', 'few', 'many', 'other']
+  }
+}
+
+const LANGUAGE_PLURAL_RULES = {
+  ja: 'single',
+  ko: 'single',
+  zh: 'single',
+  vi: 'single',
+  th: 'single',
+  id: 'single',
+  ms: 'single',
+  fr: 'french',
+  'pt-BR': 'french',
+  ru: 'slavic',
+  uk: 'slavic',
+  be: 'slavic',
+  hr: 'balkan',
+  sr: 'balkan',
+  bs: 'balkan',
+  pl: 'polish',
+  cs: 'czech',
+  sk: 'czech',
+  ro: 'romanian',
+  lt: 'lithuanian',
+  lv: 'latvian',
+  sl: 'slovenian',
+  he: 'hebrew',
+  ar: 'arabic'
+}
+
+/**
+ * Get the gettext plural rule for a language, falling back to its base language
+ * @exported for testing
+ */
+export function getPluralRule(language) {
+  const name = LANGUAGE_PLURAL_RULES[language] || LANGUAGE_PLURAL_RULES[language.split('-')[0]]
+  return PLURAL_RULES[name || 'default']
+}
+
+/**
+ * Gettext PO/POT catalogs
+ *
+ * Each message becomes one key (a hash of msgctxt and msgid, since msgids often contain dots).
+ * Singular messages translate to a string. Plural messages parse to `{ one, other }` and are
+ * requested with one form per category of the target language's gettext rule (`{ one, few, many }`
+ * for Polish), each written to its msgstr[n]. Comments, flags, msgctxt and msgid_plural are copied
+ * from the template. A `.pot` template is written as `.po`.
+ *
+ * Catalogs parsed for a target language (overrides, committed outputs) are read from their
+ * msgstr values instead, leaving out untranslated messages.
+ */
+export default {
+  name: 'po',
+  extensions: ['.pot', '.po'],
+
+  outputFileName(fileName) {
+    return fileName.replace(/\.pot$/i, '.po')
+  },
+
+  parse(content, { language, sourceLanguage } = {}) {
+    const translated = language !== undefined && language !== sourceLanguage
+    const rule = translated ? getPluralRule(language) : null
+    const data = {}
+
+    for (const entry of parseCatalog(content)) {
+      if (entry.msgid === undefined || isHeader(entry)) {
+        continue
+      }
+
+      if (!translated) {
+        data[getMessageKey(entry)] = entry.msgidPlural !== undefined
+          ? { one: entry.msgid, other: entry.msgidPlural }
+          : entry.msgid
+        continue
+      }
+
+      if (entry.msgidPlural !== undefined) {
+        const forms = {}
+        rule.categories.forEach((category, index) => {
+          if (entry.msgstr[index]) {
+            forms[category] = entry.msgstr[index]
+          }
+        })
+        if (Object.keys(forms).length > 0) {
+          data[getMessageKey(entry)] = forms
+        }
+      } else if (entry.msgstr[0]) {
+        data[getMessageKey(entry)] = entry.msgstr[0]
+      }
+    }
+
+    return data
+  },
+
+  expandSource(data, { language }) {
+    const { categories } = getPluralRule(language)
+    const expanded = {}
+
+    for (const [key, value] of Object.entries(data)) {
+      // Forms other than `one` start from msgid_plural, as i18next plural keys start from `_other`
+      expanded[key] = value && typeof value === 'object'
+        ? Object.fromEntries(categories.map(category => [category, category === 'one' ? value.one : value.other]))
+        : value
+    }
+
+    return expanded
+  },
+
+  serialize(data, { language, sourceContent = '' }) {
+    const rule = getPluralRule(language)
+    const blocks = []
+
+    for (const entry of parseCatalog(sourceContent)) {
+      if (entry.msgid === undefined) {
+        blocks.push(entry.raw)
+        continue
+      }
+
+      const lines = []
+
+      if (isHeader(entry)) {
+        // A translated catalog's header is no longer a fuzzy template
+        lines.push(...entry.comments.map(removeFuzzyFlag).filter(Boolean))
+        lines.push(formatString('msgid', ''))
+        lines.push(formatString('msgstr', updateHeader(entry.msgstr[0] || '', language, rule)))
+        blocks.push(lines.join('\n'))
+        continue
+      }
+
+      const value = data[getMessageKey(entry)]
+
+      lines.push(...entry.comments)
+      if (entry.msgctxt !== undefined) {
+        lines.push(formatString('msgctxt', entry.msgctxt))
+      }
+      lines.push(formatString('msgid', entry.msgid))
+
+      if (entry.msgidPlural !== undefined) {
+        lines.push(formatString('msgid_plural', entry.msgidPlural))
+        const forms = value && typeof value === 'object' ? value : {}
+
+        rule.categories.forEach((category, index) => {
+          const form = forms[category] ?? (category === 'one' ? undefined : forms.other)
+          lines.push(formatString(`msgstr[${index}]`, typeof form === 'string' ? form : ''))
+        })
+      } else {
+        lines.push(formatString('msgstr', typeof value === 'string' ? value : ''))
+      }
+
+      blocks.push(lines.join('\n'))
+    }
+
+    return blocks.join('\n\n') + '\n'
+  }
+}
+
+/**
+ * Parse a PO/POT catalog into entries
+ * Blocks without a msgid (obsolete `#~` entries, standalone comments) are kept as raw text
+ * @exported for testing
+ */
+export function parseCatalog(content) {
+  const blocks = content.split(/\r?\n(?:[ \t]*\r?\n)+/)
+    .map(block => block.trim())
+    .filter(Boolean)
+
+  return blocks.map((block) => {
+    const entry = { raw: block, comments: [], msgstr: [] }
+    const lines = block.split(/\r?\n/)
+    let field = null
+
+    for (const line of lines) {
+      if (line.startsWith('#')) {
+        entry.comments.push(line)
+        continue
+      }
+
+      const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr)(?:\[(\d+)\])?\s+"(.*)"\s*$/)
+      if (keyword) {
+        const [, name, index, value] = keyword
+        field = name === 'msgstr' ? { name, index: Number(index || 0) } : { name }
+        setField(entry, field, unescapeString(value))
+        continue
+      }
+
+      const continuation = line.match(/^"(.*)"\s*$/)
+      if (continuation && field) {
+        setField(entry, field, getField(entry, field) + unescapeString(continuation[1]))
+      }
+    }
+
+    return entry
+  })
+}
+
+/**
+ * Build the translation key for a message
+ * @exported for testing
+ */
+export function getMessageKey(entry) {
+  const id = entry.msgctxt !== undefined ? `${entry.msgctxt}\u0004${entry.msgid}` : entry.msgid
+  return `msg_${crypto.createHash('md5').update(id).digest('hex').slice(0, 12)}`
+}
+
+function isHeader(entry) {
+  return entry.msgid === '' && entry.msgctxt === undefined
+}
+
+/**
+ * Remove the fuzzy flag from a `#,` comment, dropping the comment if no flags remain
+ */
+function removeFuzzyFlag(line) {
+  if (!line.startsWith('#,')) {
+    return line
+  }
+  const flags = line.slice(2).split(',').map(flag => flag.trim()).filter(flag => flag && flag !== 'fuzzy')
+  return flags.length > 0 ? `#, ${flags.join(', ')}` : null
+}
+
+function getField(entry, field) {
+  if (field.name === 'msgstr') {
+    return entry.msgstr[field.index]
+  }
+  return entry[field.name === 'msgid_plural' ? 'msgidPlural' : field.name]
+}
+
+function setField(entry, field, value) {
+  if (field.name === 'msgstr') {
+    entry.msgstr[field.index] = value
+  } else {
+    entry[field.name === 'msgid_plural' ? 'msgidPlural' : field.name] = value
+  }
+}
+
+/**
+ * Set Language and Plural-Forms in the header, and replace the POT charset placeholder
+ */
+function updateHeader(header, language, rule) {
+  const fields = header.split('\n').filter(Boolean)
+  const values = {
+    Language: language,
+    'Plural-Forms': `nplurals=${rule.nplurals}; plural=${rule.plural};`
+  }
+
+  const updated = fields.map((field) => {
+    const name = field.slice(0, field.indexOf(':'))
+    if (name in values) {
+      const value = values[name]
+      delete values[name]
+      return `${name}: ${value}`
+    }
+    return field.replace('charset=CHARSET', 'charset=UTF-8')
+  })
+
+  for (const [name, value] of Object.entries(values)) {
+    updated.push(`${name}: ${value}`)
+  }
+
+  return updated.map(field => `${field}\n`).join('')
+}
+
+/**
+ * Write a keyword and string, splitting multi-line strings gettext-style
+ */
+function formatString(keyword, value) {
+  const lines = value.split(/(?<=\n)/)
+  if (lines.length <= 1) {
+    return `${keyword} "${escapeString(value)}"`
+  }
+  return [`${keyword} ""`, ...lines.map(line => `"${escapeString(line)}"`)].join('\n')
+}
+
+function escapeString(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+}
+
+function unescapeString(value) {
+  return value.replace(/\\(.)/g, (match, char) => (
+    { n: '\n', t: '\t', r: '\r' }[char] ?? char
+  ))
+}
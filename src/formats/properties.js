@@ -0,0 +1,164 @@
+import { flattenKeys, getNestedValue, unflattenKeys } from '../keys.js'
+
+/**
+ * Java .properties locale files
+ *
+ * Dotted keys become nested paths, like JSON keys. Output is written by replacing values in
+ * the source file line by line, so comments, blank lines and key order are kept.
+ */
+export default {
+  name: 'properties',
+  extensions: ['.properties'],
+
+  parse(content) {
+    const flat = {}
+
+    for (const line of parseLines(content)) {
+      if (line.type === 'entry') {
+        flat[line.key] = line.value
+      }
+    }
+
+    // A key cannot be both a value and the parent of other keys
+    const keys = Object.keys(flat).sort()
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (keys[i + 1].startsWith(`${keys[i]}.`)) {
+        throw new Error(`Key "${keys[i]}" is both a value and a parent of "${keys[i + 1]}"`)
+      }
+    }
+
+    return unflattenKeys(flat)
+  },
+
+  serialize(data, { sourceContent = '' } = {}) {
+    const output = []
+    const written = new Set()
+
+    for (const line of parseLines(sourceContent)) {
+      if (line.type !== 'entry') {
+        output.push(line.raw)
+        continue
+      }
+
+      const value = getNestedValue(data, line.key)
+      if (value === undefined || value === null || typeof value === 'object') {
+        continue
+      }
+
+      output.push(`${line.prefix}${escapeValue(String(value))}`)
+      written.add(line.key)
+    }
+
+    for (const [key, value] of Object.entries(flattenKeys(data))) {
+      if (!written.has(key)) {
+        output.push(`${escapeKey(key)}=${escapeValue(String(value))}`)
+      }
+    }
+
+    return output.join('\n') + '\n'
+  }
+}
+
+/**
+ * Split .properties content into comment, blank and entry lines
+ * Backslash line continuations are joined into a single entry
+ * @exported for testing
+ */
+export function parseLines(content) {
+  const physicalLines = content.split(/\r?\n/)
+  if (physicalLines[physicalLines.length - 1] === '') {
+    physicalLines.pop()
+  }
+
+  const lines = []
+
+  for (let i = 0; i < physicalLines.length; i++) {
+    const raw = physicalLines[i]
+    const trimmed = raw.trimStart()
+
+    if (trimmed === '') {
+      lines.push({ type: 'blank', raw })
+      continue
+    }
+    if (trimmed.startsWith('#') || trimmed.startsWith('!')) {
+      lines.push({ type: 'comment', raw })
+      continue
+    }
+
+    // Join continuation lines
+    let logical = raw
+    while (endsWithContinuation(logical) && i + 1 < physicalLines.length) {
+      i++
+      logical = logical.slice(0, -1) + physicalLines[i].trimStart()
+    }
+
+    lines.push(parseEntry(logical))
+  }
+
+  return lines
+}
+
+/**
+ * Parse a logical `key = value` line
+ */
+function parseEntry(line) {
+  let i = line.length - line.trimStart().length
+  let key = ''
+
+  while (i < line.length) {
+    const char = line[i]
+    if (char === '\\') {
+      key += line.slice(i, i + 2)
+      i += 2
+      continue
+    }
+    if (char === '=' || char === ':' || /\s/.test(char)) {
+      break
+    }
+    key += char
+    i++
+  }
+
+  // Separator: optional whitespace, at most one '=' or ':', optional whitespace
+  while (i < line.length && /[ \t\f]/.test(line[i])) i++
+  if (line[i] === '=' || line[i] === ':') i++
+  while (i < line.length && /[ \t\f]/.test(line[i])) i++
+
+  return {
+    type: 'entry',
+    raw: line,
+    prefix: line.slice(0, i),
+    key: unescape(key),
+    value: unescape(line.slice(i))
+  }
+}
+
+function endsWithContinuation(line) {
+  const trailing = line.match(/\\*$/)[0].length
+  return trailing % 2 === 1
+}
+
+function unescape(value) {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) => {
+    if (escaped[0] === 'u' && escaped.length === 5) {
+      return String.fromCharCode(parseInt(escaped.slice(1), 16))
+    }
+    return { t: '\t', n: '\n', r: '\r', f: '\f' }[escaped] ?? escaped
+  })
+}
+
+function escapeCharacters(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+}
+
+function escapeValue(value) {
+  return escapeCharacters(value).replace(/^ /, '\\ ')
+}
+
+function escapeKey(key) {
+  return escapeCharacters(key).replace(/([=: #!])/g, '\\$1')
+}
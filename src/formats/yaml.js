@@ -0,0 +1,72 @@
+import { importOptional } from './optional.js'
+import { flattenKeys, splitKeyPath } from '../keys.js'
+
+/**
+ * YAML locale files (requires the optional `yaml` package)
+ *
+ * Rails-style files with a single root language key (`en:`) are unwrapped on parse and
+ * re-rooted under the target language on serialize. Output is written by editing a copy
+ * of the source document, so comments, key order and quoting style are kept.
+ */
+export default {
+  name: 'yaml',
+  extensions: ['.yml', '.yaml'],
+
+  async parse(content, { language }) {
+    const YAML = await importOptional('yaml', '.yml')
+    const data = YAML.parse(content) || {}
+    return hasRootLanguage(data, language) ? data[language] : data
+  },
+
+  async serialize(data, { language, sourceLanguage, sourceContent }) {
+    const YAML = await importOptional('yaml', '.yml')
+
+    if (!sourceContent) {
+      return YAML.stringify(data)
+    }
+
+    const doc = YAML.parseDocument(sourceContent)
+    const source = doc.toJS() || {}
+    let prefix = []
+
+    if (hasRootLanguage(source, sourceLanguage)) {
+      doc.contents.items[0].key.value = language
+      prefix = [language]
+    }
+
+    const flatSource = flattenKeys(prefix.length > 0 ? source[sourceLanguage] : source)
+    const flatData = flattenKeys(data)
+
+    for (const [key, value] of Object.entries(flatData)) {
+      const keyPath = [...prefix, ...splitKeyPath(key)]
+      const node = doc.getIn(keyPath, true)
+
+      if (YAML.isScalar(node) && (value === null || typeof value !== 'object')) {
+        node.value = value
+      } else {
+        doc.setIn(keyPath, value)
+      }
+    }
+
+    // Never leave source strings behind for keys the translation does not have
+    for (const key of Object.keys(flatSource)) {
+      if (!(key in flatData)) {
+        doc.deleteIn([...prefix, ...splitKeyPath(key)])
+      }
+    }
+
+    return doc.toString()
+  }
+}
+
+/**
+ * Check for a Rails-style document with a single root language key
+ */
+function hasRootLanguage(data, language) {
+  const keys = Object.keys(data)
+  return keys.length === 1 &&
+    keys[0] === language &&
+    data[language] !== null &&
+    typeof data[language] === 'object' &&
+    !Array.isArray(data[language])
+}
@@ -0,0 +1,166 @@
+import fs from 'fs'
+
+const TOKEN_PATTERN = /\{\{\s*shipi18n_term_(\d+)\s*\}\}/g
+
+/**
+ * Check a glossary and fill in defaults
+ * Accepts `{ doNotTranslate: string[], terms: { [term]: { [lang]: approvedTerm } } }`
+ * @exported for testing
+ */
+export function normalizeGlossary(glossary) {
+  if (!glossary || typeof glossary !== 'object' || Array.isArray(glossary)) {
+    throw new Error('vite-plugin-shipi18n: glossary must be an object or a path to a JSON file')
+  }
+
+  const { doNotTranslate = [], terms = {} } = glossary
+
+  if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== 'string' || !term)) {
+    throw new Error('vite-plugin-shipi18n: glossary.doNotTranslate must be an array of strings')
+  }
+  for (const [term, translations] of Object.entries(terms)) {
+    if (!translations || typeof translations !== 'object' || Object.values(translations).some(value => typeof value !== 'string')) {
+      throw new Error(`vite-plugin-shipi18n: glossary term "${term}" must map languages to strings`)
+    }
+  }
+
+  return { doNotTranslate, terms }
+}
+
+/**
+ * Read a glossary from a JSON file
+ * @exported for testing
+ */
+export function readGlossary(filePath) {
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  } catch (error) {
+    throw new Error(`vite-plugin-shipi18n: Could not read glossary ${filePath} - ${error.message}`)
+  }
+  return normalizeGlossary(data)
+}
+
+/**
+ * Get the approved term for a language, falling back to its base language, then the source term
+ * @exported for testing
+ */
+export function getApprovedTerm(glossary, term, language) {
+  const translations = glossary.terms[term]
+  if (!translations) {
+    return term
+  }
+  return translations[language] ?? translations[language.split('-')[0]] ?? term
+}
+
+/**
+ * Replace glossary terms in flattened source values with placeholders the API leaves alone
+ * Returns the protected values and the term behind each placeholder index
+ * @exported for testing
+ */
+export function protectTerms(flatSource, glossary) {
+  const pattern = getTermPattern(glossary)
+  if (!pattern) {
+    return { values: flatSource, tokens: [] }
+  }
+
+  const tokens = []
+  const values = {}
+
+  for (const [key, value] of Object.entries(flatSource)) {
+    values[key] = typeof value === 'string'
+      ? value.replace(pattern, (term) => {
+        let index = tokens.indexOf(term)
+        if (index === -1) {
+          index = tokens.push(term) - 1
+        }
+        return `{{shipi18n_term_${index}}}`
+      })
+      : value
+  }
+
+  return { values, tokens }
+}
+
+/**
+ * Put glossary terms back into translated values, using each language's approved term
+ * @exported for testing
+ */
+export function restoreTerms(flatTranslation, tokens, glossary, language) {
+  if (tokens.length === 0) {
+    return flatTranslation
+  }
+
+  const restored = {}
+  for (const [key, value] of Object.entries(flatTranslation)) {
+    restored[key] = typeof value === 'string'
+      ? value.replace(TOKEN_PATTERN, (match, index) => (
+        tokens[index] === undefined ? match : getApprovedTerm(glossary, tokens[index], language)
+      ))
+      : value
+  }
+  return restored
+}
+
+/**
+ * Describe the glossary terms each source value uses and what they become in a language
+ * (`Workspace=Arbeitsbereich`), so cached translations can be matched to the glossary they were made with
+ * Keys without glossary terms are left out
+ * @exported for testing
+ */
+export function getTermSignatures(flatSource, glossary, language) {
+  const pattern = getTermPattern(glossary)
+  const signatures = {}
+  if (!pattern) {
+    return signatures
+  }
+
+  for (const [key, value] of Object.entries(flatSource)) {
+    const terms = typeof value === 'string' ? [...new Set(value.match(pattern))].sort() : []
+    if (terms.length > 0) {
+      signatures[key] = terms.map(term => `${term}=${getApprovedTerm(glossary, term, language)}`).join('; ')
+    }
+  }
+  return signatures
+}
+
+/**
+ * Create a validator that checks glossary terms in the source survive translation
+ * Do-not-translate terms must appear unchanged, and mapped terms must use the approved translation
+ * @exported for testing
+ */
+export function createGlossaryValidator(glossary) {
+  const pattern = getTermPattern(glossary)
+
+  return (sourceValue, targetValue, { language }) => {
+    if (!pattern || typeof sourceValue !== 'string' || typeof targetValue !== 'string') {
+      return
+    }
+
+    const violations = []
+    for (const term of new Set(sourceValue.match(pattern))) {
+      const expected = getApprovedTerm(glossary, term, language)
+      if (!targetValue.includes(expected)) {
+        violations.push(expected === term ? `"${term}"` : `"${expected}" (for "${term}")`)
+      }
+    }
+
+    if (violations.length > 0) {
+      return { error: `Missing glossary term ${violations.join(', ')}` }
+    }
+  }
+}
+
+/**
+ * Build a whole-word pattern matching every glossary term, longest first
+ */
+function getTermPattern(glossary) {
+  const terms = [...new Set([...glossary.doNotTranslate, ...Object.keys(glossary.terms)])]
+  if (terms.length === 0) {
+    return null
+  }
+
+  const alternatives = terms
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'gu')
+}
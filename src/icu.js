@@ -0,0 +1,337 @@
+const PLURAL_TYPES = ['plural', 'selectordinal']
+const SELECT_TYPES = ['plural', 'selectordinal', 'select']
+
+/**
+ * Parse an ICU MessageFormat string into a list of nodes
+ * Throws a SyntaxError describing the first problem found
+ * @exported for testing
+ */
+export function parseICU(message) {
+  let pos = 0
+
+  const fail = (reason) => {
+    throw new SyntaxError(`${reason} at position ${pos}`)
+  }
+
+  const skipWhitespace = () => {
+    while (pos < message.length && /\s/.test(message[pos])) pos++
+  }
+
+  const readIdentifier = () => {
+    const start = pos
+    while (pos < message.length && !/[\s{},#']/.test(message[pos])) pos++
+    return message.slice(start, pos)
+  }
+
+  const parseMessage = (depth, inPlural) => {
+    const nodes = []
+    let text = ''
+
+    const flushText = () => {
+      if (text) {
+        nodes.push({ type: 'text', value: text })
+        text = ''
+      }
+    }
+
+    while (pos < message.length) {
+      const char = message[pos]
+
+      if (char === "'") {
+        const next = message[pos + 1]
+        if (next === "'") {
+          text += "'"
+          pos += 2
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          // Quoted literal up to the next single apostrophe
+          let end = pos + 1
+          let literal = ''
+          while (end < message.length) {
+            if (message[end] === "'" && message[end + 1] === "'") {
+              literal += "'"
+              end += 2
+            } else if (message[end] === "'") {
+              break
+            } else {
+              literal += message[end++]
+            }
+          }
+          text += literal
+          pos = end + 1
+        } else {
+          text += char
+          pos++
+        }
+        continue
+      }
+
+      if (char === '{') {
+        flushText()
+        nodes.push(parseArgument(depth, inPlural))
+        continue
+      }
+
+      if (char === '}') {
+        if (depth === 0) {
+          fail('Unexpected "}"')
+        }
+        break
+      }
+
+      if (char === '#' && inPlural) {
+        flushText()
+        nodes.push({ type: 'pound' })
+        pos++
+        continue
+      }
+
+      text += char
+      pos++
+    }
+
+    flushText()
+    return nodes
+  }
+
+  const parseArgument = (depth, inPlural) => {
+    pos++
+    skipWhitespace()
+
+    const name = readIdentifier()
+    if (!name) {
+      fail('Expected argument name')
+    }
+    skipWhitespace()
+
+    if (message[pos] === '}') {
+      pos++
+      return { type: 'argument', name }
+    }
+    if (message[pos] !== ',') {
+      fail(`Expected "," or "}" after argument "${name}"`)
+    }
+    pos++
+    skipWhitespace()
+
+    const format = readIdentifier()
+    if (!format) {
+      fail(`Expected type for argument "${name}"`)
+    }
+    skipWhitespace()
+
+    if (!SELECT_TYPES.includes(format)) {
+      let style
+      if (message[pos] === ',') {
+        pos++
+        const start = pos
+        while (pos < message.length && message[pos] !== '}') pos++
+        style = message.slice(start, pos).trim()
+      }
+      if (message[pos] !== '}') {
+        fail(`Unterminated argument "${name}"`)
+      }
+      pos++
+      return { type: 'argument', name, format, style }
+    }
+
+    if (message[pos] !== ',') {
+      fail(`Expected "," after ${format} argument "${name}"`)
+    }
+    pos++
+    skipWhitespace()
+
+    let offset = 0
+    if (format === 'plural' && message.startsWith('offset:', pos)) {
+      pos += 'offset:'.length
+      skipWhitespace()
+      const value = readIdentifier()
+      if (!/^\d+$/.test(value)) {
+        fail(`Invalid offset for argument "${name}"`)
+      }
+      offset = Number(value)
+      skipWhitespace()
+    }
+
+    const options = {}
+    while (message[pos] !== '}') {
+      if (pos >= message.length) {
+        fail(`Unterminated ${format} argument "${name}"`)
+      }
+
+      const selector = readIdentifier()
+      if (!selector) {
+        fail(`Expected selector in ${format} argument "${name}"`)
+      }
+      if (selector in options) {
+        fail(`Duplicate selector "${selector}" in argument "${name}"`)
+      }
+      skipWhitespace()
+
+      if (message[pos] !== '{') {
+        fail(`Expected "{" after selector "${selector}"`)
+      }
+      pos++
+      options[selector] = parseMessage(depth + 1, inPlural || PLURAL_TYPES.includes(format))
+      if (message[pos] !== '}') {
+        fail(`Unterminated selector "${selector}" in argument "${name}"`)
+      }
+      pos++
+      skipWhitespace()
+    }
+    pos++
+
+    if (!('other' in options)) {
+      fail(`Missing "other" in ${format} argument "${name}"`)
+    }
+
+    return { type: format, name, offset, options }
+  }
+
+  return parseMessage(0, false)
+}
+
+/**
+ * Collect every argument in a parsed message, as a map of name -> Set of argument types
+ * @exported for testing
+ */
+export function collectArguments(nodes, args = new Map()) {
+  for (const node of nodes) {
+    if (node.type === 'text' || node.type === 'pound') {
+      continue
+    }
+
+    const type = node.type === 'argument' ? (node.format || 'simple') : node.type
+    if (!args.has(node.name)) {
+      args.set(node.name, new Set())
+    }
+    args.get(node.name).add(type)
+
+    if (node.options) {
+      for (const option of Object.values(node.options)) {
+        collectArguments(option, args)
+      }
+    }
+  }
+
+  return args
+}
+
+/**
+ * Get the CLDR plural categories a locale uses, or null if the locale is unknown
+ * @exported for testing
+ */
+export function getPluralCategories(language, type = 'cardinal') {
+  try {
+    return new Intl.PluralRules(language, { type }).resolvedOptions().pluralCategories
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Get the plural categories a locale needs for everyday counts (0-200)
+ * Categories only reachable by huge or compact numbers (e.g. Spanish `many` for millions) are left out
+ * @exported for testing
+ */
+export function getRequiredPluralCategories(language, type = 'cardinal') {
+  let rules
+  try {
+    rules = new Intl.PluralRules(language, { type })
+  } catch (error) {
+    return null
+  }
+
+  const categories = new Set()
+  for (let n = 0; n <= 200; n++) {
+    categories.add(rules.select(n))
+  }
+  return rules.resolvedOptions().pluralCategories.filter(category => categories.has(category))
+}
+
+/**
+ * Validate a translated ICU message against its source
+ *
+ * Returns undefined when the source is not an ICU message or the translation is fine.
+ * Returns `{ error }` for broken syntax, renamed/missing/extra arguments or changed argument types,
+ * and `{ warning }` when plural categories don't match the target locale's CLDR rules.
+ * @exported for testing
+ */
+export function validateICUMessage(sourceValue, targetValue, { language }) {
+  if (typeof sourceValue !== 'string' || typeof targetValue !== 'string') {
+    return
+  }
+
+  let sourceArgs
+  try {
+    sourceArgs = collectArguments(parseICU(sourceValue))
+  } catch (error) {
+    // Not an ICU message (e.g. i18next {{name}} interpolation)
+    return
+  }
+  if (sourceArgs.size === 0) {
+    return
+  }
+
+  let targetNodes
+  try {
+    targetNodes = parseICU(targetValue)
+  } catch (error) {
+    return { error: `Invalid ICU syntax: ${error.message}` }
+  }
+
+  const targetArgs = collectArguments(targetNodes)
+
+  for (const name of sourceArgs.keys()) {
+    if (!targetArgs.has(name)) {
+      return { error: `Missing argument {${name}}` }
+    }
+  }
+  for (const [name, types] of targetArgs) {
+    if (!sourceArgs.has(name)) {
+      return { error: `Unknown argument {${name}}` }
+    }
+    for (const type of types) {
+      if (!sourceArgs.get(name).has(type)) {
+        return { error: `Argument {${name}} changed to ${type}` }
+      }
+    }
+  }
+
+  const problems = []
+  for (const node of findPluralNodes(targetNodes)) {
+    const type = node.type === 'selectordinal' ? 'ordinal' : 'cardinal'
+    const categories = getPluralCategories(language, type)
+    if (!categories) {
+      continue
+    }
+
+    const used = Object.keys(node.options).filter(selector => !selector.startsWith('='))
+    const unused = used.filter(category => !categories.includes(category))
+    const missing = getRequiredPluralCategories(language, type).filter(category => !used.includes(category))
+
+    if (unused.length > 0) {
+      problems.push(`{${node.name}} has categories not used by ${language}: ${unused.join(', ')}`)
+    }
+    if (missing.length > 0) {
+      problems.push(`{${node.name}} is missing categories needed by ${language}: ${missing.join(', ')}`)
+    }
+  }
+
+  if (problems.length > 0) {
+    return { warning: problems.join('; ') }
+  }
+}
+
+function findPluralNodes(nodes, found = []) {
+  for (const node of nodes) {
+    if (PLURAL_TYPES.includes(node.type)) {
+      found.push(node)
+    }
+    if (node.options) {
+      for (const option of Object.values(node.options)) {
+        findPluralNodes(option, found)
+      }
+    }
+  }
+  return found
+}
@@ -1,34 +1,164 @@
 import fs from 'fs'
 import path from 'path'
-import crypto from 'crypto'
+import {
+  getCacheFile,
+  readKeyCache,
+  writeKeyCache,
+  hashSourceValue,
+  lookupCachedKeys,
+  updateKeyCache,
+  createEntry
+} from './cache.js'
+import {
+  findMissingKeys,
+  getNestedValue,
+  setNestedValue,
+  flattenKeys,
+  unflattenKeys,
+  pickKeys
+} from './keys.js'
+import {
+  VIRTUAL_MODULE_ID,
+  RESOLVED_VIRTUAL_MODULE_ID,
+  getLocaleModuleId,
+  parseLocaleModuleId,
+  getFallbackChains,
+  generateVirtualModule
+} from './virtualModule.js'
+import { findFiles, matchesGlob, toPosixPath } from './files.js'
+import { applyValidation } from './validation.js'
+import { validateICUMessage } from './icu.js'
+import { validatePlaceholders, validateMarkup } from './integrity.js'
+import { resolveProvider, createShipi18nProvider, createMockProvider } from './providers/index.js'
+import { chunkKeys, groupByPendingKeys, mapConcurrent } from './chunks.js'
+import { createBufferedLogger } from './logger.js'
+import { planFileChanges, writePlanFile } from './plan.js'
+import { findStaleOutputs, pruneKeys, removeEmptyDirs } from './prune.js'
+import { buildLanguageReports, summarizeReport, formatJUnitReport, formatMarkdownReport } from './report.js'
+import {
+  readLockFile,
+  updateLockFile,
+  getValueOrigins,
+  buildLockEntries,
+  findReusableKeys,
+  findStaleOverrides
+} from './lockfile.js'
+import {
+  normalizeGlossary,
+  readGlossary,
+  protectTerms,
+  restoreTerms,
+  createGlossaryValidator,
+  getTermSignatures
+} from './glossary.js'
+import { getLanguageSource, removeUnusedPluralKeys } from './plurals.js'
+import { isPseudoLocale, pseudoLocalizeEntries } from './pseudo.js'
+import { getContextFileName, isContextFile, extractNotes, readContextFile, resolveNotes } from './context.js'
+import { normalizeLanguages } from './languages.js'
+import { getFallbackChain, getRegionalChain } from './bcp47.js'
+import { builtinFormats, getFormat, getOutputFileName, stripExtension } from './formats/index.js'
+
+export {
+  createShipi18nProvider,
+  createMockProvider,
+  findMissingKeys,
+  getNestedValue,
+  setNestedValue,
+  flattenKeys,
+  unflattenKeys
+}
 
 /**
  * Vite plugin for automatic i18n translation using Shipi18n API
  *
  * @param {Object} options - Plugin configuration
- * @param {string} options.apiKey - Shipi18n API key (required)
+ * @param {string} options.apiKey - Shipi18n API key (required unless offline or using another provider)
  * @param {string} options.apiUrl - Shipi18n API URL (optional, defaults to production)
- * @param {string[]} options.targetLanguages - Languages to translate to (required)
+ * @param {(string|Object)[]} options.targetLanguages - Languages to translate to (required), including pseudo-locales (en-XA, ar-XB, pseudo)
+ * @param {string} options.targetLanguages[].code - Language code sent to the provider
+ * @param {string} options.targetLanguages[].formality - 'formal' or 'informal' form of address (optional)
+ * @param {string[]} options.targetLanguages[].exclude - Glob patterns of source files the language isn't translated for (optional)
+ * @param {string} options.targetLanguages[].folder - Folder under outputDir and overridesDir the language uses (default: its code)
+ * @param {string|string[]|false} options.targetLanguages[].fallback - Language to fall back to instead of the parent tag, the whole fallback chain, or false for none (optional)
+ * @param {string|Object} options.provider - Translation provider: 'shipi18n', 'mock' or a custom provider object (default: 'shipi18n')
  * @param {string} options.sourceDir - Directory containing source locale files (default: 'public/locales/en')
  * @param {string} options.outputDir - Directory to write translated files (default: 'public/locales')
+ * @param {string} options.overridesDir - Directory of manual translations (<lang>/<file>) that win over machine output (optional)
+ * @param {string[]} options.include - Glob patterns of source files to translate, relative to sourceDir (default: every supported file)
+ * @param {string[]} options.exclude - Glob patterns of source files to skip, relative to sourceDir (default: [])
+ * @param {Object[]} options.formats - Custom locale file formats, checked before the built-in JSON, JSON5, YAML, .properties and gettext formats
  * @param {string} options.sourceLanguage - Source language code (default: 'en')
  * @param {boolean} options.cache - Enable caching (default: true)
  * @param {string} options.cacheDir - Cache directory (default: 'node_modules/.cache/vite-plugin-shipi18n')
+ * @param {boolean} options.offline - Skip the API and check existing outputs instead (default: true when the Shipi18n provider has no apiKey)
+ * @param {string|false} options.lockFile - Lockfile recording the source hash and origin of every translated key (default: 'shipi18n.lock.json')
+ * @param {Object} options.retry - Retry options for failed API requests
+ * @param {number} options.retry.retries - Retries after the first attempt (default: 3)
+ * @param {number} options.retry.minDelay - Backoff before the first retry in ms, doubled for each retry (default: 1000)
+ * @param {number} options.retry.maxDelay - Longest wait between attempts in ms, also capping Retry-After (default: 30000)
+ * @param {number} options.timeout - Per-request timeout in ms (default: 60000)
+ * @param {number} options.concurrency - Source files translated at once (default: 4)
+ * @param {Object|false} options.chunking - Split large files into several API requests, or false to send each file whole
+ * @param {number} options.chunking.maxKeys - Most keys per request (default: 200)
+ * @param {number} options.chunking.maxBytes - Approximate largest request payload in bytes (default: 50000)
+ * @param {number} options.chunking.concurrency - Requests sent at once per file (default: 1)
  * @param {Object} options.fallback - Fallback options
  * @param {boolean} options.fallback.fallbackToSource - Use source content when translation missing (default: true)
- * @param {boolean} options.fallback.regionalFallback - Enable pt-BR -> pt fallback (default: true)
+ * @param {boolean} options.fallback.regionalFallback - Fall back along each language's chain, e.g. zh-Hant-HK -> zh-Hant -> zh (default: true)
+ * @param {boolean} options.pluralSuffixes - Give each language the i18next plural keys (_one, _few, ...) its CLDR rules need (default: true)
+ * @param {Object} options.pseudo - Pseudo-locale options
+ * @param {number} options.pseudo.expansion - Share (0-1) each string is padded by to test truncation (default: 0.3)
+ * @param {boolean} options.pseudo.accents - Replace letters with accented ones (default: true)
+ * @param {boolean} options.pseudo.brackets - Wrap strings in [brackets] to spot concatenation and clipping (default: true)
+ * @param {Object} options.validation - Post-translation validation options
+ * @param {boolean} options.validation.icu - Validate ICU MessageFormat syntax, arguments and plural categories (default: true)
+ * @param {boolean} options.validation.placeholders - Check {{interpolation}}, $t() nesting and printf placeholders (default: true)
+ * @param {boolean} options.validation.markup - Check HTML/JSX tags are balanced and unchanged (default: true)
+ * @param {Object|false} options.context - Translator notes sent with each key, or false to treat every key as text
+ * @param {boolean} options.context.file - Read notes from a `<name>.context.json` file next to each source file (default: true)
+ * @param {string[]} options.context.suffixes - Suffixes of sibling keys holding a key's note, e.g. ['_comment'] (default: [])
+ * @param {Object|string} options.glossary - Do-not-translate terms and approved term translations, or a path to a JSON file with them
+ * @param {boolean|Object} options.report - Write a per-file, per-language report of where translations came from (default: false)
+ * @param {string} options.report.json - JSON report file (default: 'shipi18n.report.json')
+ * @param {string} options.report.junit - JUnit XML report file (optional)
+ * @param {string} options.report.markdown - Markdown report file (optional)
+ * @param {boolean} options.prune - Delete stale keys, and outputs the lockfile records for removed files and languages (default: false)
+ * @param {boolean|Object} options.dryRun - Print and save what would be translated instead of translating (default: false)
+ * @param {string} options.dryRun.planFile - JSON file the plan is written to (default: 'shipi18n.plan.json')
+ * @param {boolean|Object} options.failOnError - Fail `vite build` on parse errors, API failures or too many source fallbacks (default: false)
+ * @param {number} options.failOnError.fallbackThreshold - Share of a language's keys (0-1) that may fall back to source (default: 0)
  */
 export default function shipi18nPlugin(options = {}) {
   const {
     apiKey,
     apiUrl = 'https://x9527l3blg.execute-api.us-east-1.amazonaws.com',
-    targetLanguages = [],
+    targetLanguages: languageOptions = [],
+    provider = 'shipi18n',
     sourceDir = 'public/locales/en',
     outputDir = 'public/locales',
+    overridesDir,
+    include = ['**/*'],
+    exclude = [],
+    formats: customFormats = [],
     sourceLanguage = 'en',
     cache = true,
     cacheDir = 'node_modules/.cache/vite-plugin-shipi18n',
-    fallback = {}
+    lockFile = 'shipi18n.lock.json',
+    offline = !apiKey && provider === 'shipi18n',
+    retry = {},
+    timeout = 60000,
+    concurrency = 4,
+    chunking = {},
+    fallback = {},
+    pluralSuffixes = true,
+    pseudo = {},
+    validation = {},
+    glossary,
+    context = {},
+    report = false,
+    prune = false,
+    dryRun = false,
+    failOnError = false
   } = options
 
   const {
@@ -36,16 +166,1110 @@ export default function shipi18nPlugin(options = {}) {
     regionalFallback = true,
   } = fallback
 
+  const {
+    retries = 3,
+    minDelay = 1000,
+    maxDelay = 30000,
+  } = retry
+
+  const {
+    maxKeys = 200,
+    maxBytes = 50000,
+    concurrency: chunkConcurrency = 1,
+  } = chunking || { maxKeys: Infinity, maxBytes: Infinity }
+
+  const {
+    fallbackThreshold = 0,
+  } = typeof failOnError === 'object' ? failOnError : {}
+
+  const {
+    file: contextFile = true,
+    suffixes: contextSuffixes = [],
+  } = context || { file: false, suffixes: [] }
+
+  const {
+    planFile = 'shipi18n.plan.json',
+  } = typeof dryRun === 'object' ? dryRun : {}
+
+  const {
+    json: reportJson = 'shipi18n.report.json',
+    junit: reportJunit,
+    markdown: reportMarkdown,
+  } = typeof report === 'object' ? report : {}
+
+  const {
+    icu = true,
+    placeholders = true,
+    markup = true,
+  } = validation
+
   // Validation
-  if (!apiKey) {
-    throw new Error('vite-plugin-shipi18n: apiKey is required')
+  if (provider === 'shipi18n' && !apiKey && !offline) {
+    throw new Error('vite-plugin-shipi18n: apiKey is required unless offline is enabled')
   }
 
-  if (!targetLanguages || targetLanguages.length === 0) {
+  if (!languageOptions || languageOptions.length === 0) {
     throw new Error('vite-plugin-shipi18n: targetLanguages is required')
   }
 
+  // Per-language settings are looked up by code, which is what the cache, lockfile and report use
+  const languageSettings = normalizeLanguages(languageOptions)
+  const targetLanguages = languageSettings.map(({ code }) => code)
+  const settingsByLanguage = Object.fromEntries(languageSettings.map(settings => [settings.code, settings]))
+  // Recorded in the lockfile, so prune finds the output of a language after it is removed or moved
+  const languageFolders = Object.fromEntries(
+    languageSettings
+      .filter(({ code, folder }) => folder !== code)
+      .map(({ code, folder }) => [code, folder])
+  )
+  const languageFallbacks = Object.fromEntries(
+    languageSettings
+      .filter(({ fallback }) => fallback !== undefined)
+      .map(({ code, fallback }) => [code, fallback])
+  )
+  // Fail on fallback chains that loop before anything is translated
+  for (const lang of targetLanguages) {
+    getFallbackChain(lang, languageFallbacks)
+  }
+
+  const translator = resolveProvider(provider, {
+    apiKey,
+    apiUrl,
+    retry: { retries, minDelay, maxDelay, timeout }
+  })
+  // Offline and pseudo translations must never be reused as real ones
+  const recordsOrigins = !offline && !translator.pseudo
+
+  // Pseudo-locales are generated locally, so they skip the provider, the cache and regional fallbacks
+  const translatedLanguages = targetLanguages.filter(lang => !isPseudoLocale(lang))
+
   let config
+  const hotUpdates = new Map()
+  const formats = [...customFormats, ...builtinFormats]
+  const validators = []
+  if (icu) {
+    validators.push(validateICUMessage)
+  }
+  if (placeholders) {
+    validators.push(validatePlaceholders)
+  }
+  if (markup) {
+    validators.push(validateMarkup)
+  }
+
+  /**
+   * Strict mode only applies to builds, so a flaky API doesn't stop the dev server
+   */
+  function isStrict() {
+    return Boolean(failOnError) && !(config && config.command === 'serve')
+  }
+
+  /**
+   * Load the glossary, re-reading a glossary file each time so edits apply without a restart
+   */
+  function getGlossary() {
+    if (!glossary) {
+      return null
+    }
+    if (typeof glossary === 'string') {
+      const root = (config && config.root) || process.cwd()
+      return readGlossary(path.resolve(root, glossary))
+    }
+    return normalizeGlossary(glossary)
+  }
+
+  /**
+   * Resolve configured directories against the Vite root
+   */
+  function resolvePaths() {
+    const root = (config && config.root) || process.cwd()
+    return {
+      sourcePath: path.resolve(root, sourceDir),
+      outputPath: path.resolve(root, outputDir),
+      // Other providers keep their own cache, so switching providers never reuses another's values
+      cachePath: translator.name === 'shipi18n'
+        ? path.resolve(root, cacheDir)
+        : path.resolve(root, cacheDir, translator.name),
+      overridesPath: overridesDir ? path.resolve(root, overridesDir) : null,
+      lockPath: lockFile ? path.resolve(root, lockFile) : null,
+      planPath: path.resolve(root, planFile)
+    }
+  }
+
+  /**
+   * Get the folder a language is written to under outputDir and read from under overridesDir
+   */
+  function getLanguageFolder(lang) {
+    return settingsByLanguage[lang] ? settingsByLanguage[lang].folder : lang
+  }
+
+  /**
+   * Get the target language written to a folder, or null if no target language uses it
+   */
+  function getFolderLanguage(folder) {
+    return targetLanguages.find(lang => getLanguageFolder(lang) === folder) || null
+  }
+
+  /**
+   * Get the target languages a source file is translated to, leaving out languages that exclude it
+   */
+  function getFileLanguages(fileName) {
+    return targetLanguages.filter(lang => !matchesGlob(fileName, settingsByLanguage[lang].exclude))
+  }
+
+  /**
+   * Bind a format's expandSource hook to a file, for getLanguageSource
+   */
+  function getSourceExpander(fileName, format) {
+    return format.expandSource
+      ? (source, language) => format.expandSource(source, { fileName, language, sourceLanguage })
+      : null
+  }
+
+  /**
+   * Get the formality of each language that sets one
+   */
+  function getFormality(languages) {
+    return Object.fromEntries(
+      languages
+        .filter(lang => settingsByLanguage[lang] && settingsByLanguage[lang].formality)
+        .map(lang => [lang, settingsByLanguage[lang].formality])
+    )
+  }
+
+  /**
+   * Check whether a path relative to sourceDir is a source locale file
+   */
+  function isSourceFile(fileName) {
+    return getFormat(fileName, formats) !== null &&
+      !(contextFile && isContextFile(fileName)) &&
+      matchesGlob(fileName, include) &&
+      !matchesGlob(fileName, exclude)
+  }
+
+  /**
+   * Find all source locale files recursively, as forward-slash paths relative to sourceDir
+   */
+  function findSourceFiles(sourcePath) {
+    return findFiles(sourcePath, { include, exclude })
+      .filter(isSourceFile)
+  }
+
+  /**
+   * Parse a language's copy of a file from <dir>/<lang folder>/<output file>, or return null if it doesn't exist
+   */
+  async function readLanguageFile(dir, lang, fileName, format) {
+    const filePath = path.join(dir, getLanguageFolder(lang), getOutputFileName(fileName, format))
+    if (!fs.existsSync(filePath)) {
+      return null
+    }
+
+    return format.parse(fs.readFileSync(filePath, 'utf-8'), {
+      fileName,
+      language: lang,
+      sourceLanguage
+    })
+  }
+
+  /**
+   * Read the manual overrides for a file from <overridesDir>/<lang>/<output file>
+   * Returns flattened overrides per language, limited to keys the language's source has
+   */
+  async function readOverrides(fileName, format, flatSources, languages, overridesPath, logger) {
+    const overrides = {}
+    if (!overridesPath) {
+      return overrides
+    }
+
+    for (const lang of languages) {
+      let data
+      try {
+        data = await readLanguageFile(overridesPath, lang, fileName, format)
+      } catch (error) {
+        logger.warn(`   ⚠️  ${fileName}: Could not parse ${lang} overrides - ${error.message}`)
+        continue
+      }
+      if (!data) {
+        continue
+      }
+
+      overrides[lang] = {}
+      for (const [key, value] of Object.entries(flattenKeys(data))) {
+        if (key in flatSources[lang]) {
+          overrides[lang][key] = value
+        } else {
+          logger.warn(`      ⚠️  ${lang} ${key}: Override has no source key`)
+        }
+      }
+    }
+
+    return overrides
+  }
+
+  /**
+   * Split a parsed source file into its text and its translator notes
+   * Sibling note keys come first; the context file wins for keys noted in both
+   */
+  function readNotes(fileName, format, parsedSource, sourcePath, logger) {
+    const { source, notes } = extractNotes(parsedSource, contextSuffixes)
+    if (!contextFile) {
+      return { source, notes }
+    }
+
+    const contextFileName = getContextFileName(fileName, format)
+    try {
+      return { source, notes: { ...notes, ...readContextFile(path.join(sourcePath, contextFileName)) } }
+    } catch (error) {
+      logger.warn(`   ⚠️  ${fileName}: Could not parse ${contextFileName} - ${error.message}`)
+      return { source, notes }
+    }
+  }
+
+  /**
+   * Add committed output values to the cache entries when the lockfile records them as machine
+   * translations of the current source string and the cache has nothing newer
+   * Returns the number of values reused
+   */
+  async function reuseCommittedOutputs(fileName, format, cacheEntries, lockEntries, flatSources, notes, formality, terms, languages, outputPath) {
+    const reusable = findReusableKeys(lockEntries, flatSources, languages, sourceLanguage, formality, terms)
+    let reused = 0
+
+    for (const [lang, keys] of Object.entries(reusable)) {
+      const langEntries = cacheEntries[lang] || {}
+      const missing = keys.filter((key) => {
+        const entry = langEntries[key]
+        return !entry ||
+          entry.hash !== hashSourceValue(flatSources[lang][key], sourceLanguage) ||
+          (entry.formality || null) !== (formality[lang] || null) ||
+          (entry.terms || null) !== ((terms[lang] || {})[key] || null)
+      })
+      if (missing.length === 0) {
+        continue
+      }
+
+      let output
+      try {
+        output = await readLanguageFile(outputPath, lang, fileName, format)
+      } catch (error) {
+        continue
+      }
+      if (!output) {
+        continue
+      }
+
+      const flatOutput = flattenKeys(output)
+      cacheEntries[lang] = { ...langEntries }
+      for (const key of missing) {
+        if (flatOutput[key] !== undefined) {
+          cacheEntries[lang][key] = createEntry(
+            hashSourceValue(flatSources[lang][key], sourceLanguage),
+            flatOutput[key],
+            notes[key],
+            formality[lang],
+            (terms[lang] || {})[key]
+          )
+          reused++
+        }
+      }
+    }
+
+    return reused
+  }
+
+  /**
+   * Offline stand-in for the API: take pending keys from each language's existing output
+   * Returns the values found and, per language, the pending keys the output is missing
+   */
+  async function readExistingOutputs(fileName, format, flatSources, pending, languages, outputPath, logger) {
+    const existing = {}
+    const missing = {}
+
+    for (const lang of languages) {
+      let output = null
+      try {
+        output = await readLanguageFile(outputPath, lang, fileName, format)
+      } catch (error) {
+        logger.warn(`   ⚠️  ${fileName}: Could not parse ${lang} output - ${error.message}`)
+      }
+
+      const requested = unflattenKeys(Object.fromEntries(pending[lang].map(key => [key, flatSources[lang][key]])))
+      missing[lang] = findMissingKeys(requested, output || {})
+
+      const flatOutput = output ? flattenKeys(output) : {}
+      existing[lang] = {}
+      for (const key of pending[lang]) {
+        if (!missing[lang].includes(key) && flatOutput[key] !== undefined) {
+          existing[lang][key] = flatOutput[key]
+        }
+      }
+    }
+
+    return { existing, missing }
+  }
+
+  /**
+   * Parse a source file and work out which keys still need translating, after the cache, lockfile and overrides
+   * Returns null when the file can't be parsed (strict mode throws instead), adding the reason to `errors`
+   */
+  async function prepareFile(fileName, { sourcePath, outputPath, cachePath, overridesPath, lockPath }, logger, errors = []) {
+    const sourceFilePath = path.join(sourcePath, fileName)
+    const sourceContent = fs.readFileSync(sourceFilePath, 'utf-8')
+    const format = getFormat(fileName, formats)
+
+    let parsedSource
+    try {
+      parsedSource = await format.parse(sourceContent, {
+        fileName,
+        language: sourceLanguage,
+        sourceLanguage
+      })
+    } catch (error) {
+      logger.error(`❌ Error parsing ${fileName}: ${error.message}`)
+      errors.push(`${fileName}: Could not parse - ${error.message}`)
+      if (isStrict()) {
+        throw new Error(`${fileName}: Could not parse - ${error.message}`)
+      }
+      return null
+    }
+
+    // Notes are sent with their keys and left out of every output
+    const { source: sourceJson, notes: fileNotes } = readNotes(fileName, format, parsedSource, sourcePath, logger)
+    const flatSource = flattenKeys(sourceJson)
+    const cacheFile = getCacheFile(cachePath, fileName)
+
+    // Languages that exclude the file get no output for it
+    const languages = getFileLanguages(fileName)
+    const pseudoLanguages = languages.filter(isPseudoLocale)
+
+    // Process regional languages for fallback
+    const { processedTargets, regionalMap } = processRegionalLanguages(
+      languages.filter(lang => !isPseudoLocale(lang)),
+      regionalFallback,
+      languageFallbacks
+    )
+
+    // Check cache
+    let cacheEntries = {}
+    if (cache) {
+      try {
+        cacheEntries = readKeyCache(cacheFile)
+      } catch (error) {
+        logger.warn(`   ⚠️  Cache corrupted for ${fileName}, re-translating...`)
+      }
+    }
+
+    // Each language gets the plural keys its own CLDR rules need, and the plural forms of its gettext rule
+    const expandSource = getSourceExpander(fileName, format)
+    const flatSources = {}
+    for (const lang of [...processedTargets, ...pseudoLanguages]) {
+      flatSources[lang] = pluralSuffixes || expandSource
+        ? flattenKeys(getLanguageSource(sourceJson, lang, pluralSuffixes, expandSource))
+        : flatSource
+    }
+
+    const sourceKeys = new Set([flatSource, ...Object.values(flatSources)].flatMap(Object.keys))
+    const { notes, unknown } = resolveNotes(fileNotes, [...sourceKeys])
+    for (const key of unknown) {
+      logger.warn(`      ⚠️  ${key}: Context note has no source key`)
+    }
+
+    const formality = getFormality(processedTargets)
+
+    // Changing an approved term re-translates the keys that use it, as cached values have it baked in
+    const activeGlossary = getGlossary()
+    const glossaryTerms = activeGlossary
+      ? Object.fromEntries(processedTargets.map(lang => [lang, getTermSignatures(flatSources[lang], activeGlossary, lang)]))
+      : {}
+
+    // On a fresh runner, committed outputs the lockfile vouches for stand in for the lost cache
+    const lockEntries = lockPath ? (readLockFile(lockPath).files[fileName] || {}) : {}
+    if (cache && lockPath) {
+      const reused = await reuseCommittedOutputs(fileName, format, cacheEntries, lockEntries, flatSources, notes, formality, glossaryTerms, languages, outputPath)
+      if (reused > 0) {
+        logger.log(`      ℹ️  ${fileName}: Reused ${reused} committed translation(s) listed in the lockfile`)
+      }
+    }
+
+    // Adding or changing a key's note, a language's formality or an approved term re-translates it
+    const { cached, pending } = lookupCachedKeys(cacheEntries, flatSources, processedTargets, sourceLanguage, notes, formality, glossaryTerms)
+
+    // Manual overrides win over machine output, so their keys are never requested
+    const overrides = await readOverrides(fileName, format, flatSources, languages.filter(lang => !isPseudoLocale(lang)), overridesPath, logger)
+    for (const [lang, keys] of Object.entries(overrides)) {
+      pending[lang] = pending[lang].filter(key => !(key in keys))
+    }
+    const pendingLanguages = processedTargets.filter(lang => pending[lang].length > 0)
+
+    return {
+      sourceContent,
+      format,
+      sourceJson,
+      expandSource,
+      cacheFile,
+      languages,
+      pseudoLanguages,
+      processedTargets,
+      regionalMap,
+      cacheEntries,
+      flatSources,
+      notes,
+      formality,
+      activeGlossary,
+      glossaryTerms,
+      lockEntries,
+      cached,
+      pending,
+      overrides,
+      pendingLanguages
+    }
+  }
+
+  /**
+   * Work out what translating a file would send, without calling the API or writing anything
+   * Returns the file's plan per language, or null when the file can't be parsed
+   */
+  async function planTranslation(fileName, paths, logger = console) {
+    const prepared = await prepareFile(fileName, paths, logger)
+    if (!prepared) {
+      return null
+    }
+
+    const { format, processedTargets, flatSources, cacheEntries, lockEntries, pending } = prepared
+    const outputs = {}
+    for (const lang of processedTargets) {
+      try {
+        const output = await readLanguageFile(paths.outputPath, lang, fileName, format)
+        if (output) {
+          outputs[lang] = flattenKeys(output)
+        }
+      } catch (error) {
+        // An unreadable output is rewritten in full, so none of its keys count as known
+      }
+    }
+
+    const plan = planFileChanges({
+      flatSources,
+      pending,
+      languages: processedTargets,
+      cacheEntries,
+      lockEntries,
+      outputs
+    })
+
+    const entries = Object.entries(plan)
+    if (entries.length === 0) {
+      logger.log(`   ✓ ${fileName}: Up to date`)
+      return plan
+    }
+
+    const requested = entries.filter(([, { keys }]) => keys > 0)
+    const keys = requested.reduce((total, [, language]) => total + language.keys, 0)
+    const characters = requested.reduce((total, [, language]) => total + language.characters, 0)
+    logger.log(`   📋 ${fileName}: Would translate ${keys} key(s) (${characters} character(s)) across ${requested.length} language(s)`)
+    for (const [lang, language] of entries) {
+      logger.log(`      ${lang}: ${language.new.length} new, ${language.changed.length} changed, ${language.removed.length} removed`)
+    }
+
+    return plan
+  }
+
+  /**
+   * Translate a single source file and write its outputs
+   * Returns the languages that were written, or null when the file was skipped
+   * In strict mode, throws instead of skipping the file or writing too many source fallbacks
+   * Output goes to `logger`, which buffers it when several files are translated at once
+   * When a `fileReport` ({ errors, languages }) is given, it is filled in for the build report
+   */
+  async function translateFile(fileName, paths, logger = console, fileReport = null) {
+    const prepared = await prepareFile(fileName, paths, logger, fileReport ? fileReport.errors : [])
+    if (!prepared) {
+      return null
+    }
+
+    const { outputPath, lockPath } = paths
+    const {
+      sourceContent,
+      format,
+      sourceJson,
+      expandSource,
+      cacheFile,
+      languages,
+      pseudoLanguages,
+      processedTargets,
+      regionalMap,
+      cacheEntries,
+      flatSources,
+      notes,
+      formality,
+      activeGlossary,
+      glossaryTerms,
+      lockEntries,
+      cached,
+      pending,
+      overrides,
+      pendingLanguages
+    } = prepared
+
+    if (languages.length === 0) {
+      logger.log(`   ⏭️  ${fileName}: Excluded for every target language`)
+      return []
+    }
+
+    const pendingKeys = [...new Set(pendingLanguages.flatMap(lang => pending[lang]))]
+    const fileValidators = activeGlossary
+      ? [...validators, createGlossaryValidator(activeGlossary)]
+      : validators
+
+    // Translate only new or changed keys
+    let translated = null
+    let existing = {}
+    const totalKeys = new Set(processedTargets.flatMap(lang => Object.keys(flatSources[lang]))).size
+    if (pendingLanguages.length === 0) {
+      logger.log(`   ✓ ${fileName}: Using cached translations`)
+    } else if (offline) {
+      // Without the API, committed outputs are kept as they are and gaps go through the usual fallbacks
+      const result = await readExistingOutputs(fileName, format, flatSources, pending, pendingLanguages, outputPath, logger)
+      existing = result.existing
+      logger.log(`   📴 ${fileName}: Offline, would translate ${pendingKeys.length} of ${totalKeys} key(s) to ${pendingLanguages.length} language(s)`)
+      for (const lang of pendingLanguages) {
+        const kept = Object.keys(existing[lang]).length
+        logger.log(`      ℹ️  ${lang}: ${result.missing[lang].length} missing, ${kept} kept from the existing output`)
+      }
+    } else {
+      // Languages that need the same keys share requests, so no language is sent keys it already has
+      // Large files are sent in batches, so a failure only loses its own batch
+      const chunks = groupByPendingKeys(pendingLanguages, pending).flatMap(({ languages: groupLanguages, keys }) => {
+        const requestSource = Object.fromEntries(keys.map(key => [key, flatSources[groupLanguages[0]][key]]))
+        // Glossary terms are swapped for placeholders before the request and restored per language after
+        const { values, tokens } = activeGlossary
+          ? protectTerms(requestSource, activeGlossary)
+          : { values: requestSource, tokens: [] }
+        return chunkKeys(values, { maxKeys, maxBytes }).map(entries => ({ entries, languages: groupLanguages, tokens }))
+      })
+      const requests = chunks.length > 1 ? ` in ${chunks.length} requests` : ''
+      logger.log(`   ⏳ ${fileName}: Translating to ${pendingLanguages.length} language(s) (${pendingKeys.length} of ${totalKeys} key(s))${requests}...`)
+      const results = await mapConcurrent(chunks, chunkConcurrency, async ({ entries: chunk, languages: chunkLanguages }, index) => {
+        const label = chunks.length > 1 ? `${fileName} (chunk ${index + 1} of ${chunks.length})` : fileName
+        const chunkNotes = Object.fromEntries(Object.keys(chunk).filter(key => key in notes).map(key => [key, notes[key]]))
+
+        try {
+          const result = await translator.translate({
+            entries: chunk,
+            sourceLanguage,
+            targetLanguages: chunkLanguages,
+            formality: getFormality(chunkLanguages),
+            context: chunkNotes,
+            onRetry: ({ attempt, retries: attempts = retries, delay, reason }) => {
+              logger.warn(`      ⚠️  ${label}: Request failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (${attempt} of ${attempts})`)
+            }
+          }) || {}
+          return { result }
+        } catch (error) {
+          logger.error(`   ❌ ${label}: Translation failed - ${error.message}`)
+          return { error: `${label}: Translation failed - ${error.message}` }
+        }
+      })
+
+      // Merge API results from every successful chunk
+      for (const [index, { result }] of results.entries()) {
+        if (!result) {
+          continue
+        }
+        translated = translated || {}
+
+        const { entries: chunk, languages: chunkLanguages, tokens } = chunks[index]
+        for (const lang of chunkLanguages) {
+          const flatResult = restoreTerms(
+            result[lang] ? pickKeys(result[lang], Object.keys(chunk)) : {},
+            tokens,
+            activeGlossary,
+            lang
+          )
+          translated[lang] = translated[lang] || {}
+
+          for (const key of Object.keys(chunk)) {
+            const value = flatResult[key]
+            if (value !== undefined && value !== null && value !== '') {
+              translated[lang][key] = value
+            }
+          }
+        }
+      }
+
+      const errors = results.filter(({ error }) => error).map(({ error }) => error)
+      if (fileReport) {
+        fileReport.errors.push(...errors)
+      }
+      if (errors.length === 0) {
+        logger.log(`   ✓ ${fileName}: Translation complete`)
+      } else {
+        if (isStrict()) {
+          throw new Error(errors.join('; '))
+        }
+        if (!translated && !fallbackToSource) {
+          return null
+        }
+        if (fallbackToSource) {
+          logger.log(`      ⚠️  Using source content as fallback for untranslated keys`)
+        }
+      }
+    }
+
+    // Reassemble cached and new values in source key order
+    let translations = {}
+    for (const lang of processedTargets) {
+      const flatTranslation = {}
+      for (const key of Object.keys(flatSources[lang])) {
+        let value = translated && translated[lang] && key in translated[lang]
+          ? translated[lang][key]
+          : cached[lang][key]
+        if (value === undefined && existing[lang]) {
+          value = existing[lang][key]
+        }
+        if (value !== undefined) {
+          flatTranslation[key] = value
+        }
+      }
+      // A language without any value stays missing, so fallbacks apply or its output is left alone
+      if (Object.keys(flatTranslation).length > 0 || Object.keys(flatSources[lang]).length === 0) {
+        translations[lang] = unflattenKeys(flatTranslation)
+      }
+    }
+
+    // Pseudo-locales are regenerated from the source every time, keeping glossary terms as they are
+    const pseudoTranslated = {}
+    for (const lang of pseudoLanguages) {
+      const { values, tokens } = activeGlossary
+        ? protectTerms(flatSources[lang], activeGlossary)
+        : { values: flatSources[lang], tokens: [] }
+      pseudoTranslated[lang] = restoreTerms(pseudoLocalizeEntries(values, lang, pseudo), tokens, activeGlossary, lang)
+      translations[lang] = unflattenKeys(pseudoTranslated[lang])
+    }
+
+    for (const [lang, keys] of Object.entries(overrides)) {
+      for (const [key, value] of Object.entries(keys)) {
+        translations[lang] = translations[lang] || {}
+        setNestedValue(translations[lang], key, value)
+      }
+    }
+
+    // Apply fallback logic
+    translations = applyFallbacks(
+      translations,
+      sourceJson,
+      languages,
+      sourceLanguage,
+      fallbackToSource,
+      regionalFallback,
+      regionalMap,
+      pluralSuffixes,
+      expandSource
+    )
+
+    // Validate translated values, replacing broken ones; manual overrides are trusted as written
+    const overrideKeys = Object.fromEntries(Object.entries(overrides).map(([lang, keys]) => [lang, Object.keys(keys)]))
+    translations = applyValidation(translations, sourceJson, languages, fileValidators, pluralSuffixes, overrideKeys, expandSource)
+    const validationFailures = (translations.fallbackInfo && translations.fallbackInfo.validationFailures) || {}
+
+    // Save to cache, leaving out values that failed validation so they are retried
+    if (cache && (translated || Object.keys(validationFailures).length > 0)) {
+      const translatedSources = Object.fromEntries(processedTargets.map(lang => [lang, flatSources[lang]]))
+      const entries = updateKeyCache(cacheEntries, translatedSources, translated || {}, sourceLanguage, notes, formality, glossaryTerms)
+      for (const [lang, keys] of Object.entries(validationFailures)) {
+        for (const key of Object.keys(keys)) {
+          if (entries[lang]) {
+            delete entries[lang][key]
+          }
+        }
+      }
+      writeKeyCache(cacheFile, entries)
+    }
+
+    // Warn about overrides whose source string changed after they were written
+    if (Object.keys(overrides).length > 0) {
+      const overrideCount = Object.values(overrides).reduce((total, keys) => total + Object.keys(keys).length, 0)
+      logger.log(`      ℹ️  ${fileName}: Applied ${overrideCount} manual override(s)`)
+
+      // The lockfile is committed, so this works without the cache and on fresh checkouts
+      const stale = findStaleOverrides(lockEntries, overrides, flatSources, sourceLanguage)
+      for (const [lang, keys] of Object.entries(stale)) {
+        for (const key of keys) {
+          logger.warn(`      ⚠️  ${lang} ${key}: Source changed since the override was written`)
+        }
+      }
+    }
+
+    // Log fallback info if any were used
+    if (translations.fallbackInfo) {
+      const fi = translations.fallbackInfo
+      if (Object.keys(fi.regionalFallbacks).length > 0) {
+        for (const [lang, baseLang] of Object.entries(fi.regionalFallbacks)) {
+          logger.log(`      ℹ️  ${lang} used ${baseLang} translation (regional fallback)`)
+        }
+      }
+      for (const [lang, links] of Object.entries(fi.fallbackLinks || {})) {
+        const counts = {}
+        for (const link of Object.values(links)) {
+          if (link !== fi.regionalFallbacks[lang]) {
+            counts[link] = (counts[link] || 0) + 1
+          }
+        }
+        for (const [link, count] of Object.entries(counts)) {
+          logger.log(`      ℹ️  ${lang} used ${link} for ${count} key(s) (regional fallback)`)
+        }
+      }
+      if (fi.languagesFallbackToSource.length > 0) {
+        for (const lang of fi.languagesFallbackToSource) {
+          logger.log(`      ⚠️  ${lang} used source content (fallback)`)
+        }
+      }
+      for (const [lang, keys] of Object.entries(fi.validationFailures || {})) {
+        for (const [key, reason] of Object.entries(keys)) {
+          logger.log(`      ⚠️  ${lang} ${key}: ${reason} (validation failed)`)
+        }
+      }
+      for (const [lang, keys] of Object.entries(fi.validationWarnings || {})) {
+        for (const [key, reason] of Object.entries(keys)) {
+          logger.log(`      ℹ️  ${lang} ${key}: ${reason}`)
+        }
+      }
+    }
+
+    if (fileReport) {
+      const origins = getValueOrigins({
+        translations,
+        flatSources,
+        targetLanguages: languages,
+        translated: translated || {},
+        cached,
+        existing,
+        pseudo: pseudoTranslated,
+        overrides,
+        sourceLanguage
+      })
+      fileReport.languages = buildLanguageReports(origins, flatSources, languages, translations.fallbackInfo)
+    }
+
+    // Fail before writing files that are mostly source text
+    if (isStrict()) {
+      const fallbacks = countSourceFallbacks(translations, flatSources, languages)
+      const exceeded = Object.entries(fallbacks)
+        .filter(([, { count, total }]) => total > 0 && count / total > fallbackThreshold)
+        .map(([lang, { count, total }]) => `${lang} (${count} of ${total})`)
+
+      if (exceeded.length > 0) {
+        throw new Error(`${fileName}: Too many keys fell back to source - ${exceeded.join(', ')}`)
+      }
+    }
+
+    // Write translated files
+    const written = []
+    for (const langCode of languages) {
+      if (!translations[langCode]) {
+        logger.warn(`   ⚠️  ${fileName}: No translation for ${langCode}`)
+        continue
+      }
+
+      // Mirror the source's relative path, e.g. <lang>/admin/users.json
+      const outputFile = path.join(outputPath, getLanguageFolder(langCode), getOutputFileName(fileName, format))
+      const outputFileDir = path.dirname(outputFile)
+      if (!fs.existsSync(outputFileDir)) {
+        fs.mkdirSync(outputFileDir, { recursive: true })
+      }
+
+      fs.writeFileSync(
+        outputFile,
+        await format.serialize(translations[langCode], {
+          fileName,
+          language: langCode,
+          sourceLanguage,
+          sourceContent
+        })
+      )
+      written.push(langCode)
+    }
+
+    // Record where every value came from, for reproducible builds and reviewable staleness
+    // Offline and mock builds leave the lockfile alone, as nothing they write came from the API
+    if (lockPath && recordsOrigins) {
+      const origins = getValueOrigins({
+        translations,
+        flatSources,
+        targetLanguages: languages,
+        translated: translated || {},
+        cached,
+        pseudo: pseudoTranslated,
+        overrides,
+        previous: lockEntries,
+        sourceLanguage
+      })
+      const { fallbackLinks } = translations.fallbackInfo || {}
+      updateLockFile(lockPath, sourceLanguage, {
+        folders: languageFolders,
+        files: {
+          [fileName]: buildLockEntries(origins, flatSources, sourceLanguage, fallbackLinks, formality, glossaryTerms, overrides, lockEntries)
+        }
+      })
+    }
+
+    return written
+  }
+
+  /**
+   * Remove keys the source no longer has from a file's outputs that weren't rewritten this build
+   * Returns the removed keys per language
+   */
+  async function pruneOutputKeys(fileName, languages, { sourcePath, outputPath }) {
+    const format = getFormat(fileName, formats)
+    const sourceContent = fs.readFileSync(path.join(sourcePath, fileName), 'utf-8')
+
+    let sourceJson
+    try {
+      const parsedSource = await format.parse(sourceContent, { fileName, language: sourceLanguage, sourceLanguage })
+      sourceJson = extractNotes(parsedSource, contextSuffixes).source
+    } catch (error) {
+      // Without the source keys there is nothing to compare against
+      return {}
+    }
+
+    const removed = {}
+    for (const lang of languages) {
+      let output
+      try {
+        output = await readLanguageFile(outputPath, lang, fileName, format)
+      } catch (error) {
+        continue
+      }
+      if (!output) {
+        continue
+      }
+
+      const flatSource = flattenKeys(getLanguageSource(sourceJson, lang, pluralSuffixes, getSourceExpander(fileName, format)))
+      const pruned = pruneKeys(output, flatSource)
+      if (pruned.removed.length === 0) {
+        continue
+      }
+
+      fs.writeFileSync(
+        path.join(outputPath, getLanguageFolder(lang), getOutputFileName(fileName, format)),
+        await format.serialize(pruned.data, { fileName, language: lang, sourceLanguage, sourceContent })
+      )
+      removed[lang] = pruned.removed
+    }
+
+    return removed
+  }
+
+  /**
+   * Delete stale keys, files and language folders the plugin generated, and report what was deleted
+   * Files and folders are only deleted when the lockfile from before the build lists them
+   */
+  async function pruneOutputs(sourceFiles, writtenLanguages, previousLock, paths) {
+    const { outputPath } = paths
+    const deletedFiles = []
+    const deletedDirs = []
+    const prunedKeys = []
+
+    if (previousLock) {
+      const excludes = Object.fromEntries(languageSettings.map(({ code, exclude }) => [code, exclude]))
+      const previousFolders = previousLock.folders || {}
+      const stale = findStaleOutputs(previousLock.files, sourceFiles, targetLanguages, sourceLanguage, excludes, languageFolders, previousFolders)
+      for (const { fileName, lang, reason } of stale) {
+        const format = getFormat(fileName, formats)
+        // The folder the output was written to, which a removed language no longer has in its settings
+        const folder = previousFolders[lang] || lang
+        const outputFile = format && path.join(outputPath, folder, getOutputFileName(fileName, format))
+        if (!outputFile || !fs.existsSync(outputFile)) {
+          continue
+        }
+
+        fs.unlinkSync(outputFile)
+        deletedFiles.push({ file: toPosixPath(path.relative(outputPath, outputFile)), reason })
+        deletedDirs.push(...removeEmptyDirs(path.dirname(outputFile), outputPath))
+      }
+    }
+
+    for (const fileName of sourceFiles) {
+      const written = writtenLanguages.get(fileName) || []
+      const languages = getFileLanguages(fileName).filter(lang => !written.includes(lang))
+      const removed = await pruneOutputKeys(fileName, languages, paths)
+      for (const [lang, keys] of Object.entries(removed)) {
+        const format = getFormat(fileName, formats)
+        prunedKeys.push({ file: `${getLanguageFolder(lang)}/${getOutputFileName(fileName, format)}`, keys })
+      }
+    }
+
+    if (deletedFiles.length === 0 && prunedKeys.length === 0) {
+      return
+    }
+
+    const keyCount = prunedKeys.reduce((total, { keys }) => total + keys.length, 0)
+    console.log(`🧹 Shipi18n: Pruned ${deletedFiles.length} file(s) and ${keyCount} key(s)`)
+    for (const { file, reason } of deletedFiles) {
+      console.log(`   🗑️  ${file} (${reason})`)
+    }
+    for (const dir of deletedDirs) {
+      console.log(`   🗑️  ${toPosixPath(path.relative(outputPath, dir))}/ (empty folder)`)
+    }
+    for (const { file, keys } of prunedKeys) {
+      console.log(`   ✂️  ${file}: Removed stale key(s) ${keys.join(', ')}`)
+    }
+  }
+
+  /**
+   * Write the build report as JSON, plus JUnit XML and Markdown when configured
+   */
+  function writeReports(files) {
+    const root = (config && config.root) || process.cwd()
+    const data = { sourceLanguage, summary: summarizeReport(files), files }
+    const outputs = [
+      [reportJson, () => JSON.stringify(data, null, 2) + '\n'],
+      [reportJunit, () => formatJUnitReport(data)],
+      [reportMarkdown, () => formatMarkdownReport(data)]
+    ]
+
+    for (const [file, format] of outputs) {
+      if (!file) {
+        continue
+      }
+      const filePath = path.resolve(root, file)
+      fs.mkdirSync(path.dirname(filePath), { recursive: true })
+      fs.writeFileSync(filePath, format())
+      console.log(`   📊 Report written to ${file}`)
+    }
+  }
+
+  /**
+   * Get a source file name relative to sourceDir, or null if the file is not a source locale file
+   */
+  function getSourceFileName(file, sourcePath) {
+    const relativePath = path.relative(sourcePath, file)
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null
+    }
+
+    const fileName = toPosixPath(relativePath)
+    if (!isSourceFile(fileName)) {
+      return null
+    }
+    return fileName
+  }
+
+  /**
+   * Read one namespace of a language for the virtual module, or null if it has no file
+   * The source language is read from sourceDir, target languages by folder from outputDir
+   */
+  async function readLocale(lang, namespace, { sourcePath, outputPath }) {
+    const fileName = fs.existsSync(sourcePath)
+      ? findSourceFiles(sourcePath).find(name => stripExtension(name, getFormat(name, formats)) === namespace)
+      : null
+    if (!fileName) {
+      return null
+    }
+
+    const format = getFormat(fileName, formats)
+    if (lang === sourceLanguage) {
+      const parsedSource = await format.parse(fs.readFileSync(path.join(sourcePath, fileName), 'utf-8'), {
+        fileName,
+        language: sourceLanguage,
+        sourceLanguage
+      })
+      // Translator notes stay out of the bundle, as they do out of the outputs
+      return extractNotes(parsedSource, contextSuffixes).source
+    }
+
+    const language = getFolderLanguage(lang)
+    return language ? readLanguageFile(outputPath, language, fileName, format) : null
+  }
+
+  /**
+   * Get the source file an override file belongs to, or null if the file is not an override
+   */
+  function getOverriddenFileName(file, { sourcePath, overridesPath }) {
+    if (!overridesPath) {
+      return null
+    }
+
+    const relativePath = path.relative(overridesPath, file)
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null
+    }
+
+    const [folder, ...rest] = toPosixPath(relativePath).split('/')
+    if (!getFolderLanguage(folder) || !fs.existsSync(sourcePath)) {
+      return null
+    }
+
+    const outputFileName = rest.join('/')
+    return findSourceFiles(sourcePath)
+      .find(fileName => getOutputFileName(fileName, getFormat(fileName, formats)) === outputFileName) || null
+  }
+
+  /**
+   * Get the source file a context file belongs to, or null if the file is not a context file
+   */
+  function getNotedFileName(file, { sourcePath }) {
+    const relativePath = toPosixPath(path.relative(sourcePath, file))
+    if (!contextFile || !isContextFile(relativePath) || relativePath.startsWith('..') || !fs.existsSync(sourcePath)) {
+      return null
+    }
+
+    return findSourceFiles(sourcePath)
+      .find(fileName => getContextFileName(fileName, getFormat(fileName, formats)) === relativePath) || null
+  }
+
+  /**
+   * Re-translate a changed source file on the dev server and notify the client
+   * Updates to the same file are queued so outputs are never written out of order.
+   * A failed update is logged and never rejects, so it doesn't block the updates after it.
+   */
+  function updateSourceFile(server, fileName) {
+    const paths = resolvePaths()
+    const previous = hotUpdates.get(fileName) || Promise.resolve()
+
+    const update = previous.catch(() => {}).then(async () => {
+      console.log(`\n🌍 Shipi18n: ${fileName} changed, updating translations...`)
+
+      if (dryRun) {
+        await planTranslation(fileName, paths)
+        return
+      }
+
+      const languages = await translateFile(fileName, paths)
+      if (languages && languages.length > 0) {
+        const namespace = stripExtension(fileName, getFormat(fileName, formats))
+        const folders = languages.map(getLanguageFolder)
+
+        // A new namespace changes the generated loaders, and later imports must not get stale data
+        for (const id of [RESOLVED_VIRTUAL_MODULE_ID, ...[sourceLanguage, ...folders].map(lang => '\0' + getLocaleModuleId(lang, namespace))]) {
+          const module = server.moduleGraph.getModuleById(id)
+          if (module) {
+            server.moduleGraph.invalidateModule(module)
+          }
+        }
+
+        // Send the updated bundles so the client never has to fetch locale files itself
+        const resources = {}
+        for (const lang of [sourceLanguage, ...folders]) {
+          const data = await readLocale(lang, namespace, paths)
+          if (data) {
+            resources[lang] = data
+          }
+        }
+
+        server.ws.send({
+          type: 'custom',
+          event: 'shipi18n:update',
+          data: { file: fileName, namespace, languages: folders, resources }
+        })
+      }
+    }).catch((error) => {
+      console.error(`   ❌ ${fileName}: Hot update failed - ${error.message}`)
+    })
+
+    hotUpdates.set(fileName, update)
+    return update
+  }
 
   return {
     name: 'vite-plugin-shipi18n',
@@ -54,15 +1278,115 @@ export default function shipi18nPlugin(options = {}) {
       config = resolvedConfig
     },
 
+    configureServer(server) {
+      const paths = resolvePaths()
+      server.watcher.add(paths.sourcePath)
+      if (paths.overridesPath) {
+        server.watcher.add(paths.overridesPath)
+      }
+
+      // New files do not go through handleHotUpdate
+      // chokidar ignores what the handler returns, so it must neither throw nor reject
+      // (updateSourceFile logs its own failures)
+      server.watcher.on('add', (file) => {
+        try {
+          const fileName = getSourceFileName(file, paths.sourcePath) || getOverriddenFileName(file, paths) || getNotedFileName(file, paths)
+          return fileName ? updateSourceFile(server, fileName) : undefined
+        } catch (error) {
+          console.error(`   ❌ ${path.basename(file)}: Hot update failed - ${error.message}`)
+        }
+      })
+    },
+
+    async handleHotUpdate({ file, server }) {
+      const paths = resolvePaths()
+      const fileName = getSourceFileName(file, paths.sourcePath) || getOverriddenFileName(file, paths) || getNotedFileName(file, paths)
+      if (!fileName) {
+        return
+      }
+
+      await updateSourceFile(server, fileName)
+
+      // Translations are delivered through the shipi18n:update event, not module HMR
+      return []
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_MODULE_ID) {
+        return RESOLVED_VIRTUAL_MODULE_ID
+      }
+      if (parseLocaleModuleId(id)) {
+        return '\0' + id
+      }
+    },
+
+    load(id) {
+      const locale = id.startsWith('\0') ? parseLocaleModuleId(id.slice(1)) : null
+      if (locale) {
+        return readLocale(locale.lang, locale.namespace, resolvePaths())
+          .then(data => `export default ${JSON.stringify(data || {})}`)
+      }
+      if (id !== RESOLVED_VIRTUAL_MODULE_ID) {
+        return
+      }
+
+      const { sourcePath, outputPath } = resolvePaths()
+      const sourceFiles = fs.existsSync(sourcePath) ? findSourceFiles(sourcePath) : []
+      // The app loads languages by folder name, so zh-Hant written to zh-TW/ is loaded as zh-TW
+      const languages = [sourceLanguage, ...targetLanguages.map(getLanguageFolder)]
+      const namespaces = Object.fromEntries(languages.map(lang => [lang, []]))
+
+      for (const fileName of sourceFiles) {
+        const format = getFormat(fileName, formats)
+        const namespace = stripExtension(fileName, format)
+        namespaces[sourceLanguage].push(namespace)
+
+        for (const lang of targetLanguages) {
+          const folder = getLanguageFolder(lang)
+          if (fs.existsSync(path.join(outputPath, folder, getOutputFileName(fileName, format)))) {
+            namespaces[folder].push(namespace)
+          }
+        }
+      }
+
+      // Vite copies publicDir to the build as is, so bundled locales there would ship twice
+      const publicPath = config && config.command === 'build' && config.publicDir
+        ? path.relative(config.publicDir, outputPath)
+        : null
+      if (publicPath !== null && !publicPath.startsWith('..') && !path.isAbsolute(publicPath)) {
+        console.warn(`   ⚠️  ${outputDir} is inside publicDir, so its files are copied to the build next to the bundled locales; move sourceDir and outputDir out of publicDir (e.g. src/locales) when using ${VIRTUAL_MODULE_ID}`)
+      }
+
+      const { regionalMap } = processRegionalLanguages(translatedLanguages, regionalFallback, languageFallbacks)
+      const chains = getFallbackChains(targetLanguages, sourceLanguage, regionalMap, fallbackToSource)
+
+      return generateVirtualModule({
+        languages,
+        namespaces,
+        fallbackChains: Object.fromEntries(Object.entries(chains).map(([lang, chain]) => [
+          lang === 'default' ? lang : getLanguageFolder(lang),
+          chain.map(getLanguageFolder)
+        ])),
+        sourceLanguage
+      })
+    },
+
     async buildStart() {
-      const root = config.root || process.cwd()
-      const sourcePath = path.resolve(root, sourceDir)
-      const outputPath = path.resolve(root, outputDir)
-      const cachePath = path.resolve(root, cacheDir)
+      const paths = resolvePaths()
+      const { sourcePath, cachePath } = paths
 
       console.log('\n🌍 Shipi18n: Starting translation process...')
       console.log(`   Source: ${sourceDir}`)
       console.log(`   Target languages: ${targetLanguages.join(', ')}`)
+      if (translator.name !== 'shipi18n') {
+        console.log(`   Provider: ${translator.name}`)
+      }
+      if (offline) {
+        console.log('   📴 Offline: no API requests, existing translations are checked and gaps filled')
+      }
+      if (dryRun) {
+        console.log('   📋 Dry run: nothing is translated or written except the plan')
+      }
 
       // Check if source directory exists
       if (!fs.existsSync(sourcePath)) {
@@ -76,131 +1400,81 @@ export default function shipi18nPlugin(options = {}) {
       }
 
       // Find all JSON files in source directory
-      const sourceFiles = fs.readdirSync(sourcePath)
-        .filter(file => file.endsWith('.json'))
+      const sourceFiles = findSourceFiles(sourcePath)
 
       if (sourceFiles.length === 0) {
-        console.warn(`⚠️  Warning: No JSON files found in ${sourcePath}`)
+        console.warn(`⚠️  Warning: No locale files found in ${sourcePath}`)
         return
       }
 
       console.log(`   Found ${sourceFiles.length} source file(s)`)
 
-      // Process each file
-      for (const fileName of sourceFiles) {
-        const sourceFilePath = path.join(sourcePath, fileName)
-        const sourceContent = fs.readFileSync(sourceFilePath, 'utf-8')
-
-        let sourceJson
-        try {
-          sourceJson = JSON.parse(sourceContent)
-        } catch (error) {
-          console.error(`❌ Error parsing ${fileName}: ${error.message}`)
-          continue
+      if (dryRun) {
+        const files = {}
+        for (const fileName of sourceFiles) {
+          const plan = await planTranslation(fileName, paths)
+          if (plan) {
+            files[fileName] = plan
+          }
         }
 
-        // Calculate hash for caching
-        const contentHash = crypto
-          .createHash('md5')
-          .update(sourceContent + targetLanguages.join(','))
-          .digest('hex')
+        const { totals, languages } = writePlanFile(paths.planPath, sourceLanguage, files)
+        const requested = Object.values(languages).filter(({ keys }) => keys > 0).length
+        console.log(`📋 Shipi18n: Dry run would send ${totals.keys} key(s) (${totals.characters} character(s)) across ${requested} language(s)`)
+        console.log(`   Plan written to ${planFile}\n`)
+        return
+      }
 
-        const cacheFile = path.join(cachePath, `${fileName}.${contentHash}.json`)
+      // Read before translating, as the lockfile then forgets removed files and languages
+      const previousLock = prune && paths.lockPath ? readLockFile(paths.lockPath) : null
 
-        // Check cache
-        let translations = null
-        if (cache && fs.existsSync(cacheFile)) {
-          console.log(`   ✓ ${fileName}: Using cached translations`)
-          try {
-            translations = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'))
-          } catch (error) {
-            console.warn(`   ⚠️  Cache corrupted for ${fileName}, re-translating...`)
-            translations = null
+      // Process files concurrently, printing each file's output in one block once it finishes
+      const outcomes = await mapConcurrent(sourceFiles, concurrency, async (fileName) => {
+        const logger = concurrency > 1 ? createBufferedLogger() : console
+        const fileReport = { errors: [], languages: {} }
+        try {
+          return { fileName, fileReport, written: await translateFile(fileName, paths, logger, fileReport) }
+        } catch (error) {
+          if (fileReport.errors.length === 0) {
+            fileReport.errors.push(error.message)
+          }
+          return { fileName, fileReport, error }
+        } finally {
+          if (logger.flush) {
+            logger.flush()
           }
         }
+      })
 
-        // Process regional languages for fallback
-        const { processedTargets, regionalMap } = processRegionalLanguages(targetLanguages, regionalFallback)
-
-        // Translate if not cached
-        if (!translations) {
-          console.log(`   ⏳ ${fileName}: Translating to ${targetLanguages.length} language(s)...`)
-
-          try {
-            translations = await translateJSON({
-              apiKey,
-              apiUrl,
-              json: sourceJson,
-              sourceLanguage,
-              targetLanguages: processedTargets
-            })
-
-            // Apply fallback logic
-            translations = applyFallbacks(
-              translations,
-              sourceJson,
-              targetLanguages,
-              sourceLanguage,
-              fallbackToSource,
-              regionalFallback,
-              regionalMap
-            )
-
-            // Save to cache
-            if (cache) {
-              fs.writeFileSync(cacheFile, JSON.stringify(translations, null, 2))
-            }
-
-            console.log(`   ✓ ${fileName}: Translation complete`)
-
-            // Log fallback info if any were used
-            if (translations.fallbackInfo && translations.fallbackInfo.used) {
-              const fi = translations.fallbackInfo
-              if (Object.keys(fi.regionalFallbacks).length > 0) {
-                for (const [lang, baseLang] of Object.entries(fi.regionalFallbacks)) {
-                  console.log(`      ℹ️  ${lang} used ${baseLang} translation (regional fallback)`)
-                }
-              }
-              if (fi.languagesFallbackToSource.length > 0) {
-                for (const lang of fi.languagesFallbackToSource) {
-                  console.log(`      ⚠️  ${lang} used source content (fallback)`)
-                }
-              }
-            }
-          } catch (error) {
-            console.error(`   ❌ ${fileName}: Translation failed - ${error.message}`)
-
-            // Use source as fallback on error if enabled
-            if (fallbackToSource) {
-              console.log(`      ⚠️  Using source content as fallback for all languages`)
-              translations = {}
-              for (const lang of targetLanguages) {
-                translations[lang] = { ...sourceJson }
-              }
-            } else {
-              continue
-            }
-          }
+      // Collect strict mode errors so every file is reported; anything else is rethrown
+      const errors = []
+      for (const { error } of outcomes) {
+        if (!error) {
+          continue
+        }
+        if (!isStrict()) {
+          throw error
         }
+        errors.push(error.message)
+      }
 
-        // Write translated files
-        for (const langCode of targetLanguages) {
-          if (!translations[langCode]) {
-            console.warn(`   ⚠️  ${fileName}: No translation for ${langCode}`)
-            continue
-          }
+      // Forget files that are no longer translated
+      if (paths.lockPath && recordsOrigins) {
+        updateLockFile(paths.lockPath, sourceLanguage, { keepFiles: sourceFiles, folders: languageFolders })
+      }
 
-          const outputLangDir = path.join(outputPath, langCode)
-          if (!fs.existsSync(outputLangDir)) {
-            fs.mkdirSync(outputLangDir, { recursive: true })
-          }
+      // Written before failing the build, so CI can annotate what went wrong
+      if (report) {
+        writeReports(Object.fromEntries(outcomes.map(({ fileName, fileReport }) => [fileName, fileReport])))
+      }
 
-          const outputFile = path.join(outputLangDir, fileName)
-          fs.writeFileSync(
-            outputFile,
-            JSON.stringify(translations[langCode], null, 2)
-          )
-        }
+      if (errors.length > 0) {
+        this.error(`Shipi18n: ${errors.length} file(s) failed to translate\n${errors.map(error => `  - ${error}`).join('\n')}`)
+      }
+
+      if (prune) {
+        const writtenLanguages = new Map(outcomes.map(({ fileName, written }) => [fileName, written || []]))
+        await pruneOutputs(sourceFiles, writtenLanguages, previousLock, paths)
       }
 
       console.log('✅ Shipi18n: Translation complete!\n')
@@ -209,50 +1483,62 @@ export default function shipi18nPlugin(options = {}) {
 }
 
 /**
- * Call Shipi18n API to translate JSON
+ * Count the keys of each target language that ended up as source text
+ * Covers whole-language and per-key source fallbacks, and validation failures that weren't repaired;
+ * keys filled from a regional base language don't count
+ * @exported for testing
  */
-async function translateJSON({ apiKey, apiUrl, json, sourceLanguage, targetLanguages }) {
-  const response = await fetch(`${apiUrl}/api/translate`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-API-Key': apiKey
-    },
-    body: JSON.stringify({
-      inputMethod: 'json',
-      jsonInput: JSON.stringify(json),
-      sourceLanguage,
-      targetLanguages: JSON.stringify(targetLanguages),
-      preservePlaceholders: 'true'
-    })
-  })
+export function countSourceFallbacks(result, flatSources, targetLanguages) {
+  const fallbackInfo = result.fallbackInfo || {}
+  const counts = {}
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}))
-    throw new Error(error.message || `API request failed: ${response.status}`)
+  for (const lang of targetLanguages) {
+    const flatSource = flatSources[lang] || {}
+    const total = Object.keys(flatSource).length
+
+    if ((fallbackInfo.languagesFallbackToSource || []).includes(lang)) {
+      counts[lang] = { count: total, total }
+      continue
+    }
+
+    const candidates = new Set([
+      ...((fallbackInfo.keysFallback || {})[lang] || []),
+      ...Object.keys((fallbackInfo.validationFailures || {})[lang] || {})
+    ])
+    const translation = result[lang] || {}
+    let count = 0
+    for (const key of candidates) {
+      if (key in flatSource && getNestedValue(translation, key) === flatSource[key]) {
+        count++
+      }
+    }
+
+    counts[lang] = { count, total }
   }
 
-  const data = await response.json()
-  return data.translations || {}
+  return counts
 }
 
 /**
- * Process regional language codes for fallback support
+ * Work out each language's fallback chain and the languages to request for it
+ * `regionalMap` maps languages to their chain (see getFallbackChain); links that aren't targets
+ * themselves are requested too, ahead of the languages that fall back to them
+ * `fallbacks` maps languages to their configured fallback: a language, a whole chain, or false for none
  * @exported for testing
  */
-export function processRegionalLanguages(targetLanguages, regionalFallback) {
+export function processRegionalLanguages(targetLanguages, regionalFallback, fallbacks = {}) {
   const regionalMap = {}
   const processedTargets = []
-  const baseLanguagesAdded = new Set()
 
   for (const lang of targetLanguages) {
-    if (lang.includes('-') && regionalFallback) {
-      const baseLang = lang.split('-')[0]
-      regionalMap[lang] = baseLang
+    const chain = regionalFallback ? getFallbackChain(lang, fallbacks) : []
+    if (chain.length > 0) {
+      regionalMap[lang] = chain
 
-      if (!baseLanguagesAdded.has(baseLang) && !targetLanguages.includes(baseLang)) {
-        processedTargets.push(baseLang)
-        baseLanguagesAdded.add(baseLang)
+      for (const link of chain) {
+        if (!processedTargets.includes(link) && !targetLanguages.includes(link)) {
+          processedTargets.push(link)
+        }
       }
     }
 
@@ -266,71 +1552,106 @@ export function processRegionalLanguages(targetLanguages, regionalFallback) {
 
 /**
  * Apply fallback logic to translation results
+ *
+ * A missing language starts from the first link of its chain that was translated. Keys that are
+ * still missing come from the first link that has them, then from the source. Links are read as
+ * translated, before any language is filled in, and the link each value came from is recorded in
+ * `fallbackInfo.fallbackLinks[lang][key]`.
+ * With pluralSuffixes, each language is compared against its own i18next plural keys; `expandSource`
+ * is the format's per-language source hook (see getLanguageSource)
  * @exported for testing
  */
-export function applyFallbacks(result, sourceContent, targetLanguages, sourceLanguage, fallbackToSource, regionalFallback, regionalMap) {
+export function applyFallbacks(result, sourceContent, targetLanguages, sourceLanguage, fallbackToSource, regionalFallback, regionalMap, pluralSuffixes = false, expandSource = null) {
   const fallbackInfo = {
     used: false,
     languagesFallbackToSource: [],
     regionalFallbacks: {},
     keysFallback: {},
+    fallbackLinks: {},
   }
 
+  const chains = {}
+  const linkTranslations = {}
   for (const lang of targetLanguages) {
-    const translation = result[lang]
+    chains[lang] = regionalFallback ? getRegionalChain(regionalMap, lang) : []
+    for (const link of chains[lang]) {
+      if (!(link in linkTranslations) && result[link] && Object.keys(result[link]).length > 0) {
+        linkTranslations[link] = JSON.parse(JSON.stringify(result[link]))
+      }
+    }
+  }
+
+  const recordLink = (lang, key, value, link) => {
+    fallbackInfo.fallbackLinks[lang] = fallbackInfo.fallbackLinks[lang] || {}
+    const keys = value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.keys(flattenKeys(value, key))
+      : [key]
+    for (const flatKey of keys) {
+      fallbackInfo.fallbackLinks[lang][flatKey] = link
+    }
+  }
+
+  for (const lang of targetLanguages) {
+    let translation = result[lang]
+    const languageSource = getLanguageSource(sourceContent, lang, pluralSuffixes, expandSource)
+    const chain = chains[lang]
 
     // Case 1: Entire language missing
     if (!translation || Object.keys(translation).length === 0) {
-      // Try regional fallback first
-      if (regionalFallback && regionalMap[lang]) {
-        const baseLang = regionalMap[lang]
-        const baseTranslation = result[baseLang]
+      // Try the fallback chain first
+      const baseLang = chain.find(link => linkTranslations[link])
 
-        if (baseTranslation && Object.keys(baseTranslation).length > 0) {
-          result[lang] = { ...baseTranslation }
+      if (baseLang) {
+        translation = result[lang] = JSON.parse(JSON.stringify(linkTranslations[baseLang]))
+        fallbackInfo.used = true
+        fallbackInfo.regionalFallbacks[lang] = baseLang
+        for (const key of Object.keys(flattenKeys(languageSource))) {
+          if (getNestedValue(translation, key) !== undefined) {
+            recordLink(lang, key, null, baseLang)
+          }
+        }
+      } else {
+        // Fall back to source
+        if (fallbackToSource) {
+          result[lang] = { ...languageSource }
           fallbackInfo.used = true
-          fallbackInfo.regionalFallbacks[lang] = baseLang
-          continue
+          fallbackInfo.languagesFallbackToSource.push(lang)
         }
+        continue
       }
-
-      // Fall back to source
-      if (fallbackToSource) {
-        result[lang] = { ...sourceContent }
-        fallbackInfo.used = true
-        fallbackInfo.languagesFallbackToSource.push(lang)
-      }
-      continue
     }
 
-    // Case 2: Check for missing keys
-    if (fallbackToSource && typeof translation === 'object') {
-      const missingKeys = findMissingKeys(sourceContent, translation)
+    // Case 2: Fill missing keys from the rest of the chain, then from the source
+    if (typeof translation === 'object' && (chain.length > 0 || fallbackToSource)) {
+      const filled = []
 
-      if (missingKeys.length > 0) {
-        fallbackInfo.used = true
-        fallbackInfo.keysFallback[lang] = missingKeys
+      for (const key of findMissingKeys(languageSource, translation)) {
+        const link = chain.find(link => isPresent(getNestedValue(linkTranslations[link] || {}, key)))
 
-        for (const key of missingKeys) {
-          const fallbackValue = getNestedValue(sourceContent, key)
-
-          // Try regional fallback first
-          if (regionalFallback && regionalMap[lang]) {
-            const baseLang = regionalMap[lang]
-            const baseTranslation = result[baseLang]
-            const baseValue = baseTranslation ? getNestedValue(baseTranslation, key) : undefined
-
-            if (baseValue !== undefined) {
-              setNestedValue(translation, key, baseValue)
-              continue
-            }
-          }
+        if (link) {
+          const value = getNestedValue(linkTranslations[link], key)
+          setNestedValue(translation, key, JSON.parse(JSON.stringify(value)))
+          recordLink(lang, key, value, link)
+          filled.push(key)
+          continue
+        }
 
-          if (fallbackValue !== undefined) {
-            setNestedValue(translation, key, fallbackValue)
-          }
+        const fallbackValue = getNestedValue(languageSource, key)
+        if (fallbackToSource && fallbackValue !== undefined) {
+          setNestedValue(translation, key, fallbackValue)
+          filled.push(key)
         }
       }
+
+      if (filled.length > 0) {
+        fallbackInfo.used = true
+        fallbackInfo.keysFallback[lang] = filled
+      }
+    }
+
+    // Drop plural keys this language doesn't use (e.g. _one for Japanese)
+    if (pluralSuffixes && typeof translation === 'object') {
+      removeUnusedPluralKeys(translation, languageSource)
     }
   }
 
@@ -341,62 +1662,6 @@ export function applyFallbacks(result, sourceContent, targetLanguages, sourceLan
   return result
 }
 
-/**
- * Find missing keys in translation
- * @exported for testing
- */
-export function findMissingKeys(source, translation, prefix = '') {
-  const missing = []
-
-  for (const key of Object.keys(source)) {
-    const fullKey = prefix ? `${prefix}.${key}` : key
-    const sourceValue = source[key]
-    const translationValue = translation[key]
-
-    if (translationValue === undefined || translationValue === null || translationValue === '') {
-      missing.push(fullKey)
-    } else if (
-      typeof sourceValue === 'object' &&
-      sourceValue !== null &&
-      !Array.isArray(sourceValue) &&
-      typeof translationValue === 'object' &&
-      translationValue !== null
-    ) {
-      missing.push(...findMissingKeys(sourceValue, translationValue, fullKey))
-    }
-  }
-
-  return missing
-}
-
-/**
- * Get nested value from object using dot notation
- * @exported for testing
- */
-export function getNestedValue(obj, path) {
-  return path.split('.').reduce((current, key) => {
-    if (current && typeof current === 'object' && key in current) {
-      return current[key]
-    }
-    return undefined
-  }, obj)
-}
-
-/**
- * Set nested value in object using dot notation
- * @exported for testing
- */
-export function setNestedValue(obj, path, value) {
-  const keys = path.split('.')
-  let current = obj
-
-  for (let i = 0; i < keys.length - 1; i++) {
-    const key = keys[i]
-    if (!(key in current) || typeof current[key] !== 'object') {
-      current[key] = {}
-    }
-    current = current[key]
-  }
-
-  current[keys[keys.length - 1]] = value
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== ''
 }
@@ -0,0 +1,176 @@
+const PLACEHOLDER_PATTERNS = [
+  // i18next interpolation: {{name}}, {{- html}}, {{count, number}}
+  { kind: 'interpolation', pattern: /\{\{(-?)\s*([^{}]*?)\s*\}\}/g, normalize: match => `{{${match[1]}${match[2].replace(/\s*,\s*/g, ', ')}}}` },
+  // i18next nesting: $t(other.key), $t(key, { "count": 1 })
+  { kind: 'nesting', pattern: /\$t\(([^()]*)\)/g, normalize: match => `$t(${match[1].trim()})` },
+  // printf: %s, %d, %1$s, %(name)s, %.2f
+  { kind: 'printf', pattern: /%(?:\d+\$)?(?:\(\w+\))?(?:\.\d+)?[sdif@]/g, normalize: match => match[0] }
+]
+
+const TAG_PATTERN = /<(\/?)([A-Za-z][\w.:-]*|\d+)(\s[^<>]*?)?\s*(\/?)>/g
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']
+
+/**
+ * Find interpolation tokens, nesting references and printf specifiers in a string
+ * Returns one entry per distinct token, in order of first appearance, with every raw spelling found
+ * @exported for testing
+ */
+export function extractPlaceholders(value) {
+  const tokens = new Map()
+  const text = value.replace(/%%/g, '')
+
+  for (const { kind, pattern, normalize } of PLACEHOLDER_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const token = normalize(match)
+      if (!tokens.has(token)) {
+        tokens.set(token, { token, kind, index: match.index, raw: new Set() })
+      }
+      tokens.get(token).raw.add(match[0])
+    }
+  }
+
+  return [...tokens.values()].sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Validate that a translation keeps the source's placeholders
+ *
+ * Returns `{ error, repaired }` when exactly one placeholder was renamed (e.g. `{{name}}` translated
+ * to `{{nombre}}`), and `{ error }` when placeholders are missing or unknown.
+ * @exported for testing
+ */
+export function validatePlaceholders(sourceValue, targetValue) {
+  if (typeof sourceValue !== 'string' || typeof targetValue !== 'string') {
+    return
+  }
+
+  const sourceTokens = extractPlaceholders(sourceValue)
+  const targetTokens = extractPlaceholders(targetValue)
+  if (sourceTokens.length === 0 && targetTokens.length === 0) {
+    return
+  }
+
+  const targetNames = targetTokens.map(({ token }) => token)
+  const sourceNames = sourceTokens.map(({ token }) => token)
+  const missing = sourceTokens.filter(({ token }) => !targetNames.includes(token))
+  const unknown = targetTokens.filter(({ token }) => !sourceNames.includes(token))
+
+  if (missing.length === 0 && unknown.length === 0) {
+    return
+  }
+
+  if (missing.length === 1 && unknown.length === 1 && missing[0].kind === unknown[0].kind) {
+    const [expected] = missing[0].raw
+    let repaired = targetValue
+    for (const raw of unknown[0].raw) {
+      repaired = repaired.split(raw).join(expected)
+    }
+    return { error: `Placeholder ${unknown[0].token} should be ${missing[0].token}`, repaired }
+  }
+
+  if (missing.length > 0) {
+    return { error: `Missing placeholder ${missing.map(({ token }) => token).join(', ')}` }
+  }
+  return { error: `Unknown placeholder ${unknown.map(({ token }) => token).join(', ')}` }
+}
+
+/**
+ * Parse the HTML/JSX tags in a string
+ * Returns the tags in order and the first nesting problem found, if any
+ * @exported for testing
+ */
+export function parseTags(value) {
+  const tags = []
+  const stack = []
+  let problem = null
+
+  for (const match of value.matchAll(TAG_PATTERN)) {
+    const [, closing, name, , selfClosing] = match
+    const type = closing ? 'close' : (selfClosing || VOID_ELEMENTS.includes(name.toLowerCase()) ? 'void' : 'open')
+    tags.push({ name, type })
+
+    if (type === 'open') {
+      stack.push(name)
+    } else if (type === 'close' && !problem) {
+      if (stack[stack.length - 1] === name) {
+        stack.pop()
+      } else {
+        problem = `Unexpected </${name}>`
+      }
+    }
+  }
+
+  if (!problem && stack.length > 0) {
+    problem = `Unclosed <${stack[stack.length - 1]}>`
+  }
+
+  return { tags, problem }
+}
+
+/**
+ * Validate that a translation keeps the source's markup balanced and uses the same tags
+ *
+ * Returns `{ error, repaired }` when exactly one tag name was translated (e.g. `<strong>` to
+ * `<fuerte>`), and `{ error }` for unbalanced, missing or unknown tags.
+ * Sources that aren't balanced themselves (e.g. fragments) are skipped.
+ * @exported for testing
+ */
+export function validateMarkup(sourceValue, targetValue) {
+  if (typeof sourceValue !== 'string' || typeof targetValue !== 'string') {
+    return
+  }
+  if (!sourceValue.includes('<') && !targetValue.includes('<')) {
+    return
+  }
+
+  const source = parseTags(sourceValue)
+  if (source.problem) {
+    return
+  }
+  const target = parseTags(targetValue)
+
+  const sourceCounts = countTags(source.tags)
+  const targetCounts = countTags(target.tags)
+  const missing = [...sourceCounts.keys()].filter(name => !targetCounts.has(name))
+  const unknown = [...targetCounts.keys()].filter(name => !sourceCounts.has(name))
+
+  if (missing.length === 1 && unknown.length === 1 && sourceCounts.get(missing[0]) === targetCounts.get(unknown[0])) {
+    const repaired = targetValue.replace(
+      new RegExp(`<(/?)${escapeRegExp(unknown[0])}(?=[\\s/>])`, 'g'),
+      `<$1${missing[0]}`
+    )
+    if (!parseTags(repaired).problem) {
+      return { error: `Tag <${unknown[0]}> should be <${missing[0]}>`, repaired }
+    }
+  }
+
+  if (target.problem) {
+    return { error: target.problem }
+  }
+  if (unknown.length > 0) {
+    return { error: `Unknown tag ${unknown.map(name => `<${name}>`).join(', ')}` }
+  }
+  for (const [name, count] of sourceCounts) {
+    if (targetCounts.get(name) !== count) {
+      return { error: `Expected ${count} <${name}> tag(s), found ${targetCounts.get(name) || 0}` }
+    }
+  }
+}
+
+/**
+ * Count opening and void tags by name
+ */
+function countTags(tags) {
+  const counts = new Map()
+  for (const { name, type } of tags) {
+    if (type !== 'close') {
+      counts.set(name, (counts.get(name) || 0) + 1)
+    }
+  }
+  return counts
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,161 @@
+/**
+ * Split a dot-notation key path into its keys
+ * Dots and backslashes inside a key are escaped with a backslash, so flat keys such as
+ * `app.title` or `Welcome to our site.` are kept whole
+ * @exported for testing
+ */
+export function splitKeyPath(path) {
+  const keys = []
+  let current = ''
+
+  for (let i = 0; i < path.length; i++) {
+    if (path[i] === '\\' && i + 1 < path.length) {
+      current += path[++i]
+    } else if (path[i] === '.') {
+      keys.push(current)
+      current = ''
+    } else {
+      current += path[i]
+    }
+  }
+
+  keys.push(current)
+  return keys
+}
+
+/**
+ * Join keys into a dot-notation key path, escaping dots and backslashes inside each key
+ * @exported for testing
+ */
+export function joinKeyPath(keys) {
+  return keys.map(key => key.replace(/[\\.]/g, '\\$&')).join('.')
+}
+
+/**
+ * Read flattened keys from an object that holds flat entries, nested objects or both
+ * Flat entries are keyed by the key path itself, as providers may return them
+ * @exported for testing
+ */
+export function pickKeys(obj, keys) {
+  const picked = {}
+
+  for (const key of keys) {
+    const value = Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : getNestedValue(obj, key)
+    if (value !== undefined) {
+      picked[key] = value
+    }
+  }
+
+  return picked
+}
+
+/**
+ * Find missing keys in translation
+ * @exported for testing
+ */
+export function findMissingKeys(source, translation, prefix = '') {
+  const missing = []
+
+  for (const key of Object.keys(source)) {
+    const fullKey = prefix ? `${prefix}.${joinKeyPath([key])}` : joinKeyPath([key])
+    const sourceValue = source[key]
+    const translationValue = translation[key]
+
+    if (translationValue === undefined || translationValue === null || translationValue === '') {
+      missing.push(fullKey)
+    } else if (
+      typeof sourceValue === 'object' &&
+      sourceValue !== null &&
+      !Array.isArray(sourceValue) &&
+      typeof translationValue === 'object' &&
+      translationValue !== null
+    ) {
+      missing.push(...findMissingKeys(sourceValue, translationValue, fullKey))
+    }
+  }
+
+  return missing
+}
+
+/**
+ * Get nested value from object using dot notation
+ * @exported for testing
+ */
+export function getNestedValue(obj, path) {
+  return splitKeyPath(path).reduce((current, key) => {
+    if (current && typeof current === 'object' && key in current) {
+      return current[key]
+    }
+    return undefined
+  }, obj)
+}
+
+/**
+ * Set nested value in object using dot notation
+ * @exported for testing
+ */
+export function setNestedValue(obj, path, value) {
+  const keys = splitKeyPath(path)
+  let current = obj
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i]
+    if (!(key in current) || typeof current[key] !== 'object') {
+      current[key] = {}
+    }
+    current = current[key]
+  }
+
+  current[keys[keys.length - 1]] = value
+}
+
+/**
+ * Flatten a nested object into a map of dot-notation key paths to leaf values
+ * Arrays are treated as leaf values, matching findMissingKeys. Keys are escaped (see splitKeyPath),
+ * so unflattenKeys rebuilds the object in the same shape
+ * @exported for testing
+ */
+export function flattenKeys(obj, prefix = '') {
+  const flat = {}
+
+  for (const key of Object.keys(obj)) {
+    const fullKey = prefix ? `${prefix}.${joinKeyPath([key])}` : joinKeyPath([key])
+    const value = obj[key]
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenKeys(value, fullKey))
+    } else {
+      flat[fullKey] = value
+    }
+  }
+
+  return flat
+}
+
+/**
+ * Rebuild a nested object from a map of dot-notation key paths
+ * @exported for testing
+ */
+export function unflattenKeys(flat) {
+  const obj = {}
+
+  for (const [key, value] of Object.entries(flat)) {
+    setNestedValue(obj, key, value)
+  }
+
+  return obj
+}
+
+/**
+ * Delete nested value in object using dot notation
+ * @exported for testing
+ */
+export function deleteNestedValue(obj, path) {
+  const keys = splitKeyPath(path)
+  const lastKey = keys.pop()
+  const parent = keys.length > 0 ? getNestedValue(obj, joinKeyPath(keys)) : obj
+
+  if (parent && typeof parent === 'object') {
+    delete parent[lastKey]
+  }
+}
@@ -0,0 +1,66 @@
+import { parseLanguageTag } from './bcp47.js'
+
+const FORMALITY_LEVELS = ['formal', 'informal']
+const LANGUAGE_OPTIONS = ['code', 'formality', 'exclude', 'folder', 'fallback']
+
+/**
+ * Normalize targetLanguages entries, each a language code or
+ * `{ code, formality, exclude, folder, fallback }`, into language settings
+ * Throws on invalid entries, duplicate codes and duplicate folders
+ * @exported for testing
+ */
+export function normalizeLanguages(targetLanguages) {
+  const languages = []
+  const folders = new Map()
+
+  targetLanguages.forEach((entry, index) => {
+    const settings = normalizeLanguage(typeof entry === 'string' ? { code: entry } : entry, index)
+
+    if (languages.some(({ code }) => code === settings.code)) {
+      throw new Error(`vite-plugin-shipi18n: targetLanguages lists ${settings.code} more than once`)
+    }
+    if (folders.has(settings.folder)) {
+      throw new Error(`vite-plugin-shipi18n: ${settings.code} and ${folders.get(settings.folder)} are both written to ${settings.folder}/`)
+    }
+
+    folders.set(settings.folder, settings.code)
+    languages.push(settings)
+  })
+
+  return languages
+}
+
+function normalizeLanguage(entry, index) {
+  const label = `targetLanguages[${index}]`
+  if (!entry || typeof entry !== 'object' || typeof entry.code !== 'string' || !entry.code) {
+    throw new Error(`vite-plugin-shipi18n: ${label} must be a language code or an object with a code`)
+  }
+
+  const unknown = Object.keys(entry).filter(key => !LANGUAGE_OPTIONS.includes(key))
+  if (unknown.length > 0) {
+    throw new Error(`vite-plugin-shipi18n: ${label} has unknown option(s) ${unknown.join(', ')}`)
+  }
+
+  const { code, formality = null, exclude = [], folder = code, fallback } = entry
+  if (formality !== null && !FORMALITY_LEVELS.includes(formality)) {
+    throw new Error(`vite-plugin-shipi18n: ${code} formality must be "formal" or "informal"`)
+  }
+  if (!Array.isArray(exclude) || exclude.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`vite-plugin-shipi18n: ${code} exclude must be an array of glob patterns`)
+  }
+  if (typeof folder !== 'string' || !folder || /[\\/]/.test(folder) || folder === '.' || folder === '..') {
+    throw new Error(`vite-plugin-shipi18n: ${code} folder must be a single folder name`)
+  }
+  if (fallback !== undefined && fallback !== false) {
+    const links = Array.isArray(fallback) ? fallback : [fallback]
+    if (links.some(link => typeof link !== 'string' || link === code)) {
+      throw new Error(`vite-plugin-shipi18n: ${code} fallback must be another language code, an array of them or false`)
+    }
+    const invalid = links.find(link => !parseLanguageTag(link))
+    if (invalid !== undefined) {
+      throw new Error(`vite-plugin-shipi18n: ${code} fallback ${invalid} is not a valid BCP 47 language tag`)
+    }
+  }
+
+  return { code, formality, exclude, folder, fallback }
+}
@@ -0,0 +1,245 @@
+import fs from 'fs'
+import path from 'path'
+import { getNestedValue } from './keys.js'
+import { hashSourceValue } from './cache.js'
+
+const LOCK_VERSION = 1
+
+/**
+ * Read the lockfile ({ version, sourceLanguage, folders?, files: { [file]: { [lang]: { [key]: { hash, from } } } } })
+ * `folders` maps languages to their output folder, for languages whose folder isn't their code
+ * Returns an empty lock if the file is missing, unreadable or from another format version
+ * @exported for testing
+ */
+export function readLockFile(lockPath) {
+  const empty = { version: LOCK_VERSION, files: {} }
+  if (!fs.existsSync(lockPath)) {
+    return empty
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(lockPath, 'utf-8'))
+    if (!data || data.version !== LOCK_VERSION || typeof data.files !== 'object') {
+      return empty
+    }
+    return data
+  } catch (error) {
+    return empty
+  }
+}
+
+/**
+ * Replace the lock entries of some files and drop files that no longer exist
+ * `folders` replaces the recorded output folders when given
+ * The file is only rewritten when its content changes, with files and languages sorted for stable diffs
+ * Returns true when the lockfile was written
+ * @exported for testing
+ */
+export function updateLockFile(lockPath, sourceLanguage, { files = {}, keepFiles = null, folders = null }) {
+  const lock = readLockFile(lockPath)
+  const merged = { ...lock.files, ...files }
+
+  const sorted = {}
+  for (const fileName of Object.keys(merged).sort()) {
+    if (keepFiles && !keepFiles.includes(fileName)) {
+      continue
+    }
+    sorted[fileName] = {}
+    for (const lang of Object.keys(merged[fileName]).sort()) {
+      sorted[fileName][lang] = merged[fileName][lang]
+    }
+  }
+
+  const lockFolders = folders || lock.folders || {}
+  const sortedFolders = Object.fromEntries(Object.keys(lockFolders).sort().map(lang => [lang, lockFolders[lang]]))
+  const data = Object.keys(sortedFolders).length > 0
+    ? { version: LOCK_VERSION, sourceLanguage, folders: sortedFolders, files: sorted }
+    : { version: LOCK_VERSION, sourceLanguage, files: sorted }
+
+  const content = JSON.stringify(data, null, 2) + '\n'
+  if (fs.existsSync(lockPath) && fs.readFileSync(lockPath, 'utf-8') === content) {
+    return false
+  }
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true })
+  fs.writeFileSync(lockPath, content)
+  return true
+}
+
+/**
+ * Work out where each translated value came from: api, cache, existing, pseudo, regional, source or override
+ * `existing` values were kept from the output by an offline build, `pseudo` values were generated for a pseudo-locale
+ *
+ * Values reused from the cache keep `api` when the previous lock entry recorded an API translation
+ * of the same source string, so the lockfile only changes when translations do.
+ * @exported for testing
+ */
+export function getValueOrigins({
+  translations,
+  flatSources,
+  targetLanguages,
+  translated = {},
+  cached = {},
+  existing = {},
+  pseudo = {},
+  overrides = {},
+  previous = {},
+  sourceLanguage
+}) {
+  const fallbackInfo = translations.fallbackInfo || {}
+  const origins = {}
+
+  for (const lang of targetLanguages) {
+    const translation = translations[lang]
+    if (!translation || typeof translation !== 'object') {
+      continue
+    }
+
+    const failures = (fallbackInfo.validationFailures || {})[lang] || {}
+    const previousEntries = previous[lang] || {}
+    origins[lang] = {}
+
+    for (const [key, sourceValue] of Object.entries(flatSources[lang] || {})) {
+      const value = getNestedValue(translation, key)
+      if (value === undefined) {
+        continue
+      }
+      const isSource = JSON.stringify(value) === JSON.stringify(sourceValue)
+
+      let from
+      if (overrides[lang] && key in overrides[lang]) {
+        from = 'override'
+      } else if (failures[key] && isSource) {
+        from = 'source'
+      } else if (translated[lang] && key in translated[lang]) {
+        from = 'api'
+      } else if (cached[lang] && key in cached[lang]) {
+        const entry = previousEntries[key]
+        const hash = hashSourceValue(sourceValue, sourceLanguage)
+        from = entry && entry.hash === hash && entry.from === 'api' ? 'api' : 'cache'
+      } else if (existing[lang] && key in existing[lang]) {
+        from = 'existing'
+      } else if (pseudo[lang] && key in pseudo[lang]) {
+        from = 'pseudo'
+      } else {
+        from = isSource ? 'source' : 'regional'
+      }
+
+      origins[lang][key] = from
+    }
+  }
+
+  return origins
+}
+
+/**
+ * Hash a manual override value, so the lockfile can tell when an override was edited
+ */
+function hashOverride(value, lang) {
+  return hashSourceValue(value, lang)
+}
+
+/**
+ * Check whether a lock entry records the same, unedited override
+ */
+function isSameOverride(entry, value, lang) {
+  return Boolean(entry) && entry.from === 'override' && entry.override === hashOverride(value, lang)
+}
+
+/**
+ * Build lock entries ({ hash, from }) for a file from the value origins
+ * Regional values also record the link of the fallback chain they came from as `via`,
+ * taken from `fallbackLinks` ({ [lang]: { [key]: link } }). Machine translations record the
+ * formality they were requested with, from `formality` ({ [lang]: 'formal' | 'informal' }), and
+ * the glossary terms they use, from `terms` ({ [lang]: { [key]: signature } })
+ *
+ * Overrides record a hash of their value as `override`, and keep the source hash of the `previous`
+ * entry until the override is edited, so the lock shows which source string they were written against
+ * @exported for testing
+ */
+export function buildLockEntries(origins, flatSources, sourceLanguage, fallbackLinks = {}, formality = {}, terms = {}, overrides = {}, previous = {}) {
+  const entries = {}
+
+  for (const [lang, keys] of Object.entries(origins)) {
+    const links = fallbackLinks[lang] || {}
+    const langTerms = terms[lang] || {}
+    const previousEntries = previous[lang] || {}
+    entries[lang] = {}
+    for (const [key, from] of Object.entries(keys)) {
+      const entry = { hash: hashSourceValue(flatSources[lang][key], sourceLanguage), from }
+      if (from === 'regional' && links[key]) {
+        entry.via = links[key]
+      }
+      if (from === 'override') {
+        const value = overrides[lang][key]
+        if (isSameOverride(previousEntries[key], value, lang)) {
+          entry.hash = previousEntries[key].hash
+        }
+        entry.override = hashOverride(value, lang)
+      }
+      if ((from === 'api' || from === 'cache') && formality[lang]) {
+        entry.formality = formality[lang]
+      }
+      if ((from === 'api' || from === 'cache') && langTerms[key]) {
+        entry.terms = langTerms[key]
+      }
+      entries[lang][key] = entry
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Find keys whose committed output can be reused: the lock says it is a machine translation
+ * of the current source string, with the language's current formality and glossary terms.
+ * Returns the keys per language.
+ * @exported for testing
+ */
+export function findReusableKeys(lockEntries, flatSources, languages, sourceLanguage, formality = {}, terms = {}) {
+  const reusable = {}
+
+  for (const lang of languages) {
+    const entries = lockEntries[lang] || {}
+    const langTerms = terms[lang] || {}
+    const keys = Object.keys(flatSources[lang] || {}).filter((key) => {
+      const entry = entries[key]
+      return entry &&
+        (entry.from === 'api' || entry.from === 'cache') &&
+        entry.hash === hashSourceValue(flatSources[lang][key], sourceLanguage) &&
+        (entry.formality || null) === (formality[lang] || null) &&
+        (entry.terms || null) === (langTerms[key] || null)
+    })
+
+    if (keys.length > 0) {
+      reusable[lang] = keys
+    }
+  }
+
+  return reusable
+}
+
+/**
+ * Find overrides whose source string changed since they were written: the lock records the
+ * same override value against another source hash. Edited overrides are never stale.
+ * Returns the keys per language.
+ * @exported for testing
+ */
+export function findStaleOverrides(lockEntries, flatOverrides, flatSources, sourceLanguage) {
+  const stale = {}
+
+  for (const [lang, overrides] of Object.entries(flatOverrides)) {
+    const entries = lockEntries[lang] || {}
+    const keys = Object.keys(overrides).filter((key) => {
+      const entry = entries[key]
+      return isSameOverride(entry, overrides[key], lang) &&
+        entry.hash !== hashSourceValue(flatSources[lang][key], sourceLanguage)
+    })
+
+    if (keys.length > 0) {
+      stale[lang] = keys
+    }
+  }
+
+  return stale
+}
@@ -0,0 +1,19 @@
+/**
+ * Create a console-like logger that holds its output until flush()
+ * Used when several files are translated at once, so each file's lines stay together
+ * @exported for testing
+ */
+export function createBufferedLogger() {
+  const lines = []
+
+  return {
+    log: (...args) => lines.push({ level: 'log', args }),
+    warn: (...args) => lines.push({ level: 'warn', args }),
+    error: (...args) => lines.push({ level: 'error', args }),
+    flush() {
+      for (const { level, args } of lines.splice(0)) {
+        console[level](...args)
+      }
+    }
+  }
+}
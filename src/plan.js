@@ -0,0 +1,84 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Count the characters of flattened source values, as sent to the API
+ * Non-string values (e.g. arrays) count as their JSON text
+ * @exported for testing
+ */
+export function countCharacters(values) {
+  return values.reduce((total, value) => (
+    total + (typeof value === 'string' ? value.length : JSON.stringify(value).length)
+  ), 0)
+}
+
+/**
+ * Plan one file's translation requests per language without calling the API
+ *
+ * Pending keys are `new` when the cache, lockfile and output have never seen them, and `changed`
+ * otherwise. Keys the cache, lockfile or output still have but the source doesn't are `removed`.
+ * Languages with nothing to send or remove are left out.
+ * @exported for testing
+ */
+export function planFileChanges({ flatSources, pending, languages, cacheEntries = {}, lockEntries = {}, outputs = {} }) {
+  const plan = {}
+
+  for (const lang of languages) {
+    const source = flatSources[lang] || {}
+    const keys = pending[lang] || []
+    const known = new Set([
+      ...Object.keys(cacheEntries[lang] || {}),
+      ...Object.keys(lockEntries[lang] || {}),
+      ...Object.keys(outputs[lang] || {})
+    ])
+    const removed = [...known].filter(key => !(key in source)).sort()
+
+    if (keys.length === 0 && removed.length === 0) {
+      continue
+    }
+
+    plan[lang] = {
+      keys: keys.length,
+      characters: countCharacters(keys.map(key => source[key])),
+      new: keys.filter(key => !known.has(key)),
+      changed: keys.filter(key => known.has(key)),
+      removed
+    }
+  }
+
+  return plan
+}
+
+/**
+ * Add up the keys and characters of every file's plan, per language and overall
+ * @exported for testing
+ */
+export function summarizePlan(files) {
+  const totals = { keys: 0, characters: 0 }
+  const languages = {}
+
+  for (const plan of Object.values(files)) {
+    for (const [lang, { keys, characters }] of Object.entries(plan)) {
+      languages[lang] = languages[lang] || { keys: 0, characters: 0 }
+      languages[lang].keys += keys
+      languages[lang].characters += characters
+      totals.keys += keys
+      totals.characters += characters
+    }
+  }
+
+  return { totals, languages }
+}
+
+/**
+ * Write a dry-run plan as JSON ({ sourceLanguage, totals, languages, files })
+ * @exported for testing
+ */
+export function writePlanFile(planPath, sourceLanguage, files) {
+  const { totals, languages } = summarizePlan(files)
+  const plan = { sourceLanguage, totals, languages, files }
+
+  fs.mkdirSync(path.dirname(planPath), { recursive: true })
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2) + '\n')
+  return plan
+}
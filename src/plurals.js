@@ -0,0 +1,127 @@
+import { flattenKeys, unflattenKeys, deleteNestedValue } from './keys.js'
+import { getPluralCategories } from './icu.js'
+
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other']
+const PLURAL_KEY = /^(.+?)((?:_ordinal)?)_(zero|one|two|few|many|other)$/
+
+/**
+ * Split an i18next plural key (`items_one`, `place_ordinal_few`) into its parts
+ * @exported for testing
+ */
+export function parsePluralKey(key) {
+  const match = key.match(PLURAL_KEY)
+  if (!match) {
+    return null
+  }
+  return { base: match[1], ordinal: match[2] !== '', category: match[3] }
+}
+
+/**
+ * Group flattened keys into plural groups
+ * A group is only recognised when it has an `_other` key, as i18next requires
+ */
+function getPluralGroups(flat) {
+  const groups = new Map()
+
+  for (const key of Object.keys(flat)) {
+    const parsed = parsePluralKey(key)
+    if (!parsed) {
+      continue
+    }
+
+    const id = getGroupId(parsed)
+    if (!groups.has(id)) {
+      groups.set(id, { base: parsed.base, ordinal: parsed.ordinal, keys: {} })
+    }
+    groups.get(id).keys[parsed.category] = key
+  }
+
+  for (const [id, group] of groups) {
+    if (!group.keys.other) {
+      groups.delete(id)
+    }
+  }
+
+  return groups
+}
+
+function getGroupId({ base, ordinal }) {
+  return ordinal ? `${base}_ordinal` : base
+}
+
+/**
+ * Rewrite i18next plural groups in a source object for a target language
+ *
+ * Each group gets exactly the suffixes the language's CLDR plural rules use. Categories missing
+ * from the source are seeded with the source `_other` string; categories the language doesn't
+ * use are dropped. Non-plural keys are left as they are.
+ * @exported for testing
+ */
+export function expandPluralKeys(source, language) {
+  const flat = flattenKeys(source)
+  const groups = getPluralGroups(flat)
+  if (groups.size === 0) {
+    return source
+  }
+
+  const expanded = {}
+  const emitted = new Set()
+
+  for (const [key, value] of Object.entries(flat)) {
+    const parsed = parsePluralKey(key)
+    const id = parsed && getGroupId(parsed)
+
+    if (!id || !groups.has(id)) {
+      expanded[key] = value
+      continue
+    }
+    if (emitted.has(id)) {
+      continue
+    }
+    emitted.add(id)
+
+    const group = groups.get(id)
+    const categories = getPluralCategories(language, group.ordinal ? 'ordinal' : 'cardinal') ||
+      Object.keys(group.keys)
+
+    for (const category of CATEGORY_ORDER.filter(category => categories.includes(category))) {
+      const pluralKey = `${id}_${category}`
+      expanded[pluralKey] = pluralKey in flat ? flat[pluralKey] : flat[group.keys.other]
+    }
+  }
+
+  return unflattenKeys(expanded)
+}
+
+/**
+ * Get the source a language is translated from
+ * `expandSource(source, language)` adds a format's own per-language forms (gettext plural forms);
+ * with pluralSuffixes, i18next plural groups are rewritten for the language as well
+ * @exported for testing
+ */
+export function getLanguageSource(source, language, pluralSuffixes, expandSource = null) {
+  const expanded = expandSource ? expandSource(source, language) : source
+  return pluralSuffixes ? expandPluralKeys(expanded, language) : expanded
+}
+
+/**
+ * Remove plural keys a language doesn't use from a translation
+ * `languageSource` is the source as returned by expandPluralKeys for that language
+ * Returns the removed keys
+ * @exported for testing
+ */
+export function removeUnusedPluralKeys(translation, languageSource) {
+  const flatSource = flattenKeys(languageSource)
+  const groups = getPluralGroups(flatSource)
+  const removed = []
+
+  for (const key of Object.keys(flattenKeys(translation))) {
+    const parsed = parsePluralKey(key)
+    if (parsed && groups.has(getGroupId(parsed)) && !(key in flatSource)) {
+      deleteNestedValue(translation, key)
+      removed.push(key)
+    }
+  }
+
+  return removed
+}
@@ -0,0 +1,41 @@
+import createShipi18nProvider from './shipi18n.js'
+import createMockProvider from './mock.js'
+
+/**
+ * Translation providers
+ *
+ * A provider is an object with:
+ * - `name` - Provider name, used to keep its cache apart from other providers
+ * - `translate(request)` - Returns `{ [language]: translations }`, as flat entries or nested objects (may be async)
+ * - `pseudo` - Optional, true when values aren't real translations, so they are never recorded in the lockfile
+ *
+ * `request` contains `entries` (flat dot-notation keys to source strings, see splitKeyPath), `sourceLanguage`,
+ * `targetLanguages`, `formality` (languages to 'formal' or 'informal', for the languages that set one),
+ * `context` (keys to translator notes, for the keys that have one) and an optional
+ * `onRetry({ attempt, retries, delay, reason })` to report retries.
+ * Keys left out of the result count as untranslated and go through the usual fallbacks.
+ */
+export const builtinProviders = {
+  shipi18n: createShipi18nProvider,
+  mock: createMockProvider
+}
+
+/**
+ * Resolve the provider option: a built-in provider name or a custom provider object
+ * @exported for testing
+ */
+export function resolveProvider(provider, options) {
+  if (typeof provider === 'string') {
+    if (!builtinProviders[provider]) {
+      throw new Error(`vite-plugin-shipi18n: Unknown provider "${provider}", expected ${Object.keys(builtinProviders).map(name => `"${name}"`).join(' or ')}`)
+    }
+    return builtinProviders[provider](options)
+  }
+
+  if (!provider || typeof provider.translate !== 'function' || typeof provider.name !== 'string') {
+    throw new Error('vite-plugin-shipi18n: provider must be a built-in provider name or an object with a name and a translate function')
+  }
+  return provider
+}
+
+export { createShipi18nProvider, createMockProvider }
@@ -0,0 +1,22 @@
+/**
+ * Local mock provider: marks each string with its language instead of translating it,
+ * e.g. `Hello {{name}}` becomes `[es] Hello {{name}}`
+ * Deterministic and offline, so the rest of the pipeline can run without an API key
+ */
+export default function createMockProvider({ transform = (value, language) => `[${language}] ${value}` } = {}) {
+  return {
+    name: 'mock',
+    pseudo: true,
+
+    async translate({ entries, targetLanguages }) {
+      const translations = {}
+      for (const language of targetLanguages) {
+        translations[language] = {}
+        for (const [key, value] of Object.entries(entries)) {
+          translations[language][key] = typeof value === 'string' ? transform(value, language) : value
+        }
+      }
+      return translations
+    }
+  }
+}
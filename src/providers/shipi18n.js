@@ -0,0 +1,53 @@
+import { unflattenKeys } from '../keys.js'
+import { fetchWithRetry } from '../retry.js'
+
+/**
+ * Shipi18n API provider
+ * Network errors, timeouts, rate limits and gateway errors are retried with backoff
+ */
+export default function createShipi18nProvider({ apiKey, apiUrl, retry }) {
+  return {
+    name: 'shipi18n',
+
+    async translate({ entries, sourceLanguage, targetLanguages, formality = {}, context = {}, onRetry }) {
+      const body = {
+        inputMethod: 'json',
+        jsonInput: JSON.stringify(unflattenKeys(entries)),
+        sourceLanguage,
+        targetLanguages: JSON.stringify(targetLanguages),
+        preservePlaceholders: 'true'
+      }
+      // Form of address per language, for the languages that set one
+      if (Object.keys(formality).length > 0) {
+        body.formality = JSON.stringify(formality)
+      }
+      // Translator notes, by flattened key
+      if (Object.keys(context).length > 0) {
+        body.keyContext = JSON.stringify(context)
+      }
+
+      // The body is read within the request timeout, so a stalled response can't hang the build
+      const { response, data } = await fetchWithRetry(`${apiUrl}/api/translate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': apiKey
+        },
+        body: JSON.stringify(body)
+      }, {
+        ...retry,
+        onRetry,
+        read: async response => ({
+          response,
+          data: response.ok ? await response.json() : await response.json().catch(() => ({}))
+        })
+      })
+
+      if (!response.ok) {
+        throw new Error(data.message || `API request failed: ${response.status}`)
+      }
+
+      return data.translations || {}
+    }
+  }
+}
@@ -0,0 +1,82 @@
+import fs from 'fs'
+import path from 'path'
+import { flattenKeys, unflattenKeys } from './keys.js'
+import { matchesGlob } from './files.js'
+
+/**
+ * Find outputs the lockfile records as generated that are no longer wanted: every language of a
+ * removed source file, languages dropped from targetLanguages, languages now written to another
+ * folder, and files a language now excludes
+ * `excludes` maps languages to the glob patterns of source files they exclude. `folders` and
+ * `previousFolders` map languages to their current and recorded folder, for languages whose
+ * folder isn't their code
+ * Returns `{ fileName, lang, reason }` entries
+ * @exported for testing
+ */
+export function findStaleOutputs(lockFiles, sourceFiles, targetLanguages, sourceLanguage, excludes = {}, folders = {}, previousFolders = {}) {
+  const stale = []
+
+  for (const [fileName, languages] of Object.entries(lockFiles)) {
+    const fileRemoved = !sourceFiles.includes(fileName)
+    for (const lang of Object.keys(languages)) {
+      if (lang === sourceLanguage) {
+        continue
+      }
+      if (fileRemoved) {
+        stale.push({ fileName, lang, reason: 'source file removed' })
+      } else if (!targetLanguages.includes(lang)) {
+        stale.push({ fileName, lang, reason: 'language no longer targeted' })
+      } else if ((folders[lang] || lang) !== (previousFolders[lang] || lang)) {
+        stale.push({ fileName, lang, reason: 'language moved to another folder' })
+      } else if (matchesGlob(fileName, excludes[lang] || [])) {
+        stale.push({ fileName, lang, reason: 'excluded for the language' })
+      }
+    }
+  }
+
+  return stale
+}
+
+/**
+ * Remove keys the flattened source doesn't have from a language's output
+ * Returns the pruned data and the removed keys, keeping the output's key order
+ * @exported for testing
+ */
+export function pruneKeys(data, flatSource) {
+  const flat = flattenKeys(data)
+  const removed = Object.keys(flat).filter(key => !(key in flatSource))
+  if (removed.length === 0) {
+    return { data, removed }
+  }
+
+  const kept = {}
+  for (const [key, value] of Object.entries(flat)) {
+    if (key in flatSource) {
+      kept[key] = value
+    }
+  }
+  return { data: unflattenKeys(kept), removed }
+}
+
+/**
+ * Delete `dir` and its parents while they are empty, stopping below `root`
+ * Returns the directories removed
+ * @exported for testing
+ */
+export function removeEmptyDirs(dir, root) {
+  const removed = []
+  let current = path.resolve(dir)
+  const stop = path.resolve(root)
+
+  while (
+    current.startsWith(stop + path.sep) &&
+    fs.existsSync(current) &&
+    fs.readdirSync(current).length === 0
+  ) {
+    fs.rmdirSync(current)
+    removed.push(current)
+    current = path.dirname(current)
+  }
+
+  return removed
+}
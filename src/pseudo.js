@@ -0,0 +1,144 @@
+import { parseICU, collectArguments } from './icu.js'
+
+/**
+ * Pseudo-locales the plugin generates itself; ar-XB is mirrored to test right-to-left layouts
+ */
+const PSEUDO_LOCALES = {
+  'en-XA': { rtl: false },
+  'ar-XB': { rtl: true },
+  pseudo: { rtl: false }
+}
+
+const ACCENTS = {
+  a: 'å', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+}
+
+// {{interpolation}}, $t() nesting, printf specifiers, HTML/JSX tags and HTML entities are kept as they are
+const PROTECTED_PATTERN = /\{\{[^{}]*\}\}|\$t\([^()]*\)|%%|%(?:\d+\$)?(?:\(\w+\))?(?:\.\d+)?[sdif@]|<\/?[A-Za-z][\w.:-]*(?:\s[^<>]*?)?\s*\/?>|<\/?\d+\s*\/?>|&(?:[A-Za-z]+|#\d+|#x[\dA-Fa-f]+);/g
+
+const RTL_OVERRIDE = '\u202E'
+const POP_DIRECTIONAL = '\u202C'
+
+/**
+ * Check whether a language is a pseudo-locale the plugin generates itself
+ * @exported for testing
+ */
+export function isPseudoLocale(language) {
+  return Object.prototype.hasOwnProperty.call(PSEUDO_LOCALES, language)
+}
+
+/**
+ * Pseudo-localize a string: accent letters, pad it by `expansion` (0.3 adds 30%) and wrap it in brackets
+ * With `rtl`, text runs are wrapped in right-to-left override marks so they display mirrored
+ * Placeholders, tags and ICU MessageFormat syntax are left intact
+ * @exported for testing
+ */
+export function pseudoLocalize(value, { expansion = 0.3, accents = true, brackets = true, rtl = false } = {}) {
+  if (typeof value !== 'string' || value === '') {
+    return value
+  }
+
+  const options = { accents, rtl }
+  let letters = 0
+  const countLetters = (text) => {
+    letters += (text.match(/\p{L}/gu) || []).length
+  }
+
+  let result
+  const nodes = parseICUArguments(value)
+  if (nodes) {
+    result = serializeICU(nodes, options, false, countLetters)
+  } else {
+    result = transformText(value, options, countLetters)
+  }
+
+  const padding = '~'.repeat(Math.ceil(letters * expansion))
+  if (padding) {
+    result += rtl ? `${RTL_OVERRIDE}${padding}${POP_DIRECTIONAL}` : padding
+  }
+  return brackets ? `[${result}]` : result
+}
+
+/**
+ * Pseudo-localize flattened values for a pseudo-locale
+ * @exported for testing
+ */
+export function pseudoLocalizeEntries(flatSource, language, options = {}) {
+  const localeOptions = { ...options, rtl: PSEUDO_LOCALES[language] ? PSEUDO_LOCALES[language].rtl : false }
+  const result = {}
+  for (const [key, value] of Object.entries(flatSource)) {
+    result[key] = pseudoLocalize(value, localeOptions)
+  }
+  return result
+}
+
+/**
+ * Parse a string as ICU MessageFormat, or return null when it isn't an ICU message with arguments
+ */
+function parseICUArguments(value) {
+  try {
+    const nodes = parseICU(value)
+    return collectArguments(nodes).size > 0 ? nodes : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Transform the text between protected tokens
+ */
+function transformText(text, options, countLetters) {
+  let result = ''
+  let last = 0
+
+  for (const match of text.matchAll(PROTECTED_PATTERN)) {
+    result += transformRun(text.slice(last, match.index), options, countLetters) + match[0]
+    last = match.index + match[0].length
+  }
+  return result + transformRun(text.slice(last), options, countLetters)
+}
+
+function transformRun(text, { accents, rtl }, countLetters) {
+  if (!text.trim()) {
+    return text
+  }
+  countLetters(text)
+  const accented = accents ? text.replace(/[A-Za-z]/g, char => ACCENTS[char]) : text
+  return rtl ? `${RTL_OVERRIDE}${accented}${POP_DIRECTIONAL}` : accented
+}
+
+/**
+ * Write parsed ICU nodes back out, pseudo-localizing text and escaping ICU syntax characters
+ */
+function serializeICU(nodes, options, inPlural, countLetters) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return escapeICUText(transformText(node.value, options, countLetters), inPlural)
+    }
+    if (node.type === 'pound') {
+      return '#'
+    }
+    if (node.type === 'argument') {
+      if (!node.format) {
+        return `{${node.name}}`
+      }
+      return node.style ? `{${node.name}, ${node.format}, ${node.style}}` : `{${node.name}, ${node.format}}`
+    }
+
+    const plural = node.type !== 'select'
+    const offset = node.offset ? ` offset:${node.offset}` : ''
+    const selectors = Object.entries(node.options)
+      .map(([selector, children]) => `${selector} {${serializeICU(children, options, inPlural || plural, countLetters)}}`)
+      .join(' ')
+    return `{${node.name}, ${node.type},${offset} ${selectors}}`
+  }).join('')
+}
+
+function escapeICUText(text, inPlural) {
+  return text
+    .replace(/'/g, "''")
+    .replace(inPlural ? /[{}#]/g : /[{}]/g, char => `'${char}'`)
+}
@@ -0,0 +1,190 @@
+const ORIGINS = ['api', 'cache', 'existing', 'override', 'pseudo', 'regional', 'source', 'missing']
+
+/**
+ * Build the report entry of each target language of a file from its value origins
+ * Keys without a value (no translation and no source fallback) count as missing
+ * @exported for testing
+ */
+export function buildLanguageReports(origins, flatSources, targetLanguages, fallbackInfo = {}) {
+  const languages = {}
+
+  for (const lang of targetLanguages) {
+    const keys = Object.keys(flatSources[lang] || {})
+    const langOrigins = origins[lang] || {}
+    const counts = Object.fromEntries(ORIGINS.map(origin => [origin, 0]))
+    const byOrigin = { regional: [], source: [], missing: [] }
+
+    for (const key of keys) {
+      const origin = langOrigins[key] || 'missing'
+      counts[origin]++
+      if (byOrigin[origin]) {
+        byOrigin[origin].push(key)
+      }
+    }
+
+    languages[lang] = {
+      keys: keys.length,
+      coverage: getCoverage(keys.length, counts),
+      counts,
+      regionalFallbacks: byOrigin.regional,
+      sourceFallbacks: byOrigin.source,
+      missing: byOrigin.missing,
+      validationFailures: (fallbackInfo.validationFailures || {})[lang] || {}
+    }
+  }
+
+  return languages
+}
+
+/**
+ * Add up every file's language reports into per-language totals
+ * @exported for testing
+ */
+export function summarizeReport(files) {
+  const languages = {}
+
+  for (const file of Object.values(files)) {
+    for (const [lang, report] of Object.entries(file.languages)) {
+      const total = languages[lang] || {
+        keys: 0,
+        coverage: 1,
+        counts: Object.fromEntries(ORIGINS.map(origin => [origin, 0])),
+        validationFailures: 0
+      }
+      total.keys += report.keys
+      for (const origin of ORIGINS) {
+        total.counts[origin] += report.counts[origin]
+      }
+      total.validationFailures += Object.keys(report.validationFailures).length
+      total.coverage = getCoverage(total.keys, total.counts)
+      languages[lang] = total
+    }
+  }
+
+  return {
+    files: Object.keys(files).length,
+    failedFiles: Object.values(files).filter(file => file.errors.length > 0).length,
+    languages
+  }
+}
+
+/**
+ * Format a report as JUnit XML: one test suite per file and one test case per language
+ * A language fails when keys fell back to source or are missing; request and parse errors fail
+ * an extra `errors` test case
+ * @exported for testing
+ */
+export function formatJUnitReport(report) {
+  const suites = []
+  let totalTests = 0
+  let totalFailures = 0
+
+  for (const [fileName, file] of Object.entries(report.files)) {
+    const cases = []
+
+    if (file.errors.length > 0) {
+      cases.push(testCase(fileName, 'errors', file.errors.join('; '), file.errors))
+    }
+    for (const [lang, language] of Object.entries(file.languages)) {
+      const problems = getProblems(language)
+      cases.push(problems.length > 0
+        ? testCase(fileName, lang, `${problems.length} key(s) not translated`, problems)
+        : testCase(fileName, lang))
+    }
+
+    const failures = cases.filter(({ failed }) => failed).length
+    totalTests += cases.length
+    totalFailures += failures
+    suites.push(
+      `  <testsuite name="${escapeXml(fileName)}" tests="${cases.length}" failures="${failures}">\n` +
+      cases.map(({ xml }) => xml).join('\n') + '\n' +
+      '  </testsuite>'
+    )
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="shipi18n" tests="${totalTests}" failures="${totalFailures}">\n` +
+    suites.join('\n') + (suites.length > 0 ? '\n' : '') +
+    '</testsuites>\n'
+}
+
+/**
+ * Format a report as Markdown: a coverage table per language, then every problem by file
+ * @exported for testing
+ */
+export function formatMarkdownReport(report) {
+  const lines = [
+    '## Shipi18n translation report',
+    '',
+    '| Language | Keys | Coverage | API | Cache | Existing | Override | Pseudo | Regional | Source | Missing | Validation failures |',
+    '|----------|------|----------|-----|-------|----------|----------|--------|----------|--------|---------|---------------------|'
+  ]
+
+  for (const [lang, { keys, coverage, counts, validationFailures }] of Object.entries(report.summary.languages)) {
+    const cells = [lang, keys, `${Math.floor(coverage * 1000) / 10}%`, ...ORIGINS.map(origin => counts[origin]), validationFailures]
+    lines.push(`| ${cells.join(' | ')} |`)
+  }
+
+  const problems = []
+  for (const [fileName, file] of Object.entries(report.files)) {
+    for (const error of file.errors) {
+      problems.push(`- \`${fileName}\`: ${error}`)
+    }
+    for (const [lang, language] of Object.entries(file.languages)) {
+      for (const problem of getProblems(language)) {
+        problems.push(`- \`${fileName}\` ${lang}: ${problem}`)
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    lines.push('', '### Problems', '', ...problems)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Share of keys (0-1) that ended up translated, rounded to 4 decimals
+ */
+function getCoverage(keys, counts) {
+  if (keys === 0) {
+    return 1
+  }
+  return Math.round((keys - counts.source - counts.missing) / keys * 10000) / 10000
+}
+
+/**
+ * Describe every key of a language report that isn't translated
+ * Validation failures that were repaired kept a translation, so they aren't problems
+ */
+function getProblems(language) {
+  return [
+    ...language.sourceFallbacks.map(key => (
+      key in language.validationFailures
+        ? `${key}: ${language.validationFailures[key]} (validation failed)`
+        : `${key}: Fell back to source`
+    )),
+    ...language.missing.map(key => `${key}: Missing`)
+  ]
+}
+
+function testCase(className, name, message = null, details = []) {
+  const open = `    <testcase classname="${escapeXml(className)}" name="${escapeXml(name)}"`
+  if (message === null) {
+    return { failed: false, xml: `${open} />` }
+  }
+  return {
+    failed: true,
+    xml: `${open}>\n      <failure message="${escapeXml(message)}">${escapeXml(details.join('\n'))}</failure>\n    </testcase>`
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
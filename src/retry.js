@@ -0,0 +1,104 @@
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504]
+
+/**
+ * Check whether a response status is worth retrying (timeouts, rate limits and gateway errors)
+ * @exported for testing
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status)
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds, or null if missing or invalid
+ * @exported for testing
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.round(Number(value) * 1000)
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) {
+    return null
+  }
+  return Math.max(0, date - now)
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, or the server's Retry-After
+ * Both are capped at maxDelay, so a server can't stall the build for longer
+ * `attempt` is the number of attempts made so far (1 for the first retry)
+ * @exported for testing
+ */
+export function getRetryDelay(attempt, { minDelay, maxDelay }, retryAfter = null, random = Math.random) {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxDelay)
+  }
+
+  // Equal jitter: half the backoff is fixed, half is random, so parallel builds spread out
+  const backoff = Math.min(maxDelay, minDelay * 2 ** (attempt - 1))
+  return Math.round(backoff / 2 + random() * backoff / 2)
+}
+
+/**
+ * fetch() with a per-attempt timeout, retrying network errors and retryable statuses
+ *
+ * Resolves with the last response, which may still be an error response once retries run out
+ * or the status isn't retryable. Rejects when the last attempt failed with a network error or timeout.
+ * `onRetry({ attempt, retries, delay, reason })` is called before each retry.
+ *
+ * When `read(response)` is given, it is called on that last response before the timeout is cleared,
+ * and fetchWithRetry resolves with its result. A body that stalls then times out and is retried.
+ * @exported for testing
+ */
+export async function fetchWithRetry(url, init, { retries, minDelay, maxDelay, timeout, onRetry, read = null }) {
+  for (let attempt = 1; ; attempt++) {
+    let response
+    let failure
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal })
+      if (read && (!isRetryableStatus(response.status) || attempt > retries)) {
+        return await read(response)
+      }
+    } catch (error) {
+      // A body that can't be parsed won't parse on a retry either
+      if (response && !controller.signal.aborted) {
+        throw error
+      }
+      response = undefined
+      failure = controller.signal.aborted
+        ? new Error(`Request timed out after ${timeout}ms`)
+        : error
+    } finally {
+      clearTimeout(timer)
+    }
+
+    if (response && !isRetryableStatus(response.status)) {
+      return response
+    }
+    if (attempt > retries) {
+      if (failure) {
+        throw failure
+      }
+      return response
+    }
+
+    const retryAfter = response && response.headers && typeof response.headers.get === 'function'
+      ? parseRetryAfter(response.headers.get('Retry-After'))
+      : null
+    const delay = getRetryDelay(attempt, { minDelay, maxDelay }, retryAfter)
+    const reason = failure ? failure.message : `status ${response.status}`
+
+    if (onRetry) {
+      onRetry({ attempt, retries, delay, reason })
+    }
+    await new Promise(resolve => setTimeout(resolve, delay))
+  }
+}
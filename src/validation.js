@@ -0,0 +1,107 @@
+import { flattenKeys, getNestedValue, setNestedValue } from './keys.js'
+import { getLanguageSource } from './plurals.js'
+
+/**
+ * Run validators over every translated value and record the results in fallbackInfo
+ *
+ * A validator is called as `validator(sourceValue, targetValue, { language, key })` and returns:
+ * - undefined when the value is fine
+ * - `{ warning }` to report a problem but keep the value
+ * - `{ error }` to replace the value with the source string
+ * - `{ error, repaired }` to replace the value with a repaired string, which later validators then check
+ *
+ * Failures are listed in `fallbackInfo.validationFailures[lang][key]`, warnings in
+ * `fallbackInfo.validationWarnings[lang][key]`. With pluralSuffixes, added plural keys
+ * (e.g. `_few`) are validated against the source `_other` string. Keys listed in `skipKeys[lang]`
+ * (e.g. manual overrides) are not validated. `expandSource` is the format's per-language source hook
+ * (see getLanguageSource).
+ * @exported for testing
+ */
+export function applyValidation(result, sourceContent, targetLanguages, validators, pluralSuffixes = false, skipKeys = {}, expandSource = null) {
+  if (validators.length === 0) {
+    return result
+  }
+
+  const failures = {}
+  const warnings = {}
+
+  for (const lang of targetLanguages) {
+    const translation = result[lang]
+    if (!translation || typeof translation !== 'object') {
+      continue
+    }
+
+    const flatSource = flattenKeys(getLanguageSource(sourceContent, lang, pluralSuffixes, expandSource))
+    const skipped = skipKeys[lang] || []
+
+    for (const [key, sourceValue] of Object.entries(flatSource)) {
+      if (skipped.includes(key)) {
+        continue
+      }
+      const targetValue = getNestedValue(translation, key)
+
+      // Source fallbacks are valid by definition
+      if (targetValue === undefined || targetValue === sourceValue) {
+        continue
+      }
+
+      let value = targetValue
+      const errors = []
+
+      for (const validator of validators) {
+        const outcome = validator(sourceValue, value, { language: lang, key })
+        if (!outcome) {
+          continue
+        }
+
+        if (outcome.error) {
+          // A repaired value is passed on to the remaining validators
+          if (outcome.repaired !== undefined) {
+            value = outcome.repaired
+            errors.push(`${outcome.error} (repaired)`)
+            continue
+          }
+          value = sourceValue
+          errors.push(outcome.error)
+          break
+        }
+
+        if (outcome.warning) {
+          warnings[lang] = warnings[lang] || {}
+          warnings[lang][key] = warnings[lang][key]
+            ? `${warnings[lang][key]}; ${outcome.warning}`
+            : outcome.warning
+        }
+      }
+
+      if (errors.length > 0) {
+        setNestedValue(translation, key, value)
+        failures[lang] = failures[lang] || {}
+        failures[lang][key] = errors.join('; ')
+      }
+    }
+  }
+
+  if (Object.keys(failures).length === 0 && Object.keys(warnings).length === 0) {
+    return result
+  }
+
+  if (!result.fallbackInfo) {
+    result.fallbackInfo = {
+      used: false,
+      languagesFallbackToSource: [],
+      regionalFallbacks: {},
+      keysFallback: {},
+    }
+  }
+
+  if (Object.keys(failures).length > 0) {
+    result.fallbackInfo.used = true
+    result.fallbackInfo.validationFailures = failures
+  }
+  if (Object.keys(warnings).length > 0) {
+    result.fallbackInfo.validationWarnings = warnings
+  }
+
+  return result
+}
@@ -0,0 +1,87 @@
+import { getRegionalChain } from './bcp47.js'
+
+export const VIRTUAL_MODULE_ID = 'virtual:shipi18n'
+export const RESOLVED_VIRTUAL_MODULE_ID = '\0' + VIRTUAL_MODULE_ID
+export const LOCALE_MODULE_PREFIX = `${VIRTUAL_MODULE_ID}/locale/`
+
+/**
+ * Get the id of the module holding one namespace of a language, e.g. `virtual:shipi18n/locale/es/admin/users`
+ * @exported for testing
+ */
+export function getLocaleModuleId(lang, namespace) {
+  return `${LOCALE_MODULE_PREFIX}${lang}/${namespace}`
+}
+
+/**
+ * Split a locale module id into its language and namespace, or return null for other ids
+ * @exported for testing
+ */
+export function parseLocaleModuleId(id) {
+  if (!id.startsWith(LOCALE_MODULE_PREFIX)) {
+    return null
+  }
+
+  const [lang, ...namespace] = id.slice(LOCALE_MODULE_PREFIX.length).split('/')
+  return lang && namespace.length > 0 ? { lang, namespace: namespace.join('/') } : null
+}
+
+/**
+ * Build the runtime fallback chain for each target language from its build-time chain
+ * Only languages that are actually written to outputDir are included, so every link can be loaded
+ * @exported for testing
+ */
+export function getFallbackChains(targetLanguages, sourceLanguage, regionalMap, fallbackToSource) {
+  const chains = {}
+
+  for (const lang of targetLanguages) {
+    const chain = getRegionalChain(regionalMap, lang).filter(link => targetLanguages.includes(link))
+    if (fallbackToSource) {
+      chain.push(sourceLanguage)
+    }
+
+    chains[lang] = chain
+  }
+
+  chains.default = [sourceLanguage]
+  return chains
+}
+
+/**
+ * Generate the source of the virtual:shipi18n module
+ * Loaders import locale modules rather than the files themselves, so locale files work in any
+ * format and are bundled even when they live in Vite's publicDir
+ * @param {Object} options
+ * @param {string[]} options.languages - Available languages, source language first
+ * @param {Object} options.namespaces - Map of language -> namespaces it has a file for
+ * @param {Object} options.fallbackChains - Map of language -> fallback languages (i18next fallbackLng shape)
+ * @param {string} options.sourceLanguage - Source language code
+ * @exported for testing
+ */
+export function generateVirtualModule({ languages, namespaces, fallbackChains, sourceLanguage }) {
+  const loaders = languages.map((lang) => {
+    const names = namespaces[lang] || []
+    const imports = names
+      .map(ns => `import(${JSON.stringify(getLocaleModuleId(lang, ns))})`)
+      .join(', ')
+    const bundle = names
+      .map((ns, i) => `${JSON.stringify(ns)}: modules[${i}].default`)
+      .join(', ')
+
+    return `  ${JSON.stringify(lang)}: () => Promise.all([${imports}]).then((modules) => ({ ${bundle} }))`
+  })
+
+  return [
+    `export const sourceLanguage = ${JSON.stringify(sourceLanguage)}`,
+    `export const languages = ${JSON.stringify(languages)}`,
+    `export const fallbackChain = ${JSON.stringify(fallbackChains)}`,
+    `export const loaders = {\n${loaders.join(',\n')}\n}`,
+    'export function loadLanguage(lng) {',
+    '  const loader = loaders[lng]',
+    '  if (!loader) {',
+    '    return Promise.reject(new Error(`virtual:shipi18n: unknown language ${lng}`))',
+    '  }',
+    '  return loader()',
+    '}',
+    ''
+  ].join('\n')
+}